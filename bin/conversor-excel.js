@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// bin/conversor-excel.js - Comando único com subcomandos: converter, reverter, separar, diagnosticar, monitorar e servir
+const { CODIGOS_SAIDA } = require('../lib/argumentos');
+
+const COMANDOS = {
+    converter: {
+        descricao: 'Converte a planilha do sistema legado para o layout do ERP e demais destinos',
+        modulo: '../lib/comandos/converter'
+    },
+    reverter: {
+        descricao: 'Leva a planilha exportada do ERP de volta para o formato da planilha legada',
+        modulo: '../lib/comandos/reverter'
+    },
+    separar: {
+        descricao: 'Separa código e descrição que vêm juntos na mesma coluna',
+        modulo: '../lib/comandos/separar'
+    },
+    diagnosticar: {
+        descricao: 'Mostra as colunas encontradas, o preenchimento e o mapeamento resolvido',
+        modulo: '../lib/comandos/diagnosticar'
+    },
+    monitorar: {
+        descricao: 'Converte cada planilha nova que chega em uma pasta de entrada',
+        modulo: '../lib/comandos/monitorar'
+    },
+    servir: {
+        descricao: 'Abre a interface web local para enviar, revisar o mapeamento e baixar a conversão',
+        modulo: '../lib/comandos/servir'
+    }
+};
+
+/**
+ * Função para mostrar a ajuda geral do comando
+ */
+function mostrarAjuda() {
+    console.log('Uso: conversor-excel <comando> [argumentos] [opções]\n');
+    console.log('Comandos:');
+    Object.entries(COMANDOS).forEach(([nome, comando]) => {
+        console.log(`  ${nome.padEnd(14)}${comando.descricao}`);
+    });
+    console.log('\nUse "conversor-excel <comando> --ajuda" para ver as opções de cada comando.');
+    console.log('\nCódigos de saída: 0 sucesso, 1 erro, 2 uso inválido, 3 erros de validação (--estrito).');
+}
+
+/**
+ * Função que executa o subcomando pedido e devolve o código de saída
+ */
+async function executar(argv) {
+    const [nomeComando, ...resto] = argv;
+
+    if (!nomeComando || ['ajuda', '--ajuda', '-h', '--help'].includes(nomeComando)) {
+        mostrarAjuda();
+        return nomeComando ? CODIGOS_SAIDA.SUCESSO : CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    const comando = COMANDOS[nomeComando];
+    if (!comando) {
+        console.error(`Erro: comando desconhecido "${nomeComando}".\n`);
+        mostrarAjuda();
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    try {
+        return await require(comando.modulo).executar(resto);
+    } catch (error) {
+        console.error('\n❌ Erro durante a execução do comando:', error.message);
+        if (error.stack) {
+            console.error('Stack trace:', error.stack);
+        }
+        return CODIGOS_SAIDA.ERRO;
+    }
+}
+
+if (require.main === module) {
+    executar(process.argv.slice(2)).then(codigo => {
+        process.exitCode = codigo;
+    });
+}
+
+module.exports = { COMANDOS, executar };
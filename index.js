@@ -0,0 +1,148 @@
+// index.js - API da biblioteca: funções que devolvem resultados em vez de imprimir no console
+const { normalizar, encontrarColuna, obterValorSeguro, estaVazio } = require('./lib/colunas');
+const {
+    extrairDescricao,
+    extrairDescricaoComOrigem,
+    converterProduto,
+    parseNumero,
+    resolverMapeamento,
+    diagnosticarColunas
+} = require('./lib/conversor');
+const { lerProdutos, converterProdutos, salvarDestinos, converterEmStreaming } = require('./lib/conversao');
+const { carregarPadroesCodigo, inferirPadroes, separarValor, identificarColunaCodigo, separarCodigoDescricao } = require('./lib/separador');
+const { interpretarNumero, interpretarData, interpretarDuracao, perfilarColunas } = require('./lib/tipos');
+const { carregarPerfil, obterPerfilPadrao } = require('./lib/perfil');
+const { carregarSinonimos, resolverCabecalhos } = require('./lib/cabecalhos');
+const { salvarMapeamento, carregarMapeamentoSalvo, aplicarMapeamento } = require('./lib/mapeamentos');
+const { compilarModelo, renderizarModelo } = require('./lib/modelos');
+const { carregarRegrasDescricao, normalizarDescricao, normalizarProdutos, truncarPalavras } = require('./lib/descricoes');
+const { carregarVeiculos, interpretarAplicacao, resumirCompatibilidade, compatibilizarProdutos } = require('./lib/aplicacoes');
+const { detectarDuplicados, tratarDuplicados, similaridadeJaccard } = require('./lib/duplicados');
+const { carregarRegrasFamilias, detectarFamilias, montarProdutosErp } = require('./lib/familias');
+const { carregarRegrasFiscais, buscarNcm, enriquecerProdutos } = require('./lib/fiscal');
+const { EXPORTADORES, obterExportador, obterExportadores, exportarProdutos } = require('./lib/exportadores');
+const { FORMATOS, lerFormatoSaida, salvarLinhas } = require('./lib/exportadores/formatos');
+const { detectarCodificacao, decodificarTexto, codificarTexto } = require('./lib/codificacao');
+const { compararProdutos, lerProdutosExportados } = require('./lib/comparador');
+const { calcularDelta, carregarEstado, salvarEstado } = require('./lib/delta');
+const { planejarReversao, reverterProduto, reverterProdutos, verificarIdaEVolta } = require('./lib/reversao');
+const { carregarRegrasValidacao, validarProdutos } = require('./lib/validacao');
+const { listarPendencias, salvarPendencias, carregarCorrecoes, aplicarCorrecoes } = require('./lib/pendencias');
+const { carregarRegrasPreco, arredondarPreco, precificarProdutos, salvarPrecos } = require('./lib/precos');
+const { criarServidor } = require('./lib/web/servidor');
+const { CODIGOS_SAIDA } = require('./lib/argumentos');
+
+module.exports = {
+    // Colunas
+    normalizar,
+    encontrarColuna,
+    obterValorSeguro,
+    estaVazio,
+
+    // Conversão
+    extrairDescricao,
+    extrairDescricaoComOrigem,
+    converterProduto,
+    parseNumero,
+    resolverMapeamento,
+    diagnosticarColunas,
+    carregarSinonimos,
+    resolverCabecalhos,
+    salvarMapeamento,
+    carregarMapeamentoSalvo,
+    aplicarMapeamento,
+    lerProdutos,
+    converterProdutos,
+    salvarDestinos,
+    converterEmStreaming,
+
+    // Tipos de coluna, números, datas e durações
+    interpretarNumero,
+    interpretarData,
+    interpretarDuracao,
+    perfilarColunas,
+
+    // Separação de código e descrição
+    carregarPadroesCodigo,
+    inferirPadroes,
+    separarValor,
+    identificarColunaCodigo,
+    separarCodigoDescricao,
+
+    // Perfis, destinos, comparação e validação
+    carregarPerfil,
+    obterPerfilPadrao,
+    EXPORTADORES,
+    obterExportador,
+    obterExportadores,
+    exportarProdutos,
+    FORMATOS,
+    lerFormatoSaida,
+    salvarLinhas,
+    compararProdutos,
+    lerProdutosExportados,
+    calcularDelta,
+    carregarEstado,
+    salvarEstado,
+    carregarRegrasValidacao,
+    validarProdutos,
+
+    // Conversão reversa (ERP → planilha legada)
+    planejarReversao,
+    reverterProduto,
+    reverterProdutos,
+    verificarIdaEVolta,
+
+    // Codificação de arquivos de texto (CSV/TXT)
+    detectarCodificacao,
+    decodificarTexto,
+    codificarTexto,
+
+    // Modelos de texto
+    compilarModelo,
+    renderizarModelo,
+
+    // Normalização de descrições
+    carregarRegrasDescricao,
+    normalizarDescricao,
+    normalizarProdutos,
+    truncarPalavras,
+
+    // Compatibilidade de veículos
+    carregarVeiculos,
+    interpretarAplicacao,
+    resumirCompatibilidade,
+    compatibilizarProdutos,
+
+    // Duplicados
+    detectarDuplicados,
+    tratarDuplicados,
+    similaridadeJaccard,
+
+    // Famílias de produtos (pai e variações)
+    carregarRegrasFamilias,
+    detectarFamilias,
+    montarProdutosErp,
+
+    // Enriquecimento fiscal (tabelas locais de NCM)
+    carregarRegrasFiscais,
+    buscarNcm,
+    enriquecerProdutos,
+
+    // Regras de preço
+    carregarRegrasPreco,
+    arredondarPreco,
+    precificarProdutos,
+    salvarPrecos,
+
+    // Pendências e correções
+    listarPendencias,
+    salvarPendencias,
+    carregarCorrecoes,
+    aplicarCorrecoes,
+
+    // Interface web local (upload, revisão do mapeamento e download)
+    criarServidor,
+
+    CODIGOS_SAIDA
+};
@@ -0,0 +1,370 @@
+// lib/aplicacoes.js - Compatibilidade de veículos a partir da coluna Aplicação (--aplicacoes)
+//
+// Textos como "GOL/PARATI 1.0 8V 97/05" viram uma entrada por modelo, com montadora, motor e
+// faixa de anos. Montadoras e modelos vêm de um JSON (exemplo em regras/veiculos.json). Modelos
+// citados em sequência compartilham o motor e os anos escritos depois deles; um modelo citado
+// depois de motor/anos começa um novo grupo. Anos aceitos: "97/05", "2013/2015", "95...",
+// "95/...", "2020>", "2020+", "...91", "ATE 91", "75 A 86", mês/ano ("08/2005 A 05/2009") e anos de quatro
+// dígitos soltos ("2013 2014 2015").
+// Aplicações sem veículo reconhecido ou com anos inválidos ou não reconhecidos ficam listadas para revisão.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { normalizar, obterValorSeguro, estaVazio } = require('./colunas');
+const { obterPerfilPadrao, aliasesDoCampo } = require('./perfil');
+
+const ARQUIVO_VEICULOS_PADRAO = path.join(__dirname, '..', 'regras', 'veiculos.json');
+const ANO_MINIMO = 1950;
+const COLUNAS_COMPATIBILIDADE = ['Código', 'Montadora', 'Modelo', 'Motor', 'Ano inicial', 'Ano final', 'Aplicação'];
+const COLUNAS_REVISAO = ['Linha', 'Código', 'Aplicação', 'Motivo'];
+// Termo com cara de ano que não foi lido ("2020>>", "2015-2018", "95~"): vai para revisão
+const PARECE_ANO = /(^|[^\da-z])(19|20)\d{2}([^\da-z]|$)|^\d{2}[^\da-z.]+$/i;
+// Palavras que ligam dois anos em uma faixa ("75 A 86") ou indicam o ano final ("ATE 91")
+const LIGACOES_FAIXA = ['a', 'ate', '-'];
+
+/**
+ * Função para reduzir um nome de veículo à chave de comparação ("S-10" e "s10" valem o mesmo)
+ */
+function chaveVeiculo(texto) {
+    return normalizar(texto).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Função para carregar e conferir o dicionário de montadoras e modelos
+ */
+function carregarVeiculos(arquivo = ARQUIVO_VEICULOS_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler o dicionário de veículos ${arquivo}: ${error.message}`);
+    }
+    if (!config.montadoras || typeof config.montadoras !== 'object') {
+        throw new Error(`Dicionário de veículos ${arquivo} sem o objeto "montadoras".`);
+    }
+
+    const montadoras = new Map();
+    const modelos = new Map();
+    Object.entries(config.montadoras).forEach(([montadora, definicao]) => {
+        if (!Array.isArray(definicao.modelos)) {
+            throw new Error(`Dicionário de veículos: a montadora "${montadora}" precisa de uma lista de modelos.`);
+        }
+        [montadora, ...(definicao.apelidos || [])].forEach(apelido => montadoras.set(chaveVeiculo(apelido), montadora));
+
+        definicao.modelos.forEach(item => {
+            const { nome, apelidos = [] } = typeof item === 'string' ? { nome: item } : item;
+            if (!nome) {
+                throw new Error(`Dicionário de veículos: modelo sem nome na montadora "${montadora}".`);
+            }
+            // Nomes de várias palavras ("Del Rey") são comparados termo a termo
+            [nome, ...apelidos].forEach(grafia => {
+                const chaves = String(grafia).split(/\s+/).map(chaveVeiculo).filter(Boolean);
+                if (!modelos.has(chaves[0])) modelos.set(chaves[0], []);
+                modelos.get(chaves[0]).push({ chaves, montadora, modelo: nome });
+            });
+        });
+    });
+
+    // O nome mais longo primeiro: "Grand Siena" antes de "Grand"
+    modelos.forEach(lista => lista.sort((a, b) => b.chaves.length - a.chaves.length));
+    return { arquivo, montadoras, modelos };
+}
+
+/**
+ * Função para converter um ano de dois ou quatro dígitos, ou null se ele não for plausível
+ *
+ * Dois dígitos até o ano atual + 1 são 20xx; os demais, 19xx.
+ */
+function converterAno(texto, anoAtual = new Date().getFullYear()) {
+    if (!/^(\d{2}|\d{4})$/.test(texto)) return null;
+    let ano = Number(texto);
+    if (texto.length === 2) {
+        ano += ano <= (anoAtual % 100) + 1 ? 2000 : 1900;
+    }
+    return ano >= ANO_MINIMO && ano <= anoAtual + 2 ? ano : null;
+}
+
+/**
+ * Função para ler um ano pontual: "97", "1997", "08/2005" ou "08/99" (mês/ano), ou null
+ */
+function anoPontual(termo) {
+    const partes = String(termo || '').match(/^(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (partes) {
+        return Number(partes[1]) >= 1 && Number(partes[1]) <= 12 ? converterAno(partes[2]) : null;
+    }
+    return converterAno(String(termo || ''));
+}
+
+/**
+ * Função para completar o ano final de dois dígitos de uma faixa com o século do ano inicial
+ *
+ * "2009/14" termina em 2014 e "1998/02" em 2002 (o fim nunca fica antes do início).
+ */
+function anoFinalDaFaixa(texto, inicio) {
+    if (texto.length === 4) return converterAno(texto);
+    let ano = Math.floor(inicio / 100) * 100 + Number(texto);
+    if (ano < inicio) ano += 100;
+    return converterAno(String(ano));
+}
+
+/**
+ * Função para reconhecer um termo de ano ("97/05", "2009/14", "95...", "2020>", "...91", "2016") como { inicio, fim }
+ *
+ * "08/2005" (primeira parte de 1 a 12 e segunda com quatro dígitos) é lido como mês/ano; os
+ * demais pares são faixas, inclusive com larguras diferentes ("93/2004", "2003/08"), e só voltam
+ * a ser mês/ano quando a faixa é impossível ("11/89"). Retorna
+ * null quando o termo não é de ano e { invalido: true } quando parece ano mas não é válido.
+ */
+function lerTermoAno(termo) {
+    let partes = termo.match(/^(\d{2}|\d{4})\/(\d{2}|\d{4})$/);
+    if (partes) {
+        const mes = partes[1].length === 2 ? Number(partes[1]) : 0;
+        if (mes >= 1 && mes <= 12 && partes[2].length === 4) {
+            const ano = converterAno(partes[2]);
+            return ano ? { inicio: ano, fim: ano } : { invalido: true };
+        }
+        const inicio = converterAno(partes[1]);
+        const fim = inicio ? anoFinalDaFaixa(partes[2], inicio) : null;
+        if (inicio && fim && inicio <= fim) return { inicio, fim };
+        // Sem faixa possível, "11/89" ainda pode ser mês/ano
+        const mesAno = mes >= 1 && mes <= 12 ? converterAno(partes[2]) : null;
+        return mesAno ? { inicio: mesAno, fim: mesAno } : { invalido: true };
+    }
+    partes = termo.match(/^(\d{2}|\d{4})(\/?\.{2,}|>|\+)$/);
+    if (partes) {
+        const inicio = converterAno(partes[1]);
+        return inicio ? { inicio, fim: null } : { invalido: true };
+    }
+    partes = termo.match(/^\.{2,}(\d{2}|\d{4})$/);
+    if (partes) {
+        const fim = converterAno(partes[1]);
+        return fim ? { inicio: null, fim } : { invalido: true };
+    }
+    if (/^\d{4}$/.test(termo) && converterAno(termo)) {
+        return { inicio: Number(termo), fim: Number(termo) };
+    }
+    return null;
+}
+
+/**
+ * Função para separar o texto em termos, abrindo "GOL/PARATI" e "2.2/16V" (mas não "97/05")
+ */
+function separarTermos(texto) {
+    return String(texto)
+        .split(/\s+/)
+        .map(termo => termo.replace(/^[(,;:"']+|[),;:"']+$/g, '').replace(/(.)-+$/, '$1'))
+        .filter(Boolean)
+        .flatMap(termo => (lerTermoAno(termo) ? [termo] : termo.split('/').filter(Boolean)));
+}
+
+/**
+ * Função para encontrar o modelo que começa no termo `posicao` (o de mais palavras primeiro)
+ */
+function encontrarModelo(termos, posicao, veiculos) {
+    const candidatos = veiculos.modelos.get(chaveVeiculo(termos[posicao])) || [];
+    return candidatos.find(candidato =>
+        candidato.chaves.every((chave, i) => termos[posicao + i] !== undefined && chaveVeiculo(termos[posicao + i]) === chave)) || null;
+}
+
+/**
+ * Função para juntar os anos de um grupo em uma faixa { anoInicial, anoFinal }
+ *
+ * Anos soltos viram a faixa do menor ao maior; "95..." deixa o ano final em aberto.
+ */
+function faixaDeAnos(anos) {
+    const inicios = anos.map(ano => ano.inicio).filter(ano => ano !== null);
+    const fins = anos.map(ano => ano.fim).filter(ano => ano !== null);
+    const emAberto = anos.some(ano => ano.fim === null);
+    return {
+        anoInicial: inicios.length > 0 ? Math.min(...inicios) : null,
+        anoFinal: emAberto || fins.length === 0 ? null : Math.max(...fins)
+    };
+}
+
+/**
+ * Função para interpretar um texto de aplicação
+ *
+ * Retorna { entradas: [{ montadora, modelo, motor, anoInicial, anoFinal }], avisos }.
+ */
+function interpretarAplicacao(texto, veiculos) {
+    const termos = separarTermos(texto);
+    const entradas = [];
+    const avisos = [];
+    let montadoraCitada = null;
+    let grupo = { modelos: [], motores: [], valvulas: '', anos: [] };
+
+    const temAtributos = () => grupo.motores.length > 0 || grupo.valvulas || grupo.anos.length > 0;
+    const fecharGrupo = () => {
+        const motor = [grupo.motores.join('/'), grupo.valvulas].filter(Boolean).join(' ');
+        const veiculosDoGrupo = grupo.modelos.length > 0
+            ? grupo.modelos
+            : (montadoraCitada && entradas.length === 0 ? [{ montadora: montadoraCitada, modelo: '' }] : []);
+        veiculosDoGrupo.forEach(({ montadora, modelo }) => {
+            const entrada = { montadora, modelo, motor, ...faixaDeAnos(grupo.anos) };
+            if (!entradas.some(outra => JSON.stringify(outra) === JSON.stringify(entrada))) {
+                entradas.push(entrada);
+            }
+        });
+        grupo = { modelos: [], motores: [], valvulas: '', anos: [] };
+    };
+
+    for (let i = 0; i < termos.length; i++) {
+        const termo = termos[i];
+        const chave = chaveVeiculo(termo);
+
+        const modelo = encontrarModelo(termos, i, veiculos);
+        if (modelo) {
+            if (temAtributos()) fecharGrupo();
+            grupo.modelos.push({ montadora: modelo.montadora, modelo: modelo.modelo });
+            i += modelo.chaves.length - 1;
+            continue;
+        }
+        if (veiculos.montadoras.has(chave)) {
+            montadoraCitada = veiculos.montadoras.get(chave);
+            continue;
+        }
+
+        // Motor, válvulas e anos só valem depois de um modelo ou montadora
+        if (grupo.modelos.length === 0 && !montadoraCitada) continue;
+
+        if (/^\d\.\d$/.test(termo)) {
+            if (!grupo.motores.includes(termo)) grupo.motores.push(termo);
+            continue;
+        }
+        if (/^(8|12|16|20|24)v$/i.test(termo)) {
+            grupo.valvulas = termo.toUpperCase();
+            continue;
+        }
+
+        // "75 A 86", "08/2005 A 05/2009", "2010 - 2014" e "ATE 91"
+        const proximo = termos[i + 1];
+        if (anoPontual(termo) && LIGACOES_FAIXA.includes(normalizar(proximo)) && anoPontual(termos[i + 2])) {
+            const inicio = anoPontual(termo);
+            const fim = anoPontual(termos[i + 2]);
+            if (inicio <= fim) {
+                grupo.anos.push({ inicio, fim });
+            } else {
+                avisos.push(`faixa de anos inválida "${termo} ${proximo} ${termos[i + 2]}"`);
+            }
+            i += 2;
+            continue;
+        }
+        if (normalizar(termo) === 'ate' && anoPontual(proximo)) {
+            grupo.anos.push({ inicio: null, fim: anoPontual(proximo) });
+            i++;
+            continue;
+        }
+
+        const ano = lerTermoAno(termo);
+        if (ano && ano.invalido) {
+            avisos.push(`ano inválido "${termo}"`);
+        } else if (ano) {
+            grupo.anos.push(ano);
+        } else if (PARECE_ANO.test(termo)) {
+            avisos.push(`ano não reconhecido "${termo}"`);
+        }
+    }
+    fecharGrupo();
+
+    return { entradas, avisos };
+}
+
+/**
+ * Função para descrever a faixa de anos de uma entrada ("1997 a 2005", "1995 em diante", "até 1991")
+ */
+function descreverAnos({ anoInicial, anoFinal }) {
+    if (anoInicial && anoFinal) return anoInicial === anoFinal ? String(anoInicial) : `${anoInicial} a ${anoFinal}`;
+    if (anoInicial) return `${anoInicial} em diante`;
+    if (anoFinal) return `até ${anoFinal}`;
+    return '';
+}
+
+/**
+ * Função para resumir as entradas em um texto para a Descrição Complementar
+ *
+ * Modelos da mesma montadora com o mesmo motor e anos aparecem juntos ("Gol/Parati 1.0 8V").
+ */
+function resumirCompatibilidade(entradas) {
+    const grupos = [];
+    entradas.forEach(entrada => {
+        const anos = descreverAnos(entrada);
+        const anterior = grupos[grupos.length - 1];
+        if (anterior && anterior.montadora === entrada.montadora && anterior.motor === entrada.motor && anterior.anos === anos && entrada.modelo) {
+            anterior.modelos.push(entrada.modelo);
+        } else {
+            grupos.push({ montadora: entrada.montadora, modelos: entrada.modelo ? [entrada.modelo] : [], motor: entrada.motor, anos });
+        }
+    });
+
+    const partes = grupos.map(({ montadora, modelos, motor, anos }) =>
+        [montadora, modelos.join('/'), motor].filter(Boolean).join(' ') + (anos ? ` (${anos})` : ''));
+    return partes.length > 0 ? `Compatível com: ${partes.join('; ')}` : '';
+}
+
+/**
+ * Função para montar a compatibilidade de cada produto convertido (altera os produtos)
+ *
+ * `linhas` (de converterProdutos) liga cada produto à sua linha em `produtosRaw`, de onde vem a
+ * Aplicação. O resumo vai para a Descrição Complementar quando ela está vazia. Retorna as
+ * entradas de compatibilidade, as aplicações para revisão e o total de produtos com veículo.
+ */
+function compatibilizarProdutos(produtos, { produtosRaw, linhas, veiculos, mapeamento = {}, perfil = obterPerfilPadrao() }) {
+    const compatibilidade = [];
+    const revisao = [];
+    let produtosComVeiculo = 0;
+    const colunaAplicacao = mapeamento.aplicacao || aliasesDoCampo(perfil, 'aplicacao');
+
+    produtos.forEach((produto, idx) => {
+        const produtoRaw = produtosRaw[linhas[idx].indice - 1] || {};
+        const aplicacao = obterValorSeguro(produtoRaw, colunaAplicacao);
+        if (estaVazio(aplicacao)) return;
+
+        const texto = String(aplicacao).trim();
+        const { entradas, avisos } = interpretarAplicacao(texto, veiculos);
+        entradas.forEach(entrada => {
+            compatibilidade.push({
+                'Código': produto['Código'],
+                'Montadora': entrada.montadora,
+                'Modelo': entrada.modelo,
+                'Motor': entrada.motor,
+                'Ano inicial': entrada.anoInicial || '',
+                'Ano final': entrada.anoFinal || '',
+                'Aplicação': texto
+            });
+        });
+
+        if (entradas.length === 0) {
+            avisos.unshift('nenhum veículo reconhecido');
+        } else {
+            produtosComVeiculo++;
+            if (estaVazio(produto['Descrição Complementar'])) {
+                produto['Descrição Complementar'] = resumirCompatibilidade(entradas);
+            }
+        }
+        if (avisos.length > 0) {
+            revisao.push({ 'Linha': idx + 1, 'Código': produto['Código'], 'Aplicação': texto, 'Motivo': avisos.join('; ') });
+        }
+    });
+
+    return { compatibilidade, revisao, produtosComVeiculo };
+}
+
+/**
+ * Função para gravar a compatibilidade (por Código) e as aplicações para revisão
+ */
+function salvarCompatibilidade(resultado, arquivo) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.compatibilidade, { header: COLUNAS_COMPATIBILIDADE }), 'Compatibilidade');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.revisao, { header: COLUNAS_REVISAO }), 'Revisão');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    ARQUIVO_VEICULOS_PADRAO,
+    carregarVeiculos,
+    converterAno,
+    interpretarAplicacao,
+    resumirCompatibilidade,
+    compatibilizarProdutos,
+    salvarCompatibilidade
+};
@@ -0,0 +1,43 @@
+// lib/argumentos.js - Leitura simples dos argumentos da linha de comando
+
+// Códigos de saída comuns a todos os comandos
+const CODIGOS_SAIDA = {
+    SUCESSO: 0,
+    ERRO: 1,
+    USO_INVALIDO: 2,
+    VALIDACAO: 3
+};
+
+/**
+ * Função para separar argumentos posicionais de opções (--nome valor, --nome=valor ou --flag)
+ *
+ * `opcoesComValor` lista as opções que consomem o argumento seguinte como valor.
+ */
+function lerArgumentos(args, opcoesComValor = []) {
+    const posicionais = [];
+    const opcoes = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (!arg.startsWith('-')) {
+            posicionais.push(arg);
+            continue;
+        }
+
+        const [nomeBruto, valorEmbutido] = arg.split(/=(.*)/s);
+        const nome = nomeBruto.replace(/^-+/, '');
+
+        if (valorEmbutido !== undefined) {
+            opcoes[nome] = valorEmbutido;
+        } else if (opcoesComValor.includes(nome) && args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            opcoes[nome] = args[++i];
+        } else {
+            opcoes[nome] = true;
+        }
+    }
+
+    return { posicionais, opcoes };
+}
+
+module.exports = { CODIGOS_SAIDA, lerArgumentos };
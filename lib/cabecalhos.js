@@ -0,0 +1,244 @@
+// lib/cabecalhos.js - Reconhecimento aproximado dos cabeçalhos da planilha de origem
+//
+// Cada campo do perfil é procurado entre os cabeçalhos, nesta ordem de confiança:
+// - nome exato ou igual depois de tirar acentos e maiúsculas (aliases do perfil): 1;
+// - sinônimo do dicionário comum (regras/sinonimos.json): 0,95;
+// - palavras em comum ("Cod Fornecedor" x "Código Fornecedor") ou distância de edição
+//   ("Catalago" x "Catalogo"), no máximo 0,95 (0,9 quando comparado a um sinônimo).
+// Só são aplicados os cabeçalhos com confiança a partir de "confiancaAceita"; os que ficam
+// entre "confiancaSugerida" e ela só valem se o campo for confirmado, e os demais são rejeitados.
+// Campos marcados como "fixo" (mapeamento salvo, ver lib/mapeamentos.js) só aceitam os aliases.
+const fs = require('fs');
+const path = require('path');
+const { normalizar } = require('./colunas');
+
+const ARQUIVO_SINONIMOS_PADRAO = path.join(__dirname, '..', 'regras', 'sinonimos.json');
+// Confiança máxima de uma correspondência aproximada (palavras ou distância de edição)
+const CONFIANCA_APROXIMADA = 0.95;
+const CONFIANCA_SINONIMO = 0.95;
+// Fator aplicado quando a correspondência aproximada é com um sinônimo, e não com um alias
+const FATOR_SINONIMO = 0.9;
+// Tamanho mínimo para uma palavra abreviada casar com o início de outra ("cod" → "codigo")
+const MINIMO_ABREVIACAO = 3;
+// Abaixo desta confiança a melhor candidata nem é citada como rejeitada no diagnóstico
+const MINIMO_REJEITADA = 0.4;
+
+let sinonimosPadrao = null;
+
+/**
+ * Função para carregar e conferir o dicionário de sinônimos de cabeçalho
+ */
+function carregarSinonimos(arquivo = ARQUIVO_SINONIMOS_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler os sinônimos de cabeçalho ${arquivo}: ${error.message}`);
+    }
+
+    const confiancaAceita = typeof config.confiancaAceita === 'number' ? config.confiancaAceita : 0.85;
+    const confiancaSugerida = typeof config.confiancaSugerida === 'number' ? config.confiancaSugerida : 0.6;
+    if (confiancaSugerida < 0 || confiancaAceita > 1 || confiancaSugerida > confiancaAceita) {
+        throw new Error(`Sinônimos de cabeçalho ${arquivo}: use 0 <= confiancaSugerida <= confiancaAceita <= 1.`);
+    }
+
+    const campos = config.campos || {};
+    Object.entries(campos).forEach(([campo, nomes]) => {
+        if (!Array.isArray(nomes)) {
+            throw new Error(`Sinônimos de cabeçalho ${arquivo}: o campo "${campo}" precisa de uma lista de nomes.`);
+        }
+    });
+
+    return { confiancaAceita, confiancaSugerida, campos };
+}
+
+/**
+ * Função para obter (uma única vez) o dicionário de sinônimos padrão
+ */
+function obterSinonimos() {
+    if (!sinonimosPadrao) {
+        sinonimosPadrao = carregarSinonimos();
+    }
+    return sinonimosPadrao;
+}
+
+/**
+ * Função para reduzir um cabeçalho às suas palavras, sem acentos nem pontuação
+ */
+function palavrasDoCabecalho(texto) {
+    return normalizar(texto).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Função para calcular a distância de edição (Levenshtein) entre dois textos
+ */
+function distanciaEdicao(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (valor, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const atual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            atual[j] = Math.min(
+                anterior[j] + 1,
+                atual[j - 1] + 1,
+                anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        anterior = atual;
+    }
+    return anterior[b.length];
+}
+
+/**
+ * Função para medir a semelhança de dois cabeçalhos pelas palavras em comum (0 a 1)
+ */
+function semelhancaPalavras(palavrasA, palavrasB) {
+    if (palavrasA.length === 0 || palavrasB.length === 0) return 0;
+
+    const restantes = [...palavrasB];
+    let comuns = 0;
+    for (const palavra of palavrasA) {
+        const posicao = restantes.findIndex(outra => outra === palavra ||
+            (Math.min(palavra.length, outra.length) >= MINIMO_ABREVIACAO && (outra.startsWith(palavra) || palavra.startsWith(outra))));
+        if (posicao >= 0) {
+            comuns++;
+            restantes.splice(posicao, 1);
+        }
+    }
+    return comuns / Math.max(palavrasA.length, palavrasB.length);
+}
+
+/**
+ * Função para comparar um cabeçalho com um nome conhecido (alias ou sinônimo)
+ *
+ * Retorna { confianca, metodo } com o melhor entre igualdade, palavras e distância de edição.
+ */
+function compararCabecalho(cabecalho, nome, sinonimo) {
+    if (!sinonimo && cabecalho === nome) {
+        return { confianca: 1, metodo: 'exato' };
+    }
+
+    const palavrasCabecalho = palavrasDoCabecalho(cabecalho);
+    const palavrasNome = palavrasDoCabecalho(nome);
+    const juntoCabecalho = palavrasCabecalho.join('');
+    const juntoNome = palavrasNome.join('');
+    if (!juntoCabecalho || !juntoNome) {
+        return { confianca: 0, metodo: null };
+    }
+
+    if (juntoCabecalho === juntoNome) {
+        return sinonimo ? { confianca: CONFIANCA_SINONIMO, metodo: 'sinonimo' } : { confianca: 1, metodo: 'normalizado' };
+    }
+
+    const fator = sinonimo ? FATOR_SINONIMO : 1;
+    const porPalavras = Math.min(CONFIANCA_APROXIMADA, semelhancaPalavras(palavrasCabecalho, palavrasNome)) * fator;
+    const porDistancia = Math.min(CONFIANCA_APROXIMADA,
+        1 - distanciaEdicao(juntoCabecalho, juntoNome) / Math.max(juntoCabecalho.length, juntoNome.length)) * fator;
+
+    return porPalavras >= porDistancia
+        ? { confianca: porPalavras, metodo: 'palavras' }
+        : { confianca: porDistancia, metodo: 'distancia' };
+}
+
+/**
+ * Função para listar os cabeçalhos que podem corresponder a um campo, da maior confiança para a menor
+ *
+ * Campos "fixo" (mapeamento confirmado pelo usuário) só aceitam os próprios aliases, sem
+ * sinônimos nem correspondência aproximada.
+ */
+function candidatasDoCampo(cabecalhos, perfil, campo, sinonimos = obterSinonimos()) {
+    const definicao = perfil.campos[campo];
+    const nomes = [
+        ...definicao.aliases.map(nome => ({ nome, sinonimo: false })),
+        ...(definicao.fixo ? [] : (sinonimos.campos[campo] || []).map(nome => ({ nome, sinonimo: true })))
+    ];
+
+    const candidatas = [];
+    cabecalhos.forEach((cabecalho, posicao) => {
+        let melhor = { confianca: 0 };
+        nomes.forEach(({ nome, sinonimo }) => {
+            const comparacao = compararCabecalho(cabecalho, nome, sinonimo);
+            if (comparacao.confianca > melhor.confianca) {
+                melhor = { ...comparacao, nome };
+            }
+        });
+        if (definicao.fixo) {
+            if (melhor.confianca === 1) candidatas.push({ campo, cabecalho, posicao, ...melhor, metodo: 'salvo' });
+        } else if (melhor.confianca > 0) {
+            candidatas.push({ campo, cabecalho, posicao, ...melhor });
+        }
+    });
+
+    return candidatas.sort((a, b) => b.confianca - a.confianca || a.posicao - b.posicao);
+}
+
+/**
+ * Função para resolver o cabeçalho de cada campo do perfil, com a confiança de cada escolha
+ *
+ * Cada cabeçalho vale para um único campo: as correspondências são distribuídas da maior
+ * confiança para a menor. `confirmados` lista os campos (ou "todas") cujas sugestões abaixo
+ * de "confiancaAceita" podem ser aplicadas. Retorna, por campo: { coluna, confianca, metodo,
+ * nome, situacao: aplicado|confirmado|sugerido|rejeitado|ausente, sugestao }; `coluna` só
+ * vem preenchida quando a correspondência deve ser usada.
+ */
+function resolverCabecalhos(cabecalhos, perfil, { sinonimos = obterSinonimos(), confirmados = [] } = {}) {
+    const campos = Object.keys((perfil && perfil.campos) || {});
+    const confirmarTodos = confirmados === 'todas' || (Array.isArray(confirmados) && confirmados.includes('todas'));
+    const candidatas = campos.flatMap(campo => candidatasDoCampo(cabecalhos, perfil, campo, sinonimos));
+
+    const prioridadeMetodo = candidata => (['exato', 'salvo'].includes(candidata.metodo) ? 0 : 1);
+
+    // Maior confiança primeiro; no empate, o nome exato e depois a ordem dos campos e dos cabeçalhos
+    candidatas.sort((a, b) => b.confianca - a.confianca ||
+        prioridadeMetodo(a) - prioridadeMetodo(b) ||
+        campos.indexOf(a.campo) - campos.indexOf(b.campo) ||
+        a.posicao - b.posicao);
+
+    const resolucoes = {};
+    const cabecalhosUsados = new Set();
+    candidatas.forEach(candidata => {
+        if (resolucoes[candidata.campo] || cabecalhosUsados.has(candidata.cabecalho)) return;
+        if (candidata.confianca < sinonimos.confiancaSugerida) return;
+
+        const confirmado = confirmarTodos || (Array.isArray(confirmados) && confirmados.includes(candidata.campo));
+        const situacao = candidata.confianca >= sinonimos.confiancaAceita ? 'aplicado' : (confirmado ? 'confirmado' : 'sugerido');
+        resolucoes[candidata.campo] = {
+            coluna: situacao === 'sugerido' ? null : candidata.cabecalho,
+            confianca: Math.round(candidata.confianca * 100) / 100,
+            metodo: candidata.metodo,
+            nome: candidata.nome,
+            situacao,
+            sugestao: situacao === 'sugerido' ? candidata.cabecalho : null
+        };
+        if (situacao !== 'sugerido') {
+            cabecalhosUsados.add(candidata.cabecalho);
+        }
+    });
+
+    // Campos sem correspondência aceitável: guarda a melhor candidata rejeitada, para o diagnóstico
+    campos.filter(campo => !resolucoes[campo]).forEach(campo => {
+        const rejeitada = candidatas.find(candidata => candidata.campo === campo &&
+            candidata.confianca >= MINIMO_REJEITADA && !cabecalhosUsados.has(candidata.cabecalho));
+        resolucoes[campo] = {
+            coluna: null,
+            confianca: rejeitada ? Math.round(rejeitada.confianca * 100) / 100 : 0,
+            metodo: rejeitada ? rejeitada.metodo : null,
+            nome: rejeitada ? rejeitada.nome : null,
+            situacao: rejeitada ? 'rejeitado' : 'ausente',
+            sugestao: rejeitada ? rejeitada.cabecalho : null
+        };
+    });
+
+    // Mesma ordem dos campos no perfil
+    return Object.fromEntries(campos.map(campo => [campo, resolucoes[campo]]));
+}
+
+module.exports = {
+    ARQUIVO_SINONIMOS_PADRAO,
+    MINIMO_REJEITADA,
+    carregarSinonimos,
+    obterSinonimos,
+    distanciaEdicao,
+    compararCabecalho,
+    candidatasDoCampo,
+    resolverCabecalhos
+};
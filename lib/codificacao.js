@@ -0,0 +1,109 @@
+// lib/codificacao.js - Detecção e conversão da codificação de arquivos de texto (CSV/TXT)
+//
+// Fornecedores mandam CSV em UTF-8 (com ou sem BOM), UTF-16 (Excel "Texto Unicode") ou
+// Windows-1252/Latin-1. Sem BOM, um arquivo que não é UTF-8 válido é lido como Windows-1252,
+// que cobre o Latin-1 e ainda tem aspas curvas, travessão e o símbolo do euro.
+const cptable = require('xlsx/dist/cpexcel.js');
+
+const CODIFICACOES = ['utf8', 'utf8-bom', 'windows-1252', 'latin1', 'utf16le'];
+// Nomes alternativos aceitos em --codificacao
+const APELIDOS = {
+    'utf-8': 'utf8',
+    'utf-8-bom': 'utf8-bom',
+    'utf8bom': 'utf8-bom',
+    'cp1252': 'windows-1252',
+    '1252': 'windows-1252',
+    'ansi': 'windows-1252',
+    'iso-8859-1': 'latin1',
+    'latin-1': 'latin1',
+    'utf-16le': 'utf16le',
+    'utf-16': 'utf16le'
+};
+// Páginas de código (cpexcel) das codificações de um byte por caractere
+const PAGINAS = { 'windows-1252': 1252, latin1: 28591 };
+
+/**
+ * Função para obter o nome padronizado de uma codificação, com erro quando ela não é suportada
+ */
+function nomeCodificacao(codificacao) {
+    const nome = String(codificacao || '').trim().toLowerCase();
+    const padronizado = APELIDOS[nome] || nome;
+    if (!CODIFICACOES.includes(padronizado)) {
+        throw new Error(`Codificação "${codificacao}" não suportada (use ${CODIFICACOES.join(', ')}).`);
+    }
+    return padronizado;
+}
+
+/**
+ * Função para verificar se os bytes formam um texto UTF-8 válido
+ *
+ * Numa amostra (começo do arquivo), um caractere cortado no final não conta como erro.
+ */
+function ehUtf8Valido(buffer, amostra = false) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: amostra });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Função para detectar a codificação de um arquivo de texto pelo BOM ou pela validade do UTF-8
+ *
+ * `amostra: true` indica que o buffer é só o começo do arquivo.
+ */
+function detectarCodificacao(buffer, { amostra = false } = {}) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return 'utf8-bom';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return 'utf16le';
+    }
+    return ehUtf8Valido(buffer, amostra) ? 'utf8' : 'windows-1252';
+}
+
+/**
+ * Função para decodificar um arquivo de texto (codificação "auto" detecta pelo conteúdo)
+ *
+ * Retorna { texto, codificacao }, já sem o BOM.
+ */
+function decodificarTexto(buffer, codificacao = 'auto') {
+    const usada = codificacao === 'auto' ? detectarCodificacao(buffer) : nomeCodificacao(codificacao);
+
+    let texto;
+    if (PAGINAS[usada]) {
+        texto = cptable.utils.decode(PAGINAS[usada], buffer);
+    } else {
+        texto = buffer.toString(usada === 'utf16le' ? 'utf16le' : 'utf8');
+    }
+
+    return { texto: texto.replace(/^\uFEFF/, ''), codificacao: usada };
+}
+
+/**
+ * Função para codificar um texto para gravação (utf8-bom acrescenta o BOM no início)
+ *
+ * Caracteres que não existem em Windows-1252/Latin-1 viram "?".
+ */
+function codificarTexto(texto, codificacao = 'utf8', { inicio = true } = {}) {
+    const usada = nomeCodificacao(codificacao);
+
+    if (PAGINAS[usada]) {
+        const { enc } = cptable[PAGINAS[usada]];
+        const representavel = Array.from(texto, caractere => (enc[caractere] === undefined ? '?' : caractere)).join('');
+        return Buffer.from(cptable.utils.encode(PAGINAS[usada], representavel));
+    }
+    if (usada === 'utf16le') {
+        return Buffer.from((inicio ? '\uFEFF' : '') + texto, 'utf16le');
+    }
+    return Buffer.from((usada === 'utf8-bom' && inicio ? '\uFEFF' : '') + texto, 'utf8');
+}
+
+module.exports = {
+    CODIFICACOES,
+    nomeCodificacao,
+    detectarCodificacao,
+    decodificarTexto,
+    codificarTexto
+};
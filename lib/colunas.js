@@ -0,0 +1,80 @@
+// lib/colunas.js - Funções básicas para localizar colunas e ler valores das linhas da planilha
+
+/**
+ * Função para normalizar strings (remover acentos, converter para minúsculo)
+ */
+function normalizar(texto) {
+    if (!texto) return '';
+    return String(texto)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Função para encontrar coluna com múltiplas variações de nome
+ */
+function encontrarColuna(obj, possiveisNomes) {
+    if (!obj || !possiveisNomes || !Array.isArray(possiveisNomes)) {
+        return null;
+    }
+
+    // Primeiro, procura correspondência exata
+    for (const nome of possiveisNomes) {
+        if (obj.hasOwnProperty(nome)) {
+            return nome;
+        }
+    }
+
+    // Depois procura por normalização
+    const normalizados = possiveisNomes.map(n => normalizar(n));
+    const todasChaves = Object.keys(obj);
+
+    for (const chave of todasChaves) {
+        const chaveNormalizada = normalizar(chave);
+        const indice = normalizados.findIndex(n => n === chaveNormalizada);
+        if (indice >= 0) {
+            return chave;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Função para obter valor seguro de um objeto
+ */
+function obterValorSeguro(obj, possiveisNomes, valorPadrao = '') {
+    if (!obj || !possiveisNomes) {
+        return valorPadrao;
+    }
+
+    const nomes = Array.isArray(possiveisNomes) ? possiveisNomes : [possiveisNomes];
+    const nomeEncontrado = encontrarColuna(obj, nomes);
+
+    if (nomeEncontrado) {
+        const valor = obj[nomeEncontrado];
+        if (valor === undefined || valor === null) return valorPadrao;
+        if (typeof valor === 'string' && valor.trim() === '') return valorPadrao;
+        return valor;
+    }
+
+    return valorPadrao;
+}
+
+/**
+ * Função para verificar se o valor está vazio
+ */
+function estaVazio(valor) {
+    if (valor === undefined || valor === null) return true;
+    if (typeof valor === 'string' && valor.trim() === '') return true;
+    return false;
+}
+
+module.exports = {
+    normalizar,
+    encontrarColuna,
+    obterValorSeguro,
+    estaVazio
+};
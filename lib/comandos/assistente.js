@@ -0,0 +1,182 @@
+// lib/comandos/assistente.js - Assistente interativo (--interativo) para confirmar o mapeamento de colunas
+const readline = require('readline');
+const { normalizar, estaVazio } = require('../colunas');
+const { candidatasDoCampo, MINIMO_REJEITADA } = require('../cabecalhos');
+const { converterProduto } = require('../conversor');
+const { aplicarMapeamento } = require('../mapeamentos');
+
+// Quantas candidatas mostrar por campo e quantas linhas converter na prévia
+const MAXIMO_CANDIDATAS = 3;
+const LINHAS_PREVIA = 3;
+// Quantas colunas preenchidas mostrar de cada linha da prévia
+const COLUNAS_PREVIA = 8;
+
+/**
+ * Função para criar a função de pergunta sobre a entrada (terminal ou texto redirecionado)
+ *
+ * As respostas são lidas linha a linha; quando a entrada termina, toda pergunta recebe "" (o
+ * valor sugerido), para o assistente nunca ficar esperando.
+ */
+function criarPerguntador(entrada, saida) {
+    const leitor = readline.createInterface({ input: entrada, terminal: false });
+    const linhas = leitor[Symbol.asyncIterator]();
+
+    const perguntar = async (texto) => {
+        saida.write(texto);
+        const { value, done } = await linhas.next();
+        if (done) {
+            saida.write('\n');
+            return '';
+        }
+        return value.trim();
+    };
+
+    return { perguntar, fechar: () => leitor.close() };
+}
+
+/**
+ * Função para resumir os exemplos de uma coluna em uma linha
+ */
+function exemplosDaColuna(colunas, cabecalho) {
+    const coluna = colunas.find(item => item.coluna === cabecalho);
+    return coluna && coluna.exemplos.length > 0 ? coluna.exemplos.slice(0, 2).map(e => `"${e}"`).join(', ') : '(vazia)';
+}
+
+/**
+ * Função para interpretar a resposta: Enter (sugerida), 0 (nenhuma), número ou nome da coluna
+ *
+ * Retorna { coluna } ou null quando a resposta não corresponde a nenhuma opção.
+ */
+function interpretarEscolha(resposta, cabecalhos, sugerida) {
+    if (resposta === '') return { coluna: sugerida };
+    if (resposta === '0') return { coluna: null };
+
+    if (/^\d+$/.test(resposta)) {
+        const numero = Number(resposta);
+        return numero >= 1 && numero <= cabecalhos.length ? { coluna: cabecalhos[numero - 1] } : null;
+    }
+
+    const peloNome = cabecalhos.find(cabecalho => normalizar(cabecalho) === normalizar(resposta));
+    return peloNome ? { coluna: peloNome } : null;
+}
+
+/**
+ * Função para perguntar a coluna de um campo até receber uma resposta válida
+ */
+async function escolherColuna({ perguntar, saida, campo, cabecalhos, sugerida, usadas }) {
+    for (;;) {
+        const padrao = sugerida ? `"${sugerida}"` : 'nenhuma';
+        const resposta = await perguntar(`Coluna para "${campo}" [Enter = ${padrao}, 0 = nenhuma, número ou nome]: `);
+        const escolha = interpretarEscolha(resposta, cabecalhos, sugerida);
+
+        if (!escolha) {
+            saida.write(`⚠️ Opção inválida: "${resposta}".\n`);
+        } else if (escolha.coluna && usadas.has(escolha.coluna) && usadas.get(escolha.coluna) !== campo) {
+            saida.write(`⚠️ A coluna "${escolha.coluna}" já foi escolhida para "${usadas.get(escolha.coluna)}".\n`);
+            if (resposta === '') return null;
+        } else {
+            return escolha.coluna;
+        }
+    }
+}
+
+/**
+ * Função para mostrar algumas linhas convertidas com o mapeamento escolhido
+ */
+function mostrarPrevia(saida, produtos, perfil, mapeamento) {
+    const perfilConfirmado = aplicarMapeamento(perfil, mapeamento);
+
+    saida.write('\n=== PRÉVIA DA CONVERSÃO ===\n');
+    produtos.slice(0, LINHAS_PREVIA).forEach((produto, index) => {
+        const convertido = converterProduto(produto, mapeamento, index, perfilConfirmado);
+        const preenchidas = Object.entries(convertido)
+            .filter(([, valor]) => !estaVazio(valor))
+            .slice(0, COLUNAS_PREVIA)
+            .map(([coluna, valor]) => `${coluna}: ${valor}`);
+        saida.write(`${index + 1}. ${preenchidas.join(' | ')}\n`);
+    });
+}
+
+/**
+ * Função que conduz o assistente de mapeamento
+ *
+ * Para cada campo do perfil mostra a coluna detectada, as candidatas e exemplos de valores;
+ * o usuário aceita ou troca cada escolha, vê uma prévia e decide se salva o mapeamento.
+ * Retorna { mapeamento: { campo: coluna ou null }, salvar }.
+ */
+async function executarAssistente({ produtos, perfil, diagnostico, entrada = process.stdin, saida = process.stdout }) {
+    const cabecalhos = diagnostico.colunas.map(item => item.coluna);
+    const { perguntar, fechar } = criarPerguntador(entrada, saida);
+
+    try {
+        saida.write('\n=== ASSISTENTE DE MAPEAMENTO ===\n');
+        saida.write('Colunas da planilha de origem:\n');
+        cabecalhos.forEach((cabecalho, idx) => {
+            saida.write(`${String(idx + 1).padStart(3)}. "${cabecalho}" - ex.: ${exemplosDaColuna(diagnostico.colunas, cabecalho)}\n`);
+        });
+
+        for (;;) {
+            const mapeamento = {};
+            const usadas = new Map();
+
+            for (const campo of Object.keys(perfil.campos)) {
+                const resolucao = diagnostico.resolucoes[campo] || {};
+                const detectada = resolucao.coluna || (resolucao.situacao === 'sugerido' ? resolucao.sugestao : null);
+                const candidatas = campo === 'descricao'
+                    ? diagnostico.candidatasDescricao.map(item => ({ cabecalho: item.coluna, detalhe: `${item.percentual}% preenchida` }))
+                    : candidatasDoCampo(cabecalhos, perfil, campo)
+                        .filter(item => item.confianca >= MINIMO_REJEITADA)
+                        .map(item => ({ cabecalho: item.cabecalho, detalhe: `${Math.round(item.confianca * 100)}%` }));
+
+                saida.write(`\n[${campo}] detectada: ${detectada ? `"${detectada}"` : 'nenhuma'}`);
+                saida.write(resolucao.situacao === 'sugerido' ? ` (${Math.round(resolucao.confianca * 100)}%, precisa de confirmação)\n` : '\n');
+                candidatas
+                    .filter(item => item.cabecalho !== detectada)
+                    .slice(0, MAXIMO_CANDIDATAS)
+                    .forEach(item => {
+                        saida.write(`   ${cabecalhos.indexOf(item.cabecalho) + 1}. "${item.cabecalho}" (${item.detalhe}) - ex.: ${exemplosDaColuna(diagnostico.colunas, item.cabecalho)}\n`);
+                    });
+
+                const coluna = await escolherColuna({ perguntar, saida, campo, cabecalhos, sugerida: detectada, usadas });
+                mapeamento[campo] = coluna;
+                if (coluna) usadas.set(coluna, campo);
+            }
+
+            mostrarPrevia(saida, produtos, perfil, mapeamento);
+
+            const confirmacao = normalizar(await perguntar('\nConfirmar este mapeamento? [S/n = refazer]: '));
+            if (confirmacao === 'n' || confirmacao === 'nao') {
+                continue;
+            }
+
+            const salvar = normalizar(await perguntar('Salvar para as próximas planilhas com estes cabeçalhos? [S/n]: '));
+            return { mapeamento, salvar: !(salvar === 'n' || salvar === 'nao') };
+        }
+    } finally {
+        fechar();
+    }
+}
+
+/**
+ * Função para pedir uma única coluna (ex.: a coluna de código do comando "separar")
+ */
+async function escolherColunaInterativa({ campo, produtos, sugerida, entrada = process.stdin, saida = process.stdout }) {
+    const cabecalhos = [...new Set(produtos.flatMap(produto => Object.keys(produto)))];
+    const colunas = cabecalhos.map(coluna => ({
+        coluna,
+        exemplos: produtos.map(produto => produto[coluna]).filter(valor => !estaVazio(valor)).slice(0, 2)
+    }));
+    const { perguntar, fechar } = criarPerguntador(entrada, saida);
+
+    try {
+        saida.write('\nColunas da planilha:\n');
+        cabecalhos.forEach((cabecalho, idx) => {
+            saida.write(`${String(idx + 1).padStart(3)}. "${cabecalho}" - ex.: ${exemplosDaColuna(colunas, cabecalho)}\n`);
+        });
+        return await escolherColuna({ perguntar, saida, campo, cabecalhos, sugerida, usadas: new Map() });
+    } finally {
+        fechar();
+    }
+}
+
+module.exports = { criarPerguntador, interpretarEscolha, executarAssistente, escolherColunaInterativa };
@@ -0,0 +1,818 @@
+// lib/comandos/converter.js - Comando "converter": planilha do sistema legado para os destinos
+const fs = require('fs');
+const path = require('path');
+const { lerArgumentos, CODIGOS_SAIDA } = require('../argumentos');
+const { carregarPerfil, obterPerfilPadrao } = require('../perfil');
+const { obterExportadores, arquivoAoLado, arquivoDoDestino } = require('../exportadores');
+const { lerFormatoSaida } = require('../exportadores/formatos');
+const { FORMATOS_STREAMING } = require('../streaming');
+const { diagnosticarColunas } = require('../conversor');
+const { lerProdutos, converterProdutos, salvarDestinos, converterEmStreaming } = require('../conversao');
+const relatorioConversao = require('../relatorio');
+const comparador = require('../comparador');
+const validacao = require('../validacao');
+const entrada = require('../entrada');
+const pendencias = require('../pendencias');
+const precos = require('../precos');
+const descricoes = require('../descricoes');
+const aplicacoes = require('../aplicacoes');
+const duplicados = require('../duplicados');
+const delta = require('../delta');
+const familias = require('../familias');
+const fiscal = require('../fiscal');
+const { estaVazio } = require('../colunas');
+const mapeamentos = require('../mapeamentos');
+const { mostrarDiagnostico, mostrarMapeamento, lerConfirmados } = require('./diagnosticar');
+const { executarAssistente } = require('./assistente');
+
+const OPCOES_COM_VALOR = ['perfil', 'destino', 'relatorio', 'comparar', 'validacao', 'entrada', 'abas', 'deduplicar', 'conflito', 'duplicados', 'similaridade', 'correcoes', 'precos', 'descricoes', 'aplicacoes', 'fiscal', 'familias', 'delta', 'confirmar', 'formato', 'delimitador', 'aspas', 'codificacao', 'decimal', 'codificacao-entrada', 'mapeamentos'];
+
+const USO = 'Uso: conversor-excel converter [arquivo_entrada.xlsx|"pasta/*.xlsx"|a.xlsx,b.xlsx] [arquivo_saida.xlsx] [--abas Aba1,Aba2|todas] [--deduplicar codigo|fornecedor] [--conflito primeiro|ultimo|relatorio] [--duplicados [primeiro|somar|falhar]] [--similaridade 0.85] [--perfil perfil.json] [--destino erp,tiny,woocommerce,shopify] [--formato xlsx|ods|csv|json|ndjson] [--delimitador ";"] [--aspas minimas|textos|todas] [--codificacao utf8|utf8-bom|windows-1252|latin1] [--decimal ,] [--codificacao-entrada auto|utf8|windows-1252|latin1] [--relatorio log.json] [--comparar anterior.xlsx] [--delta [estado.json]] [--validacao regras.json] [--correcoes pendencias.xlsx] [--precos [regras.json]] [--descricoes [regras.json]] [--aplicacoes [veiculos.json]] [--fiscal [fiscal.json]] [--familias [familias.json]] [--confirmar campo1,campo2|todas] [--interativo] [--ignorar-mapeamento-salvo] [--mapeamentos pasta] [--estrito] [--streaming] [--benchmark] [--debug]';
+
+// Mensagens mostradas quando a descrição não vem da coluna mapeada (métodos 2 a 4)
+const MENSAGENS_METODO = {
+    2: (coluna, index, descricao) => `Descrição encontrada em coluna "${coluna}" para produto ${index + 1}: "${descricao}"`,
+    3: (coluna, index, descricao) => `Descrição inferida do código para produto ${index + 1}: "${descricao}"`,
+    4: (coluna, index, descricao) => `Descrição extraída da coluna "${coluna}" para produto ${index + 1}: "${descricao}"`
+};
+
+/**
+ * Função para conferir --deduplicar e --conflito antes de ler as entradas
+ */
+function validarOpcoesDeduplicacao(opcoes) {
+    if (typeof opcoes.deduplicar === 'string' && !entrada.CHAVES_DEDUPLICACAO.includes(opcoes.deduplicar)) {
+        throw new Error(`Chave de deduplicação "${opcoes.deduplicar}" inválida (use ${entrada.CHAVES_DEDUPLICACAO.join(', ')}).`);
+    }
+    if (opcoes.conflito !== undefined && !entrada.POLITICAS_CONFLITO.includes(opcoes.conflito)) {
+        throw new Error(`Política de conflito "${opcoes.conflito === true ? '' : opcoes.conflito}" inválida (use ${entrada.POLITICAS_CONFLITO.join(', ')}).`);
+    }
+}
+
+/**
+ * Função para mostrar no console o resumo da comparação com o arquivo anterior
+ */
+function mostrarResumoComparacao(comparacao) {
+    const { resumo } = comparacao;
+
+    console.log('\n=== COMPARAÇÃO COM O ARQUIVO ANTERIOR ===');
+    console.log(`➕ ${resumo.novos} produtos novos`);
+    console.log(`➖ ${resumo.removidos} produtos removidos`);
+    console.log(`✏️  ${resumo.alterados} produtos alterados`);
+    console.log(`= ${resumo.semAlteracao} produtos sem alteração`);
+
+    comparador.CAMPOS_DESTAQUE.forEach(campo => {
+        console.log(`- ${campo}: ${resumo.alteracoesPorCampo[campo] || 0} alterações`);
+    });
+
+    const outrosCampos = Object.entries(resumo.alteracoesPorCampo)
+        .filter(([campo]) => !comparador.CAMPOS_DESTAQUE.includes(campo));
+    if (outrosCampos.length > 0) {
+        console.log('Outros campos alterados:');
+        outrosCampos.forEach(([campo, total]) => console.log(`- ${campo}: ${total} alterações`));
+    }
+
+    const exemplosPreco = comparacao.alterados
+        .filter(item => comparador.CAMPOS_DESTAQUE.includes(item.Campo))
+        .slice(0, 10);
+    if (exemplosPreco.length > 0) {
+        console.log('\nExemplos de alterações de preço/estoque (primeiros 10):');
+        exemplosPreco.forEach(item => {
+            console.log(`- ${item['Código']} ${item.Campo}: ${item['Valor anterior']} → ${item['Valor atual']}`);
+        });
+    }
+}
+
+/**
+ * Função para mostrar no console as medidas de desempenho da conversão
+ */
+function mostrarDesempenho(desempenho) {
+    console.log('\n=== DESEMPENHO ===');
+    console.log(`Linhas: ${desempenho.linhas}`);
+    console.log(`Tempo: ${desempenho.segundos}s`);
+    console.log(`Velocidade: ${desempenho.linhasPorSegundo} linhas/s`);
+    console.log(`Pico de memória: ${desempenho.picoMemoriaMB} MB`);
+}
+
+/**
+ * Função para mostrar, por coluna de origem, os valores inválidos (que viraram o padrão) e os ambíguos
+ */
+function mostrarProblemasLeitura(problemasPorColuna) {
+    const colunas = Object.entries(problemasPorColuna || {});
+    if (colunas.length === 0) return;
+
+    console.warn('\n⚠️ Valores que não puderam ser lidos com segurança:');
+    colunas.forEach(([coluna, resumo]) => {
+        const exemplos = resumo.exemplos.slice(0, 3).map(e => `"${e.valorBruto}" → ${e.valorUsado === null || e.valorUsado === '' ? 'vazio' : e.valorUsado}`).join(', ');
+        console.warn(`- "${coluna}" (${resumo.tipo}): ${resumo.invalidos} inválidos, ${resumo.ambiguos} ambíguos. Ex.: ${exemplos}`);
+    });
+}
+
+/**
+ * Função para mostrar no console as colunas de texto cortadas pelo limite do perfil
+ */
+function mostrarTextosTruncados(textosTruncados) {
+    const colunas = Object.entries(textosTruncados || {});
+    if (colunas.length === 0) return;
+
+    console.warn('\n⚠️ Textos cortados pelo limite da coluna de destino:');
+    colunas.forEach(([coluna, resumo]) => {
+        const linhas = resumo.exemplos.slice(0, 3).map(e => e.indice).join(', ');
+        console.warn(`- "${coluna}": ${resumo.quantidade} textos acima de ${resumo.limite} caracteres (maior: ${resumo.maiorTamanho}). Linhas: ${linhas}`);
+    });
+}
+
+/**
+ * Função para mostrar no console o resultado da aplicação das correções
+ */
+function mostrarCorrecoes(resultado, arquivo) {
+    console.log(`\n✅ ${resultado.aplicadas.length} correções aplicadas de ${arquivo}`);
+    if (resultado.colunasDesconhecidas.length > 0) {
+        console.warn(`⚠️ ${resultado.colunasDesconhecidas.length} correções ignoradas por coluna inexistente no layout:`);
+        resultado.colunasDesconhecidas.slice(0, 10).forEach(item => console.warn(`- ${item.codigo}: "${item.coluna}"`));
+    }
+    if (resultado.codigosNaoEncontrados.length > 0) {
+        console.warn(`⚠️ ${resultado.codigosNaoEncontrados.length} códigos do arquivo de correções não estão mais na origem:`);
+        resultado.codigosNaoEncontrados.slice(0, 10).forEach(codigo => console.warn(`- ${codigo}`));
+    }
+}
+
+/**
+ * Função para mostrar os arquivos gerados (ou descartes) de cada destino
+ */
+function mostrarSaidas(saidas) {
+    saidas.forEach(({ exportador, arquivo, linhas, descartados }) => {
+        if (descartados.length > 0) {
+            console.warn(`\n⚠️ ${exportador.nome}: ${descartados.length} produtos descartados por falta de colunas obrigatórias`);
+            descartados.slice(0, 10).forEach(item => {
+                console.warn(`- ${item.codigo}: ${item.colunas.join(', ')}`);
+            });
+            if (descartados.length > 10) {
+                console.warn(`... e mais ${descartados.length - 10} produtos`);
+            }
+        }
+
+        if (!arquivo) {
+            console.warn(`\n⚠️ ${exportador.nome}: nenhum produto para salvar.`);
+            return;
+        }
+        console.log(`\n✨ ${exportador.descricao}: ${linhas} produtos salvos em ${arquivo}`);
+    });
+}
+
+/**
+ * Função para executar a conversão em streaming (planilhas muito grandes)
+ */
+async function executarStreaming({ arquivoEntrada, arquivoSaida, perfil, exportadores, correcoes, confirmados, codificacao, formato, pastaMapeamentos, opcoes }) {
+    const { relatorio, saidas } = await converterEmStreaming({
+        arquivoEntrada,
+        arquivoSaida,
+        perfil,
+        exportadores,
+        correcoes,
+        confirmados,
+        codificacao,
+        formato,
+        pastaMapeamentos,
+        aba: typeof opcoes.abas === 'string' ? opcoes.abas : undefined,
+        aoMapear: (mapa, resolucoes, mapeamentoSalvo) => {
+            if (mapeamentoSalvo) {
+                console.log(`\n📝 Usando o mapeamento de colunas confirmado em ${mapeamentoSalvo.arquivo}`);
+            }
+            console.log('\n=== MAPEAMENTO ===');
+            mostrarMapeamento(mapa, resolucoes);
+        },
+        aoProgredir: linhas => process.stdout.write(`\rProcessando: ${linhas} produtos`)
+    });
+
+    if (!relatorio) {
+        console.warn('\n⚠️ Atenção: Nenhum produto encontrado no arquivo de entrada!');
+        return CODIGOS_SAIDA.ERRO;
+    }
+
+    console.log('\n\n=== RESULTADOS DA CONVERSÃO (STREAMING) ===');
+    console.log(`✅ ${relatorio.sucessos} produtos processados com sucesso`);
+    console.log(`❌ ${relatorio.falhas} produtos com falhas durante o processamento`);
+    mostrarProblemasLeitura(relatorio.problemasPorColuna);
+    mostrarTextosTruncados(relatorio.textosTruncados);
+    if (relatorio.correcoes) {
+        mostrarCorrecoes(relatorio.correcoes, opcoes.correcoes);
+    }
+    mostrarSaidas(saidas);
+
+    if (opcoes.benchmark) {
+        mostrarDesempenho(relatorio.desempenho);
+    }
+
+    const arquivoRelatorio = opcoes.relatorio || relatorioConversao.caminhoRelatorio(arquivoSaida, relatorio.timestamp);
+    relatorioConversao.salvarRelatorio(relatorio, arquivoRelatorio);
+    console.log(`\n📝 Relatório da conversão salvo em: ${arquivoRelatorio}`);
+
+    return CODIGOS_SAIDA.SUCESSO;
+}
+
+/**
+ * Função que executa o comando e devolve (uma Promise com) o código de saída
+ */
+async function executar(argv) {
+    console.log('===================================');
+    console.log('  CONVERSOR DE TABELAS EXCEL V2');
+    console.log('  Resolução de problemas de descrição');
+    console.log('===================================');
+    console.log('\nEste script converte sua tabela com tratamento especial para descrições.\n');
+
+    // Obter os argumentos da linha de comando ou usar valores padrão
+    const { posicionais, opcoes } = lerArgumentos(argv, OPCOES_COM_VALOR);
+
+    if (opcoes.ajuda || opcoes.h) {
+        console.log(USO);
+        return CODIGOS_SAIDA.SUCESSO;
+    }
+
+    const arquivoEntrada = opcoes.entrada || posicionais[0] || 'dados_atuais.xlsx';
+    const arquivoSaida = posicionais[1] || 'dados_convertidos.xlsx';
+    const modoDebug = Boolean(opcoes.debug || opcoes.d);
+
+    // Verificar se os arquivos de entrada existem (aceita lista separada por vírgula e curingas)
+    const arquivosEntrada = entrada.expandirEntradas(arquivoEntrada);
+    const arquivosAusentes = arquivosEntrada.filter(arquivo => !fs.existsSync(arquivo));
+    if (arquivosEntrada.length === 0 || arquivosAusentes.length > 0) {
+        console.error(`\nErro: O arquivo ${arquivosAusentes[0] || arquivoEntrada} não foi encontrado.`);
+        console.log(`\n${USO}`);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    // Carregar o perfil de mapeamento (o padrão reproduz o layout original)
+    let perfil = opcoes.perfil ? carregarPerfil(opcoes.perfil) : obterPerfilPadrao();
+    const exportadores = obterExportadores(opcoes.destino);
+    const regrasValidacao = validacao.carregarRegrasValidacao(opcoes.validacao || undefined);
+    const modoEstrito = Boolean(opcoes.estrito);
+    const correcoes = opcoes.correcoes ? pendencias.carregarCorrecoes(opcoes.correcoes) : null;
+    const regrasPreco = opcoes.precos ? precos.carregarRegrasPreco(opcoes.precos === true ? undefined : opcoes.precos) : null;
+    const regrasDescricao = opcoes.descricoes ? descricoes.carregarRegrasDescricao(opcoes.descricoes === true ? undefined : opcoes.descricoes) : null;
+    const veiculos = opcoes.aplicacoes ? aplicacoes.carregarVeiculos(opcoes.aplicacoes === true ? undefined : opcoes.aplicacoes) : null;
+    const regrasFiscais = opcoes.fiscal ? fiscal.carregarRegrasFiscais(opcoes.fiscal === true ? undefined : opcoes.fiscal) : null;
+    const regrasFamilias = opcoes.familias ? familias.carregarRegrasFamilias(opcoes.familias === true ? undefined : opcoes.familias) : null;
+    const confirmados = lerConfirmados(opcoes.confirmar);
+    const codificacaoEntrada = opcoes['codificacao-entrada'] || 'auto';
+    // Pasta dos mapeamentos confirmados (padrão: configurações do usuário)
+    const pastaMapeamentos = typeof opcoes.mapeamentos === 'string' ? opcoes.mapeamentos : mapeamentos.PASTA_MAPEAMENTOS;
+    const arquivoEstado = opcoes.delta ? delta.caminhoEstado(arquivoSaida, opcoes.delta) : null;
+    const estadoAnterior = arquivoEstado ? delta.carregarEstado(arquivoEstado) : null;
+
+    // Formato de saída: sem --formato cada destino usa o seu (o ERP segue a extensão do arquivo)
+    let formato;
+    let opcoesDuplicados = null;
+    try {
+        formato = lerFormatoSaida(opcoes);
+        validarOpcoesDeduplicacao(opcoes);
+        opcoesDuplicados = opcoes.duplicados ? duplicados.lerOpcoesDuplicados(opcoes) : null;
+    } catch (error) {
+        console.error(`\nErro: ${error.message}`);
+        console.log(`\n${USO}`);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    console.log(`Arquivo(s) de entrada: ${arquivosEntrada.join(', ')}`);
+    console.log(`Arquivo de saída: ${arquivoSaida}`);
+    console.log(`Perfil de mapeamento: ${perfil.nome || perfil.arquivo}`);
+    console.log(`Destinos: ${exportadores.map(e => e.nome).join(', ')}`);
+    if (formato.formato) {
+        console.log(`Formato de saída: ${formato.formato}`);
+    }
+    console.log(`Modo debug: ${modoDebug ? 'Ativado' : 'Desativado'}`);
+    console.log('\nIniciando conversão...');
+
+    // Planilhas muito grandes: conversão linha a linha com memória limitada
+    if (opcoes.streaming) {
+        if (arquivosEntrada.length > 1) {
+            console.error('\nErro: O modo streaming aceita um único arquivo de entrada.');
+            return CODIGOS_SAIDA.USO_INVALIDO;
+        }
+        if (opcoes.abas === true || ['todas', '*'].includes(opcoes.abas) || String(opcoes.abas || '').includes(',')) {
+            console.error('\nErro: O modo streaming lê uma única aba; informe o nome dela em --abas (sem "todas" nem lista).');
+            return CODIGOS_SAIDA.USO_INVALIDO;
+        }
+        if (opcoes.interativo) {
+            console.error('\nErro: O assistente (--interativo) precisa da planilha inteira e não roda no modo streaming.');
+            return CODIGOS_SAIDA.USO_INVALIDO;
+        }
+        if (formato.formato && !FORMATOS_STREAMING.includes(formato.formato)) {
+            console.error(`\nErro: O modo streaming grava só ${FORMATOS_STREAMING.join(', ')}; o formato "${formato.formato}" precisa da planilha inteira.`);
+            return CODIGOS_SAIDA.USO_INVALIDO;
+        }
+        if (modoEstrito) {
+            console.error('\nErro: A validação não roda no modo streaming, então --estrito nunca poderia falhar; converta sem --streaming.');
+            return CODIGOS_SAIDA.USO_INVALIDO;
+        }
+        if (opcoes.validacao) {
+            console.warn('\n⚠️ A validação não é feita no modo streaming; --validacao ignorado.');
+        }
+        if (opcoes.comparar) {
+            console.warn('\n⚠️ A comparação com o arquivo anterior precisa da planilha inteira e não roda no modo streaming; --comparar ignorado.');
+        }
+        if (opcoes.deduplicar) {
+            console.warn('\n⚠️ A deduplicação precisa da planilha inteira e não roda no modo streaming; --deduplicar ignorado.');
+        }
+        if (opcoes.conflito) {
+            console.warn('\n⚠️ A política de conflito só vale com --deduplicar, que não roda no modo streaming; --conflito ignorado.');
+        }
+        if (regrasPreco) {
+            console.warn('\n⚠️ As regras de preço não são aplicadas no modo streaming; --precos ignorado.');
+        }
+        if (regrasDescricao) {
+            console.warn('\n⚠️ A normalização de descrições não é aplicada no modo streaming; --descricoes ignorado.');
+        }
+        if (veiculos) {
+            console.warn('\n⚠️ A compatibilidade de veículos não é gerada no modo streaming; --aplicacoes ignorado.');
+        }
+        if (regrasFiscais) {
+            console.warn('\n⚠️ O enriquecimento fiscal não é aplicado no modo streaming; --fiscal ignorado.');
+        }
+        if (opcoesDuplicados) {
+            console.warn('\n⚠️ A detecção de duplicados precisa da planilha inteira e não roda no modo streaming; --duplicados ignorado.');
+        }
+        if (regrasFamilias) {
+            console.warn('\n⚠️ As famílias de produtos precisam da planilha inteira e não são montadas no modo streaming; --familias ignorado.');
+        }
+        if (arquivoEstado) {
+            console.warn('\n⚠️ A exportação incremental não é feita no modo streaming; --delta ignorado.');
+        }
+        return executarStreaming({
+            arquivoEntrada: arquivosEntrada[0],
+            arquivoSaida,
+            perfil,
+            exportadores,
+            correcoes,
+            confirmados,
+            codificacao: codificacaoEntrada,
+            formato,
+            pastaMapeamentos: opcoes['ignorar-mapeamento-salvo'] ? null : pastaMapeamentos,
+            opcoes
+        });
+    }
+
+    // Lendo as abas selecionadas de cada arquivo de entrada (com deduplicação ao juntar fontes)
+    const leitura = lerProdutos(arquivosEntrada, {
+        abas: opcoes.abas,
+        codificacao: codificacaoEntrada,
+        deduplicar: opcoes.deduplicar,
+        conflito: opcoes.conflito || 'primeiro',
+        perfil
+    });
+    leitura.fontes.forEach(fonte => {
+        console.log(`- ${fonte.arquivo} [${fonte.aba}]: ${fonte.linhas} linhas${fonte.codificacao ? ` (codificação ${fonte.codificacao})` : ''}`);
+    });
+
+    const { deduplicacao } = leitura;
+    if (deduplicacao) {
+        console.log(`\n${deduplicacao.duplicados.length} linhas duplicadas removidas (${deduplicacao.conflitos.length} com valores diferentes)`);
+        if (deduplicacao.politica === 'relatorio' && deduplicacao.conflitos.length > 0) {
+            console.warn('⚠️ Conflitos entre fontes (mantida a primeira ocorrência):');
+            deduplicacao.conflitos.slice(0, 20).forEach(item => {
+                console.warn(`- ${item.chave}: ${item.mantido.arquivo} [${item.mantido.aba}] linha ${item.mantido.linha} x ${item.descartado.arquivo} [${item.descartado.aba}] linha ${item.descartado.linha}`);
+            });
+            if (deduplicacao.conflitos.length > 20) {
+                console.warn(`... e mais ${deduplicacao.conflitos.length - 20} conflitos`);
+            }
+        }
+    }
+
+    console.log(`\nLidos ${leitura.produtos.length} produtos do(s) arquivo(s) de entrada`);
+
+    // Fazer diagnóstico expandido das colunas encontradas
+    let diagnostico = diagnosticarColunas(leitura.produtos, perfil, { confirmados });
+    const cabecalhos = diagnostico.colunas.map(item => item.coluna);
+
+    // Mapeamento confirmado em uma execução anterior, para o mesmo conjunto de cabeçalhos
+    const mapeamentoSalvo = opcoes.interativo || opcoes['ignorar-mapeamento-salvo']
+        ? null
+        : mapeamentos.carregarMapeamentoSalvo(cabecalhos, perfil, pastaMapeamentos);
+    if (mapeamentoSalvo) {
+        perfil = mapeamentos.aplicarMapeamento(perfil, mapeamentoSalvo.mapeamento);
+        diagnostico = diagnosticarColunas(leitura.produtos, perfil, { confirmados });
+        console.log(`\n📝 Usando o mapeamento de colunas confirmado em ${mapeamentoSalvo.arquivo} (use --interativo para revisar)`);
+    }
+    mostrarDiagnostico(diagnostico);
+
+    // Assistente: o usuário confirma ou troca a coluna de cada campo antes de converter
+    if (opcoes.interativo) {
+        const { mapeamento, salvar } = await executarAssistente({ produtos: leitura.produtos, perfil, diagnostico });
+        if (salvar) {
+            console.log(`\n✅ Mapeamento salvo em ${mapeamentos.salvarMapeamento(cabecalhos, perfil, mapeamento, pastaMapeamentos)}`);
+        }
+        perfil = mapeamentos.aplicarMapeamento(perfil, mapeamento);
+        diagnostico = diagnosticarColunas(leitura.produtos, perfil, { confirmados });
+        console.log('\n=== MAPEAMENTO CONFIRMADO ===');
+        mostrarMapeamento(diagnostico.mapeamento, diagnostico.resolucoes);
+    }
+
+    // Converter todas as linhas, mostrando progresso e a origem das descrições
+    let { produtos: produtosNovos, linhas, erros, relatorio, mapeamento } = converterProdutos(leitura.produtos, {
+        perfil,
+        origens: leitura.origens,
+        arquivoEntrada,
+        diagnostico,
+        aoConverterLinha: (index, total, { produto, rastreio, erro }) => {
+            if (erro) {
+                console.error(`\nErro ao processar o produto ${index + 1}:`, erro.message);
+            } else if (rastreio.descricao.metodo === 'padrao') {
+                console.warn(`⚠️ Usando descrição padrão para produto ${index + 1}: "${produto['Descrição']}"`);
+            } else if (MENSAGENS_METODO[rastreio.descricao.metodo]) {
+                console.log(MENSAGENS_METODO[rastreio.descricao.metodo](rastreio.descricao.coluna, index, produto['Descrição']));
+            }
+
+            // Mostrar progresso
+            if ((index + 1) % 100 === 0 || index + 1 === total) {
+                process.stdout.write(`\rProcessando: ${index + 1}/${total} produtos`);
+            }
+        }
+    });
+
+    relatorio.fontes = leitura.fontes;
+    if (deduplicacao) {
+        relatorio.deduplicacao = {
+            politica: deduplicacao.politica,
+            removidos: deduplicacao.duplicados.length,
+            duplicados: deduplicacao.duplicados
+        };
+    }
+
+    // Relatório JSON da execução, gravado ao final mesmo quando nada é salvo
+    const gravarRelatorio = () => {
+        const arquivoRelatorio = opcoes.relatorio || relatorioConversao.caminhoRelatorio(arquivoSaida, relatorio.timestamp);
+        relatorioConversao.salvarRelatorio(relatorio, arquivoRelatorio);
+        console.log(`\n📝 Relatório da conversão salvo em: ${arquivoRelatorio}`);
+    };
+
+    console.log('\n\n=== RESULTADOS DA CONVERSÃO ===');
+    console.log(`✅ ${relatorio.sucessos} produtos processados com sucesso`);
+    console.log(`❌ ${relatorio.falhas} produtos com falhas durante o processamento`);
+
+    mostrarProblemasLeitura(relatorio.problemasPorColuna);
+    mostrarTextosTruncados(relatorio.textosTruncados);
+
+    // Mostrar avisos de descrição vazia
+    const avisosDescricaoVazia = produtosNovos
+        .map((produto, idx) => ({ produto, idx }))
+        .filter(({ produto }) => estaVazio(produto['Descrição']))
+        .map(({ produto, idx }) => ({ indice: idx + 1, codigo: produto['Código'] || `Item #${idx + 1}` }));
+
+    if (avisosDescricaoVazia.length > 0) {
+        console.warn(`\n⚠️ Atenção: ${avisosDescricaoVazia.length} produtos ficaram com o campo Descrição vazio!`);
+        console.warn(avisosDescricaoVazia.length <= 20 ? 'Produtos afetados:' : 'Produtos afetados (primeiros 20):');
+        avisosDescricaoVazia.slice(0, 20).forEach(item => {
+            console.warn(`- ${item.codigo}`);
+        });
+        if (avisosDescricaoVazia.length > 20) {
+            console.warn(`... e mais ${avisosDescricaoVazia.length - 20} produtos`);
+        }
+    } else {
+        console.log('\n✅ Todos os produtos têm descrição válida!');
+    }
+
+    // Se houver erros, mostrar detalhes
+    if (erros.length > 0) {
+        console.log('\nDetalhe dos erros (primeiros 10):');
+        erros.slice(0, 10).forEach((erro, i) => {
+            console.log(`${i + 1}. Produto ${erro.indice}: ${erro.mensagem}`);
+        });
+
+        if (erros.length > 10) {
+            console.log(`... e mais ${erros.length - 10} erros.`);
+        }
+    }
+
+    // Verificar se há produtos para salvar
+    if (produtosNovos.length === 0) {
+        console.warn('\n⚠️ Atenção: Nenhum produto foi processado com sucesso para salvar!');
+        gravarRelatorio();
+        return CODIGOS_SAIDA.ERRO;
+    }
+
+    // Duplicados: mesmo Código, mesmo código no fornecedor ou descrições quase iguais
+    if (opcoesDuplicados) {
+        const resultadoDuplicados = duplicados.tratarDuplicados(produtosNovos, { linhas, ...opcoesDuplicados });
+        produtosNovos = resultadoDuplicados.produtos;
+        linhas = resultadoDuplicados.linhas;
+        relatorio.duplicados = {
+            politica: opcoesDuplicados.politica,
+            similaridade: opcoesDuplicados.similaridade,
+            grupos: resultadoDuplicados.grupos.length,
+            porTipo: resultadoDuplicados.porTipo,
+            removidos: resultadoDuplicados.removidos,
+            estoquesSomados: resultadoDuplicados.somados,
+            paraRevisao: resultadoDuplicados.paraRevisao
+        };
+
+        console.log('\n=== DUPLICADOS ===');
+        if (resultadoDuplicados.grupos.length === 0) {
+            console.log('✅ Nenhum produto duplicado encontrado');
+        } else {
+            Object.entries(resultadoDuplicados.porTipo).forEach(([tipo, total]) => {
+                console.log(`- ${tipo}: ${total} grupos`);
+            });
+            if (resultadoDuplicados.removidos > 0) {
+                console.log(`${resultadoDuplicados.removidos} linhas duplicadas removidas${resultadoDuplicados.somados > 0 ? ` (estoque somado em ${resultadoDuplicados.somados} produtos)` : ''}`);
+            }
+            if (resultadoDuplicados.paraRevisao > 0) {
+                console.log(`⚠️ ${resultadoDuplicados.paraRevisao} grupos deixados para revisão (nenhuma linha removida neles)`);
+            }
+            const arquivoDuplicados = arquivoAoLado(arquivoSaida, 'duplicados');
+            duplicados.salvarDuplicados(resultadoDuplicados, arquivoDuplicados);
+            relatorio.duplicados.arquivo = arquivoDuplicados;
+            console.log(`📝 Grupos de duplicados salvos em: ${arquivoDuplicados}`);
+        }
+
+        if (resultadoDuplicados.bloqueantes > 0) {
+            console.error(`\n❌ ${resultadoDuplicados.bloqueantes} grupos de códigos duplicados: exportação cancelada (--duplicados falhar).`);
+            gravarRelatorio();
+            return CODIGOS_SAIDA.VALIDACAO;
+        }
+    }
+
+    // Normalizar as descrições (antes das correções manuais, que sempre prevalecem)
+    let exportadoresSaida = exportadores;
+    if (regrasDescricao) {
+        const resultadoDescricoes = descricoes.normalizarProdutos(produtosNovos, regrasDescricao, {
+            destinos: exportadores.map(exportador => exportador.nome)
+        });
+        exportadoresSaida = descricoes.limitarDescricoesNosDestinos(exportadores, regrasDescricao);
+        const arquivoDescricoes = arquivoAoLado(arquivoSaida, 'descricoes');
+        descricoes.salvarAlteracoesDescricao(resultadoDescricoes, arquivoDescricoes);
+        relatorio.descricoes = {
+            regras: regrasDescricao.arquivo,
+            arquivo: arquivoDescricoes,
+            produtosAlterados: resultadoDescricoes.produtosAlterados,
+            porTipo: resultadoDescricoes.porTipo
+        };
+
+        console.log('\n=== NORMALIZAÇÃO DE DESCRIÇÕES ===');
+        console.log(`${resultadoDescricoes.produtosAlterados} produtos com descrição alterada ou Descrição Curta gerada`);
+        Object.entries(resultadoDescricoes.porTipo).forEach(([tipo, total]) => {
+            console.log(`- ${tipo}: ${total}`);
+        });
+        console.log(`📝 Alterações (com o valor original) salvas em: ${arquivoDescricoes}`);
+    }
+
+    // Compatibilidade de veículos a partir da Aplicação, resumida na Descrição Complementar
+    if (veiculos) {
+        const resultadoAplicacoes = aplicacoes.compatibilizarProdutos(produtosNovos, {
+            produtosRaw: leitura.produtos,
+            linhas,
+            veiculos,
+            mapeamento,
+            perfil
+        });
+        const arquivoCompatibilidade = arquivoAoLado(arquivoSaida, 'compatibilidade');
+        aplicacoes.salvarCompatibilidade(resultadoAplicacoes, arquivoCompatibilidade);
+        relatorio.compatibilidade = {
+            veiculos: veiculos.arquivo,
+            arquivo: arquivoCompatibilidade,
+            produtosComVeiculo: resultadoAplicacoes.produtosComVeiculo,
+            entradas: resultadoAplicacoes.compatibilidade.length,
+            paraRevisao: resultadoAplicacoes.revisao.length
+        };
+
+        console.log('\n=== COMPATIBILIDADE DE VEÍCULOS ===');
+        if (!mapeamento.aplicacao) {
+            console.warn('⚠️ Coluna de Aplicação não encontrada na planilha de origem.');
+        }
+        console.log(`🚗 ${resultadoAplicacoes.produtosComVeiculo} produtos com veículos reconhecidos (${resultadoAplicacoes.compatibilidade.length} entradas)`);
+        console.log(`⚠️ ${resultadoAplicacoes.revisao.length} aplicações para revisão`);
+        console.log(`📝 Compatibilidade e revisão salvas em: ${arquivoCompatibilidade}`);
+    }
+
+    // Preencher CEST, classe de IPI, tributos e Origem pelas tabelas fiscais locais
+    if (regrasFiscais) {
+        const resultadoFiscal = fiscal.enriquecerProdutos(produtosNovos, { regras: regrasFiscais, linhas });
+        const arquivoFiscal = arquivoAoLado(arquivoSaida, 'fiscal');
+        fiscal.salvarFiscal(resultadoFiscal, arquivoFiscal);
+        relatorio.fiscal = {
+            regras: regrasFiscais.arquivo,
+            tabelas: regrasFiscais.tabelas,
+            arquivo: arquivoFiscal,
+            preenchidos: resultadoFiscal.porColuna,
+            ocorrencias: resultadoFiscal.porSituacao,
+            colunasSemValor: regrasFiscais.colunasSemValor
+        };
+
+        console.log('\n=== DADOS FISCAIS ===');
+        console.log(`Tabela fiscal: ${regrasFiscais.tabela.size} NCMs (${regrasFiscais.tabelas.map(t => path.basename(t.arquivo)).join(', ')})`);
+        if (regrasFiscais.colunasSemValor.length > 0) {
+            console.warn(`⚠️ Nenhum NCM da tabela tem ${regrasFiscais.colunasSemValor.join(', ')}: essas colunas não são preenchidas. Complete a tabela com os valores da legislação vigente.`);
+        }
+        Object.entries(resultadoFiscal.porColuna).forEach(([coluna, total]) => {
+            console.log(`- ${coluna}: ${total} preenchidos`);
+        });
+        Object.entries(resultadoFiscal.porSituacao).forEach(([situacao, total]) => {
+            console.warn(`⚠️ ${situacao}: ${total} produtos`);
+        });
+        console.log(`📝 Ocorrências e preenchimentos salvos em: ${arquivoFiscal}`);
+    }
+
+    // Aplicar as regras de preço (antes das correções manuais, que sempre prevalecem)
+    if (regrasPreco) {
+        const resultadoPrecos = precos.precificarProdutos(produtosNovos, {
+            produtosRaw: leitura.produtos,
+            linhas,
+            regras: regrasPreco,
+            mapeamento,
+            perfil,
+            tiposColunas: relatorio.tiposColunas
+        });
+        const arquivoPrecos = arquivoAoLado(arquivoSaida, 'precos');
+        precos.salvarPrecos(resultadoPrecos, arquivoPrecos);
+        relatorio.precos = { regras: regrasPreco.arquivo, arquivo: arquivoPrecos, porRegra: resultadoPrecos.porRegra };
+
+        console.log('\n=== REGRAS DE PREÇO ===');
+        Object.entries(resultadoPrecos.porRegra).forEach(([regra, total]) => {
+            console.log(`- ${regra}: ${total}`);
+        });
+        console.log(`💲 Auditoria dos preços${resultadoPrecos.listaPrecos.length > 0 ? ' e lista de preços' : ''} salvas em: ${arquivoPrecos}`);
+    }
+
+    // Aplicar as correções feitas pela equipe de cadastro (planilha de pendências preenchida)
+    let correcoesAplicadas = [];
+    if (correcoes) {
+        const resultadoCorrecoes = pendencias.aplicarCorrecoes(produtosNovos, correcoes);
+        correcoesAplicadas = resultadoCorrecoes.aplicadas;
+        relatorio.correcoes = { arquivo: opcoes.correcoes, ...resultadoCorrecoes };
+        mostrarCorrecoes(resultadoCorrecoes, opcoes.correcoes);
+    }
+
+    // Validar campos fiscais e de produto antes de exportar
+    const resultadoValidacao = validacao.validarProdutos(produtosNovos, regrasValidacao);
+    relatorio.validacao = {
+        erros: resultadoValidacao.erros,
+        avisos: resultadoValidacao.avisos,
+        porRegra: resultadoValidacao.porRegra
+    };
+
+    console.log('\n=== VALIDAÇÃO ===');
+    console.log(`❌ ${resultadoValidacao.erros} erros`);
+    console.log(`⚠️ ${resultadoValidacao.avisos} avisos`);
+    Object.entries(resultadoValidacao.porRegra).forEach(([regra, total]) => {
+        console.log(`- ${regra}: ${total}`);
+    });
+
+    if (resultadoValidacao.ocorrencias.length > 0) {
+        const arquivoValidacao = arquivoAoLado(arquivoSaida, 'validacao');
+        validacao.salvarValidacao(resultadoValidacao, arquivoValidacao);
+        relatorio.validacao.arquivo = arquivoValidacao;
+        console.log(`Ocorrências salvas na aba "Validação" de: ${arquivoValidacao}`);
+    }
+
+    // Descrições padrão e erros de validação vão para a planilha de pendências
+    const listaPendencias = pendencias.listarPendencias({
+        produtos: produtosNovos,
+        linhas,
+        produtosRaw: leitura.produtos,
+        ocorrencias: resultadoValidacao.ocorrencias,
+        correcoesAplicadas
+    });
+    if (listaPendencias.length > 0) {
+        const arquivoPendencias = arquivoAoLado(arquivoSaida, 'pendencias');
+        pendencias.salvarPendencias(listaPendencias, arquivoPendencias);
+        relatorio.pendencias = { arquivo: arquivoPendencias, total: listaPendencias.length };
+        console.log(`\n📝 ${listaPendencias.length} pendências salvas em: ${arquivoPendencias}`);
+        console.log('Preencha a coluna "Correção" e use o arquivo com --correcoes nas próximas conversões.');
+    }
+
+    if (modoEstrito && resultadoValidacao.erros > 0) {
+        console.error('\n❌ Modo estrito: exportação cancelada por erros de validação.');
+        gravarRelatorio();
+        return CODIGOS_SAIDA.VALIDACAO;
+    }
+
+    // Comparar com o arquivo exportado anteriormente (lido antes de ser sobrescrito)
+    if (opcoes.comparar) {
+        const arquivoAnterior = opcoes.comparar === true ? arquivoSaida : opcoes.comparar;
+
+        if (!fs.existsSync(arquivoAnterior)) {
+            console.warn(`\n⚠️ Arquivo anterior ${arquivoAnterior} não encontrado; comparação ignorada.`);
+        } else {
+            const comparacao = comparador.compararProdutos(comparador.lerProdutosExportados(arquivoAnterior), produtosNovos);
+            const arquivoComparacao = arquivoAoLado(arquivoSaida, 'diferencas');
+
+            mostrarResumoComparacao(comparacao);
+            comparador.salvarComparacao(comparacao, arquivoComparacao);
+            relatorio.comparacao = { arquivoAnterior, arquivo: arquivoComparacao, ...comparacao.resumo };
+            console.log(`\n📊 Diferenças salvas em: ${arquivoComparacao}`);
+        }
+    }
+
+    // Famílias de produtos: pai e variações na saída do ERP (com os produtos já corrigidos)
+    let resultadoFamilias = null;
+    if (regrasFamilias) {
+        resultadoFamilias = familias.detectarFamilias(produtosNovos, regrasFamilias);
+        const variacoes = resultadoFamilias.familias.reduce((total, familia) => total + familia.membros.length, 0);
+        const arquivoFamilias = arquivoAoLado(arquivoSaida, 'familias');
+        familias.salvarFamilias(resultadoFamilias, arquivoFamilias);
+        relatorio.familias = {
+            regras: regrasFamilias.arquivo,
+            arquivo: arquivoFamilias,
+            familias: resultadoFamilias.familias.length,
+            variacoes,
+            paraRevisao: resultadoFamilias.revisao.length
+        };
+
+        console.log('\n=== FAMÍLIAS DE PRODUTOS ===');
+        console.log(`${resultadoFamilias.familias.length} famílias com ${variacoes} variações`);
+        if (resultadoFamilias.revisao.length > 0) {
+            console.log(`⚠️ ${resultadoFamilias.revisao.length} produtos em famílias duvidosas, deixados para revisão`);
+        }
+        console.log(`📝 Famílias e revisão salvas em: ${arquivoFamilias}`);
+    }
+
+    // Exportação incremental: só os produtos novos no layout completo; preço/estoque no de atualização
+    let produtosExportados = produtosNovos;
+    let codigosJaExportados = new Set();
+    if (arquivoEstado) {
+        console.log('\n=== EXPORTAÇÃO INCREMENTAL ===');
+        if (!estadoAnterior) {
+            console.log(`Sem estado anterior em ${arquivoEstado}: exportação completa.`);
+            relatorio.delta = { estado: arquivoEstado, completo: true };
+        } else {
+            const resultadoDelta = delta.calcularDelta(estadoAnterior.produtos, produtosNovos);
+            produtosExportados = resultadoDelta.novos;
+            codigosJaExportados = new Set(estadoAnterior.produtos.map(produto => String(produto['Código'] === undefined || produto['Código'] === null
+                ? '' : produto['Código']).trim()));
+            relatorio.delta = {
+                estado: arquivoEstado,
+                completo: false,
+                estadoAnterior: estadoAnterior.geradoEm,
+                novos: resultadoDelta.novos.length,
+                atualizacoes: resultadoDelta.atualizacoes.length,
+                outrasAlteracoes: resultadoDelta.outrasAlteracoes,
+                removidos: resultadoDelta.removidos.length
+            };
+
+            console.log(`Estado anterior: ${estadoAnterior.geradoEm} (${estadoAnterior.produtos.length} produtos)`);
+            console.log(`➕ ${resultadoDelta.novos.length} produtos novos (layout completo)`);
+            console.log(`💲 ${resultadoDelta.atualizacoes.length} produtos com preço ou estoque alterado`);
+            if (resultadoDelta.outrasAlteracoes > 0) {
+                console.log(`✏️  ${resultadoDelta.outrasAlteracoes} produtos alterados só em outros campos (não exportados)`);
+            }
+            console.log(`➖ ${resultadoDelta.removidos.length} produtos sumiram da planilha`);
+            if (resultadoDelta.novos.length + resultadoDelta.atualizacoes.length + resultadoDelta.removidos.length === 0) {
+                console.log('✅ Nada mudou desde a última exportação: não há arquivo para importar.');
+            }
+
+            if (resultadoDelta.atualizacoes.length > 0) {
+                relatorio.delta.arquivoAtualizacao = delta.salvarAtualizacoes(resultadoDelta.atualizacoes, arquivoSaida, formato);
+                console.log(`📝 Atualização de preço/estoque salva em: ${relatorio.delta.arquivoAtualizacao}`);
+            }
+            if (resultadoDelta.removidos.length > 0) {
+                relatorio.delta.arquivoRemovidos = arquivoAoLado(arquivoSaida, 'removidos');
+                delta.salvarRemovidos(resultadoDelta.removidos, relatorio.delta.arquivoRemovidos);
+                console.log(`📝 Produtos removidos listados em: ${relatorio.delta.arquivoRemovidos}`);
+            }
+        }
+    }
+
+    // Gerando um arquivo para cada destino a partir da mesma conversão (com famílias, o ERP recebe
+    // as linhas de produto pai antes das variações; os demais destinos, os produtos como estão).
+    // No delta, o pai vem da conversão inteira e não é reenviado se já estava no estado anterior
+    let saidas;
+    if (resultadoFamilias) {
+        const produtosErp = familias.montarProdutosErp(produtosExportados, resultadoFamilias, regrasFamilias, {
+            todos: produtosNovos,
+            jaExportados: codigosJaExportados
+        });
+        saidas = exportadoresSaida.flatMap(exportador => salvarDestinos(
+            exportador.nome === 'erp' ? produtosErp : produtosExportados, [exportador], arquivoSaida, relatorio, formato));
+    } else {
+        saidas = salvarDestinos(produtosExportados, exportadoresSaida, arquivoSaida, relatorio, formato);
+    }
+    mostrarSaidas(saidas);
+
+    // Arquivos do delta anterior que este não regravou (sem novos, alterados ou removidos) saem,
+    // para não serem importados de novo
+    if (relatorio.delta && !relatorio.delta.completo) {
+        relatorio.delta.apagados = [
+            ...saidas.filter(saida => !saida.arquivo).map(saida => arquivoDoDestino(arquivoSaida, saida.exportador, formato.formato)),
+            ...(relatorio.delta.arquivoAtualizacao ? [] : [delta.arquivoAtualizacoes(arquivoSaida, formato)]),
+            ...(relatorio.delta.arquivoRemovidos ? [] : [arquivoAoLado(arquivoSaida, 'removidos')])
+        ].filter(arquivo => fs.existsSync(arquivo));
+        relatorio.delta.apagados.forEach(arquivo => {
+            fs.unlinkSync(arquivo);
+            console.log(`🗑️ Arquivo do delta anterior apagado: ${arquivo}`);
+        });
+    }
+
+    if (arquivoEstado) {
+        delta.salvarEstado(produtosNovos, arquivoEstado, { arquivoEntrada });
+        console.log(`\n📝 Estado exportado salvo em ${arquivoEstado} (base do próximo --delta)`);
+    }
+
+    if (opcoes.benchmark) {
+        mostrarDesempenho(relatorio.desempenho);
+    }
+
+    gravarRelatorio();
+
+    console.log('\n👋 Obrigado por usar o Conversor de Tabelas Excel!');
+    return CODIGOS_SAIDA.SUCESSO;
+}
+
+module.exports = { USO, executar };
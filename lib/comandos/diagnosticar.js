@@ -0,0 +1,141 @@
+// lib/comandos/diagnosticar.js - Comando "diagnosticar": mostra colunas, preenchimento e mapeamento
+const fs = require('fs');
+const { lerArgumentos, CODIGOS_SAIDA } = require('../argumentos');
+const { carregarPerfil, obterPerfilPadrao } = require('../perfil');
+const { diagnosticarColunas } = require('../conversor');
+const { lerProdutos } = require('../conversao');
+const { expandirEntradas } = require('../entrada');
+
+const USO = 'Uso: conversor-excel diagnosticar [arquivo_entrada.xlsx] [--abas Aba1,Aba2|todas] [--perfil perfil.json] [--confirmar campo1,campo2|todas] [--json]';
+
+const NOMES_TIPOS = { numero: 'número', data: 'data', duracao: 'duração', texto: 'texto', vazio: 'vazia' };
+const NOMES_LOCALIDADES = { br: '1.234,56', us: '1,234.56' };
+const NOMES_METODOS = {
+    exato: 'nome exato',
+    normalizado: 'nome sem acentos',
+    sinonimo: 'sinônimo',
+    palavras: 'palavras em comum',
+    distancia: 'distância de edição',
+    salvo: 'mapeamento confirmado'
+};
+
+/**
+ * Função para descrever o tipo inferido de uma coluna
+ */
+function descreverTipo(tipo, localidade) {
+    const nome = NOMES_TIPOS[tipo] || tipo;
+    return tipo === 'numero' && localidade ? `${nome} (${NOMES_LOCALIDADES[localidade]})` : nome;
+}
+
+/**
+ * Função para ler a opção --confirmar (lista de campos separados por vírgula ou "todas")
+ */
+function lerConfirmados(valor) {
+    if (!valor || valor === true) return [];
+    return String(valor).split(',').map(campo => campo.trim()).filter(Boolean);
+}
+
+/**
+ * Função para mostrar no console o mapeamento de cada campo, com a confiança do cabeçalho escolhido
+ */
+function mostrarMapeamento(mapeamento, resolucoes = {}) {
+    const sugeridos = [];
+
+    Object.entries(mapeamento).forEach(([campo, coluna]) => {
+        const resolucao = resolucoes[campo];
+        const percentual = resolucao ? `${Math.round(resolucao.confianca * 100)}%` : '';
+
+        if (coluna) {
+            const detalhe = resolucao && resolucao.coluna === coluna
+                ? ` (${percentual}, ${NOMES_METODOS[resolucao.metodo]}${['exato', 'salvo'].includes(resolucao.metodo) ? '' : ` de "${resolucao.nome}"`}${resolucao.situacao === 'confirmado' ? ', confirmado' : ''})`
+                : '';
+            console.log(`- ${campo}: ${coluna}${detalhe}`);
+        } else if (resolucao && resolucao.situacao === 'sugerido') {
+            sugeridos.push(campo);
+            console.log(`- ${campo}: NÃO ENCONTRADO (sugestão: "${resolucao.sugestao}", ${percentual} por ${NOMES_METODOS[resolucao.metodo]} - precisa de confirmação)`);
+        } else if (resolucao && resolucao.situacao === 'rejeitado') {
+            console.log(`- ${campo}: NÃO ENCONTRADO (mais próxima: "${resolucao.sugestao}", ${percentual}, rejeitada)`);
+        } else {
+            console.log(`- ${campo}: NÃO ENCONTRADO`);
+        }
+    });
+
+    if (sugeridos.length > 0) {
+        console.warn(`\n⚠️ ${sugeridos.length} cabeçalhos reconhecidos com baixa confiança não foram usados. Confira e use --confirmar ${sugeridos.join(',')} para aceitá-los.`);
+    }
+}
+
+/**
+ * Função para mostrar no console o resultado de diagnosticarColunas
+ */
+function mostrarDiagnostico(diagnostico) {
+    if (diagnostico.totalProdutos === 0) {
+        console.log('Nenhum produto encontrado para diagnóstico.');
+        return;
+    }
+
+    console.log(`\n=== DIAGNÓSTICO DE COLUNAS ===`);
+    console.log(`Total de produtos: ${diagnostico.totalProdutos}`);
+    console.log(`Total de colunas encontradas: ${diagnostico.colunas.length}`);
+
+    console.log('\nDetalhes das colunas:');
+    diagnostico.colunas.forEach(({ coluna, contagem, percentual, exemplos, tipo, localidade }) => {
+        console.log(`- "${coluna}": ${contagem} valores (${percentual}%) - ${descreverTipo(tipo, localidade)}`);
+        if (exemplos.length > 0) {
+            console.log(`  Exemplos: ${exemplos.map(e => `"${e}"`).join(', ')}`);
+        }
+    });
+
+    const colunasComProblemas = Object.entries(diagnostico.tipos || {}).filter(([, tipo]) => tipo.invalidos > 0 || tipo.ambiguos > 0);
+    if (colunasComProblemas.length > 0) {
+        console.log('\n⚠️ Valores que não seguem o tipo da coluna:');
+        colunasComProblemas.forEach(([coluna, tipo]) => {
+            const exemplos = [...tipo.exemplosInvalidos, ...tipo.exemplosAmbiguos].slice(0, 3).map(e => `"${e}"`).join(', ');
+            console.log(`- "${coluna}": ${tipo.invalidos} inválidos, ${tipo.ambiguos} ambíguos (ex.: ${exemplos})`);
+        });
+    }
+
+    console.log('\n=== ANÁLISE DE POSSÍVEIS COLUNAS DE DESCRIÇÃO ===');
+    console.log('\nPrincipais candidatas a coluna de descrição:');
+    diagnostico.candidatasDescricao.slice(0, 5).forEach((info, idx) => {
+        console.log(`${idx + 1}. "${info.coluna}" - ${info.contagem} valores (${info.percentual}%)`);
+        console.log(`   Exemplos: ${info.exemplos.slice(0, 2).map(e => `"${e}"`).join(', ')}`);
+    });
+
+    console.log("\n=== MAPEAMENTO FINAL ===");
+    mostrarMapeamento(diagnostico.mapeamento, diagnostico.resolucoes);
+}
+
+/**
+ * Função que executa o comando e devolve o código de saída
+ */
+function executar(argv) {
+    const { posicionais, opcoes } = lerArgumentos(argv, ['perfil', 'abas', 'confirmar']);
+
+    if (opcoes.ajuda || opcoes.h) {
+        console.log(USO);
+        return CODIGOS_SAIDA.SUCESSO;
+    }
+
+    const arquivos = expandirEntradas(posicionais[0] || 'dados_atuais.xlsx');
+    const ausente = arquivos.find(arquivo => !fs.existsSync(arquivo));
+    if (arquivos.length === 0 || ausente) {
+        console.error(`Erro: O arquivo ${ausente || posicionais[0]} não foi encontrado.`);
+        console.log(USO);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    const perfil = opcoes.perfil ? carregarPerfil(opcoes.perfil) : obterPerfilPadrao();
+    const { produtos } = lerProdutos(arquivos, { abas: opcoes.abas, perfil });
+    const diagnostico = diagnosticarColunas(produtos, perfil, { confirmados: lerConfirmados(opcoes.confirmar) });
+
+    if (opcoes.json) {
+        console.log(JSON.stringify(diagnostico, null, 2));
+    } else {
+        mostrarDiagnostico(diagnostico);
+    }
+
+    return CODIGOS_SAIDA.SUCESSO;
+}
+
+module.exports = { USO, executar, mostrarDiagnostico, mostrarMapeamento, lerConfirmados };
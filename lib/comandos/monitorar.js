@@ -0,0 +1,174 @@
+// lib/comandos/monitorar.js - Comando "monitorar": converte cada planilha nova de uma pasta de entrada
+const fs = require('fs');
+const { lerArgumentos, CODIGOS_SAIDA } = require('../argumentos');
+const monitoramento = require('../monitoramento');
+const converter = require('./converter');
+
+const USO = 'Uso: conversor-excel monitorar <pasta_entrada> [--saida pasta] [--arquivo pasta] [--erros pasta] [--registro registro.json] [--intervalo 10] [--uma-vez] [-- opções do converter, ex.: --perfil perfil.json --destino erp,tiny]';
+// Opções do converter que não fazem sentido sem ninguém olhando ou que o monitoramento define
+const OPCOES_NAO_REPASSADAS = ['interativo', 'entrada', 'relatorio'];
+
+/**
+ * Função para converter uma planilha da pasta de entrada e movê-la para o arquivo ou para os erros
+ *
+ * Retorna true quando a conversão terminou com sucesso (ou o arquivo já tinha sido convertido).
+ */
+async function processarArquivo(arquivo, { pastas, registro, repassados }) {
+    const quando = monitoramento.carimbo();
+    const hash = monitoramento.hashDoArquivo(arquivo);
+
+    if (monitoramento.jaConvertido(registro, hash)) {
+        const anterior = registro.processados[hash];
+        const destino = monitoramento.moverArquivo(arquivo, pastas.arquivo, quando);
+        console.log(`\n⚠️ ${arquivo} já foi convertido em ${anterior.processadoEm} (${anterior.saida}); movido para ${destino} sem converter de novo.`);
+        return true;
+    }
+
+    const caminhos = monitoramento.caminhosDeSaida(arquivo, pastas.saida, quando);
+    console.log(`\n📥 Nova planilha: ${arquivo}`);
+    monitoramento.registrarProcessamento(registro, hash, { arquivo, status: 'processando', processadoEm: new Date().toISOString() });
+
+    let codigo;
+    let mensagemErro = null;
+    try {
+        codigo = await converter.executar([arquivo, caminhos.saida, ...repassados, '--relatorio', caminhos.relatorio]);
+    } catch (error) {
+        codigo = CODIGOS_SAIDA.ERRO;
+        mensagemErro = error.message;
+        console.error(`\n❌ Erro ao converter ${arquivo}: ${error.message}`);
+    }
+
+    const sucesso = codigo === CODIGOS_SAIDA.SUCESSO;
+    const destino = monitoramento.moverArquivo(arquivo, sucesso ? pastas.arquivo : pastas.erros, quando);
+    if (!sucesso) {
+        const motivo = mensagemErro || `A conversão terminou com o código de saída ${codigo}; veja o relatório ${caminhos.relatorio}.`;
+        fs.writeFileSync(`${destino}.erro.txt`, `${motivo}\n`, 'utf8');
+    }
+
+    monitoramento.registrarProcessamento(registro, hash, {
+        status: sucesso ? 'convertido' : 'erro',
+        codigoSaida: codigo,
+        saida: caminhos.saida,
+        relatorio: fs.existsSync(caminhos.relatorio) ? caminhos.relatorio : null,
+        movidoPara: destino,
+        ...(mensagemErro ? { erro: mensagemErro } : {})
+    });
+
+    if (sucesso) {
+        console.log(`✅ ${arquivo} convertido; entrada movida para ${destino}`);
+    } else {
+        console.error(`❌ ${arquivo} não foi convertido (código ${codigo}); entrada movida para ${destino}`);
+    }
+    return sucesso;
+}
+
+/**
+ * Função que executa o comando e devolve (uma Promise com) o código de saída
+ *
+ * Sem --uma-vez, fica varrendo a pasta de entrada a cada --intervalo segundos até receber Ctrl+C.
+ */
+async function executar(argv) {
+    // Depois de "--" vêm as opções repassadas ao converter
+    const separador = argv.indexOf('--');
+    const proprios = separador === -1 ? argv : argv.slice(0, separador);
+    const repassados = separador === -1 ? [] : argv.slice(separador + 1);
+    const { posicionais, opcoes } = lerArgumentos(proprios, ['saida', 'arquivo', 'erros', 'registro', 'intervalo']);
+
+    if (opcoes.ajuda || opcoes.h) {
+        console.log(USO);
+        return CODIGOS_SAIDA.SUCESSO;
+    }
+
+    console.log('=== MONITORAMENTO DA PASTA DE ENTRADA ===');
+
+    if (!posicionais[0]) {
+        console.error('Erro: informe a pasta de entrada a monitorar.');
+        console.log(USO);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    const naoRepassada = Object.keys(lerArgumentos(repassados).opcoes).find(nome => OPCOES_NAO_REPASSADAS.includes(nome));
+    if (naoRepassada) {
+        console.error(`Erro: a opção --${naoRepassada} não pode ser usada no monitoramento.`);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    const intervalo = opcoes.intervalo !== undefined ? Number(opcoes.intervalo) : 10;
+    if (!(intervalo > 0)) {
+        console.error('Erro: --intervalo deve ser um número de segundos maior que zero.');
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    let pastas;
+    let registro;
+    try {
+        pastas = monitoramento.resolverPastas(posicionais[0], opcoes);
+        monitoramento.prepararPastas(pastas);
+        registro = monitoramento.carregarRegistro(pastas.registro);
+    } catch (error) {
+        console.error(`Erro: ${error.message}`);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    console.log(`Pasta de entrada: ${pastas.entrada}`);
+    console.log(`Saídas e relatórios: ${pastas.saida}`);
+    console.log(`Entradas convertidas: ${pastas.arquivo}`);
+    console.log(`Entradas com erro: ${pastas.erros}`);
+    console.log(`Registro: ${pastas.registro} (${Object.keys(registro.processados).length} arquivos processados)`);
+    if (repassados.length > 0) {
+        console.log(`Opções do converter: ${repassados.join(' ')}`);
+    }
+
+    const observados = new Map();
+    let falhas = 0;
+    const processarProntos = async () => {
+        for (const arquivo of monitoramento.listarProntos(pastas.entrada, observados)) {
+            // O arquivo pode ter sido removido enquanto o anterior era convertido
+            if (!fs.existsSync(arquivo)) continue;
+            if (!(await processarArquivo(arquivo, { pastas, registro, repassados }))) falhas++;
+        }
+    };
+
+    if (opcoes['uma-vez']) {
+        await processarProntos();
+        console.log(`\nVarredura concluída${falhas > 0 ? ` com ${falhas} arquivos com erro` : ''}.`);
+        return falhas > 0 ? CODIGOS_SAIDA.ERRO : CODIGOS_SAIDA.SUCESSO;
+    }
+
+    console.log(`\n👀 Aguardando planilhas (varredura a cada ${intervalo}s, Ctrl+C para encerrar)...`);
+    return new Promise(resolve => {
+        let encerrando = false;
+        let temporizador = null;
+
+        const ciclo = async () => {
+            temporizador = null;
+            try {
+                await processarProntos();
+            } catch (error) {
+                console.error(`\n❌ Erro na varredura da pasta de entrada: ${error.message}`);
+            }
+            if (encerrando) {
+                resolve(CODIGOS_SAIDA.SUCESSO);
+                return;
+            }
+            temporizador = setTimeout(ciclo, intervalo * 1000);
+        };
+
+        // Ctrl+C espera a conversão em andamento terminar
+        const encerrar = () => {
+            if (encerrando) return;
+            encerrando = true;
+            console.log('\nEncerrando o monitoramento...');
+            if (temporizador) {
+                clearTimeout(temporizador);
+                resolve(CODIGOS_SAIDA.SUCESSO);
+            }
+        };
+        process.once('SIGINT', encerrar);
+        process.once('SIGTERM', encerrar);
+
+        ciclo();
+    });
+}
+
+module.exports = { USO, executar };
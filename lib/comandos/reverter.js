@@ -0,0 +1,184 @@
+// lib/comandos/reverter.js - Comando "reverter": planilha exportada do ERP de volta para o formato legado
+const XLSX = require('xlsx');
+const fs = require('fs');
+const { lerArgumentos, CODIGOS_SAIDA } = require('../argumentos');
+const { carregarPerfil, obterPerfilPadrao } = require('../perfil');
+const { lerProdutos, converterProdutos } = require('../conversao');
+const { formatoDoArquivo, salvarLinhas } = require('../exportadores/formatos');
+const { arquivoAoLado } = require('../exportadores');
+const relatorioConversao = require('../relatorio');
+const entrada = require('../entrada');
+const { ehArquivoCsv } = require('../streaming');
+const { lerProdutosExportados } = require('../comparador');
+const reversao = require('../reversao');
+
+const USO = 'Uso: conversor-excel reverter <arquivo_erp.xlsx> [arquivo_legado.xlsx] [--base planilha_legada.xlsx] [--perfil perfil.json] [--codificacao-entrada auto|utf8|windows-1252|latin1] [--relatorio log.json]\n' +
+    '     conversor-excel reverter --verificar <planilha_legada.xlsx> [--perfil perfil.json] [--relatorio log.json]';
+
+/**
+ * Função para mostrar as colunas que não voltam para a planilha legada
+ */
+function mostrarNaoReversiveis(naoReversiveis) {
+    const doErp = naoReversiveis.filter(item => item['Coluna do ERP']);
+    const doLegado = naoReversiveis.filter(item => !item['Coluna do ERP']);
+    console.log(`⚠️ ${doErp.length} colunas do ERP não voltam para a planilha legada (constantes, numeração ou modelos não reversíveis)`);
+    if (doLegado.length > 0) {
+        console.log(`⚠️ Colunas da planilha legada sem correspondente no ERP: ${doLegado.map(item => item['Coluna legada']).join(', ')}`);
+    }
+}
+
+/**
+ * Função para ler as linhas da planilha legada de base com os valores das células
+ *
+ * A conversão lê as células como texto formatado; na saída, as linhas da base mantêm os valores
+ * originais (números continuam números). CSV já é texto.
+ */
+function lerCelulasDaBase(arquivo, leitura) {
+    if (ehArquivoCsv(arquivo)) return leitura.produtos;
+    const workbook = XLSX.readFile(arquivo, { cellDates: true });
+    const linhas = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+    return linhas.length === leitura.produtos.length ? linhas : leitura.produtos;
+}
+
+/**
+ * Função para conferir a ida e volta de uma planilha legada (convert → reverter)
+ */
+function executarVerificacao(arquivo, { perfil, opcoes }) {
+    console.log(`Planilha legada: ${arquivo}`);
+    const leitura = lerProdutos([arquivo], { perfil, codificacao: opcoes['codificacao-entrada'] || 'auto' });
+    const conversao = converterProdutos(leitura.produtos, { perfil, origens: leitura.origens, arquivoEntrada: arquivo });
+    const resultado = reversao.verificarIdaEVolta(leitura.produtos, { perfil, conversao });
+
+    const arquivoVerificacao = arquivoAoLado(arquivo, 'ida-e-volta');
+    reversao.salvarVerificacao(resultado, arquivoVerificacao);
+
+    console.log('\n=== VERIFICAÇÃO DE IDA E VOLTA ===');
+    console.log(`${conversao.produtos.length} produtos convertidos e revertidos (${resultado.conferidos} valores conferidos)`);
+    mostrarNaoReversiveis(resultado.naoReversiveis);
+    if (resultado.derivados.length > 0) {
+        console.log(`⚠️ ${resultado.derivados.length} descrições vazias preenchidas na ida com outra coluna (na volta ocupam a Descrição)`);
+    }
+    if (resultado.divergencias.length === 0) {
+        console.log('✅ Todos os valores que vão para o ERP voltam iguais aos originais.');
+    } else {
+        console.log(`❌ ${resultado.divergencias.length} valores não voltam iguais:`);
+        Object.entries(resultado.porColuna).forEach(([coluna, total]) => {
+            console.log(`- ${coluna}: ${total}`);
+        });
+    }
+    console.log(`📝 Divergências e colunas não reversíveis salvas em: ${arquivoVerificacao}`);
+
+    if (opcoes.relatorio) {
+        relatorioConversao.salvarRelatorio({
+            arquivoEntrada: arquivo,
+            perfil: perfil.nome || perfil.arquivo,
+            produtos: conversao.produtos.length,
+            conferidos: resultado.conferidos,
+            divergencias: resultado.porColuna,
+            derivados: resultado.derivados.length,
+            naoReversiveis: resultado.naoReversiveis,
+            arquivo: arquivoVerificacao
+        }, opcoes.relatorio);
+        console.log(`📝 Relatório salvo em: ${opcoes.relatorio}`);
+    }
+
+    return resultado.divergencias.length > 0 ? CODIGOS_SAIDA.VALIDACAO : CODIGOS_SAIDA.SUCESSO;
+}
+
+/**
+ * Função que executa o comando e devolve o código de saída
+ */
+async function executar(argv) {
+    const { posicionais, opcoes } = lerArgumentos(argv, ['base', 'perfil', 'relatorio', 'verificar', 'codificacao-entrada']);
+
+    if (opcoes.ajuda || opcoes.h) {
+        console.log(USO);
+        return CODIGOS_SAIDA.SUCESSO;
+    }
+
+    console.log('=== CONVERSÃO REVERSA (ERP → PLANILHA LEGADA) ===');
+
+    const perfil = opcoes.perfil ? carregarPerfil(opcoes.perfil) : obterPerfilPadrao();
+    console.log(`Perfil de mapeamento: ${perfil.nome || perfil.arquivo}`);
+
+    if (opcoes.verificar) {
+        const arquivo = opcoes.verificar === true ? posicionais[0] : opcoes.verificar;
+        if (!arquivo || !fs.existsSync(arquivo)) {
+            console.error(`Erro: informe a planilha legada a verificar${arquivo ? ` (${arquivo} não foi encontrada)` : ''}.`);
+            console.log(USO);
+            return CODIGOS_SAIDA.USO_INVALIDO;
+        }
+        return executarVerificacao(arquivo, { perfil, opcoes });
+    }
+
+    const arquivoErp = posicionais[0];
+    if (!arquivoErp || !fs.existsSync(arquivoErp)) {
+        console.error(`Erro: informe a planilha exportada do ERP${arquivoErp ? ` (${arquivoErp} não foi encontrada)` : ''}.`);
+        console.log(USO);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+    if (opcoes.base && !fs.existsSync(opcoes.base)) {
+        console.error(`Erro: a planilha legada de base ${opcoes.base} não foi encontrada.`);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+    const arquivoSaida = posicionais[1] || arquivoAoLado(arquivoErp, 'legado');
+    const codificacao = opcoes['codificacao-entrada'] || 'auto';
+
+    console.log(`Planilha do ERP: ${arquivoErp}`);
+    console.log(`Planilha legada de saída: ${arquivoSaida}`);
+
+    // Planilhas do ERP são lidas com os valores das células (números como números)
+    const produtosErp = ehArquivoCsv(arquivoErp)
+        ? entrada.lerEntradas([arquivoErp], { codificacao }).produtos
+        : lerProdutosExportados(arquivoErp);
+    console.log(`Lidos ${produtosErp.length} produtos do ERP.`);
+
+    // A planilha legada de base guarda as colunas que não voltam do ERP (Aplicação, Catálogo...)
+    let base = null;
+    if (opcoes.base) {
+        const leitura = lerProdutos([opcoes.base], { perfil, codificacao });
+        const conversao = converterProdutos(leitura.produtos, { perfil, origens: leitura.origens, arquivoEntrada: opcoes.base });
+        base = { produtos: lerCelulasDaBase(opcoes.base, leitura), conversao };
+        console.log(`Planilha legada de base: ${opcoes.base} (${leitura.produtos.length} linhas)`);
+    }
+
+    const resultado = reversao.reverterProdutos(produtosErp, { perfil, base });
+    salvarLinhas(resultado.linhas, arquivoSaida, { formato: formatoDoArquivo(arquivoSaida) || 'xlsx', nomeAba: 'Produtos', colunas: resultado.colunas });
+
+    const arquivoRelatorioReversao = arquivoAoLado(arquivoSaida, 'reversao');
+    reversao.salvarRelatorioReversao(resultado, arquivoRelatorioReversao);
+
+    console.log('\n=== RESUMO DA REVERSÃO ===');
+    if (base) {
+        console.log(`✏️ ${resultado.resumo.atualizados} produtos com alterações (${resultado.alteracoes.length} valores)`);
+        console.log(`✨ ${resultado.resumo.novos} produtos só no ERP (acrescentados ao fim)`);
+        console.log(`📦 ${resultado.resumo.soNaBase} produtos só na planilha legada (mantidos como estavam)`);
+    } else {
+        console.log(`✨ ${resultado.linhas.length} produtos revertidos (sem --base, só as colunas que voltam do ERP)`);
+    }
+    mostrarNaoReversiveis(resultado.naoReversiveis);
+    if (resultado.revisao.length > 0) {
+        console.log(`⚠️ ${resultado.revisao.length} valores para revisão (colunas divergentes ou fora do modelo)`);
+    }
+    console.log(`✅ Planilha legada salva em: ${arquivoSaida}`);
+    console.log(`📝 Alterações, revisão e colunas não reversíveis salvas em: ${arquivoRelatorioReversao}`);
+
+    if (opcoes.relatorio) {
+        relatorioConversao.salvarRelatorio({
+            arquivoErp,
+            arquivoSaida,
+            base: opcoes.base || null,
+            perfil: perfil.nome || perfil.arquivo,
+            resumo: resultado.resumo,
+            alteracoes: resultado.alteracoes.length,
+            revisao: resultado.revisao,
+            naoReversiveis: resultado.naoReversiveis,
+            arquivo: arquivoRelatorioReversao
+        }, opcoes.relatorio);
+        console.log(`📝 Relatório salvo em: ${opcoes.relatorio}`);
+    }
+
+    return CODIGOS_SAIDA.SUCESSO;
+}
+
+module.exports = { USO, executar };
@@ -0,0 +1,112 @@
+// lib/comandos/separar.js - Comando "separar": separa código e descrição que vêm na mesma coluna
+const XLSX = require('xlsx');
+const fs = require('fs');
+const { lerArgumentos, CODIGOS_SAIDA } = require('../argumentos');
+const { carregarPadroesCodigo, obterPadroesCodigo, identificarColunaCodigo, separarCodigoDescricao } = require('../separador');
+const { escolherColunaInterativa } = require('./assistente');
+
+const USO = 'Uso: conversor-excel separar [arquivo_entrada.xlsx] [arquivo_saida.xlsx] [--coluna-codigo "Nome da coluna"] [--interativo] [--padroes codigos.json] [--confianca-minima 0.6] [--sem-inferencia]';
+
+/**
+ * Função que executa o comando e devolve (uma Promise com) o código de saída
+ */
+async function executar(argv) {
+    const { posicionais, opcoes } = lerArgumentos(argv, ['coluna-codigo', 'padroes', 'confianca-minima']);
+
+    if (opcoes.ajuda || opcoes.h) {
+        console.log(USO);
+        return CODIGOS_SAIDA.SUCESSO;
+    }
+
+    console.log('=== SEPARADOR DE CÓDIGO E DESCRIÇÃO ===');
+
+    const arquivoEntrada = posicionais[0] || 'dados_atuais.xlsx';
+    const arquivoSaida = posicionais[1] || 'dados_separados.xlsx';
+
+    if (!fs.existsSync(arquivoEntrada)) {
+        console.error(`Erro: O arquivo ${arquivoEntrada} não foi encontrado.`);
+        console.log(USO);
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    console.log(`Lendo arquivo: ${arquivoEntrada}`);
+
+    // Ler o arquivo Excel
+    const workbook = XLSX.readFile(arquivoEntrada);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const produtos = XLSX.utils.sheet_to_json(worksheet);
+    console.log(`Lidos ${produtos.length} produtos.`);
+
+    if (produtos.length === 0) {
+        console.error('Nenhum produto encontrado no arquivo.');
+        return CODIGOS_SAIDA.ERRO;
+    }
+
+    const confiancaMinima = opcoes['confianca-minima'] !== undefined ? Number(opcoes['confianca-minima']) : undefined;
+    if (confiancaMinima !== undefined && !(confiancaMinima >= 0 && confiancaMinima <= 1)) {
+        console.error('Erro: --confianca-minima deve ser um número de 0 a 1.');
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    // No modo interativo o usuário confirma a coluna de código em vez de ela ser adivinhada
+    let colunaCodigo = opcoes['coluna-codigo'];
+    if (opcoes.interativo && !colunaCodigo) {
+        const sugerida = identificarColunaCodigo(Object.keys(produtos[0]), undefined).coluna;
+        colunaCodigo = await escolherColunaInterativa({ campo: 'codigo', produtos, sugerida });
+        if (!colunaCodigo) {
+            console.error('Nenhuma coluna de código escolhida; nada a separar.');
+            return CODIGOS_SAIDA.USO_INVALIDO;
+        }
+    }
+
+    const resultado = separarCodigoDescricao(produtos, {
+        colunaCodigo,
+        configuracao: opcoes.padroes ? carregarPadroesCodigo(opcoes.padroes) : obterPadroesCodigo(),
+        confiancaMinima,
+        inferir: !opcoes['sem-inferencia']
+    });
+
+    console.log('Colunas encontradas:');
+    resultado.colunas.forEach(col => console.log(`- ${col}`));
+
+    if (resultado.metodoColuna === 'parcial') {
+        console.error('Não foi possível identificar a coluna de código pelo nome exato; usando uma coluna que contém "cod".');
+    } else if (resultado.metodoColuna === 'primeira') {
+        console.error('Coluna de código não encontrada. Usando a primeira coluna como código (informe --coluna-codigo).');
+    }
+    console.log(`Usando coluna "${resultado.colunaCodigo}" como código.`);
+
+    if (resultado.padroesInferidos.length > 0) {
+        console.log(`\nFormatos de código inferidos das linhas já separadas (coluna "${resultado.colunaDescricao}"):`);
+        resultado.padroesInferidos.slice(0, 5).forEach(item => {
+            console.log(`- "${item.formato}": ${item.ocorrencias} códigos (confiança ${item.confianca.toFixed(2)})`);
+        });
+    }
+
+    console.log(`\nResultados:`);
+    console.log(`- Produtos separados em código e descrição: ${resultado.separados}`);
+    Object.entries(resultado.porPadrao).forEach(([padrao, total]) => {
+        console.log(`  ${padrao}: ${total}`);
+    });
+    if (resultado.descricoesMantidas > 0) {
+        console.log(`- Descrições já preenchidas mantidas (só o código foi corrigido): ${resultado.descricoesMantidas}`);
+    }
+    console.log(`- Produtos sem espaços no código: ${resultado.codigosSemEspaco}`);
+    console.log(`- Produtos com confiança abaixo de ${resultado.confiancaMinima} (não alterados, aba "Revisão"): ${resultado.revisao.length}`);
+
+    // Criar nova planilha (e a aba de revisão, se houver) e salvar
+    const novaPlanilha = XLSX.utils.json_to_sheet(resultado.produtos);
+    const novoWorkbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(novoWorkbook, novaPlanilha, 'Produtos');
+    if (resultado.revisao.length > 0) {
+        XLSX.utils.book_append_sheet(novoWorkbook, XLSX.utils.json_to_sheet(resultado.revisao), 'Revisão');
+    }
+    XLSX.writeFile(novoWorkbook, arquivoSaida);
+
+    console.log(`\nArquivo salvo com sucesso em: ${arquivoSaida}`);
+    console.log('Agora você pode usar o conversor com este arquivo separado.');
+
+    return CODIGOS_SAIDA.SUCESSO;
+}
+
+module.exports = { USO, executar };
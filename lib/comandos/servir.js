@@ -0,0 +1,69 @@
+// lib/comandos/servir.js - Comando "servir": interface web local para enviar, revisar e converter planilhas
+const { lerArgumentos, CODIGOS_SAIDA } = require('../argumentos');
+const { carregarPerfil, obterPerfilPadrao } = require('../perfil');
+const { criarServidor, TAMANHO_MAXIMO } = require('../web/servidor');
+const { PASTA_MAPEAMENTOS } = require('../mapeamentos');
+
+const USO = 'Uso: conversor-excel servir [--porta 3000] [--perfil perfil.json] [--mapeamentos pasta]';
+// Só o próprio computador acessa a interface
+const HOST = '127.0.0.1';
+
+/**
+ * Função que executa o comando e devolve o código de saída
+ *
+ * O servidor fica no ar até receber Ctrl+C; as pastas temporárias das planilhas enviadas são
+ * apagadas ao encerrar.
+ */
+async function executar(argv) {
+    const { opcoes } = lerArgumentos(argv, ['porta', 'perfil', 'mapeamentos']);
+
+    if (opcoes.ajuda || opcoes.h) {
+        console.log(USO);
+        return CODIGOS_SAIDA.SUCESSO;
+    }
+
+    console.log('=== INTERFACE WEB LOCAL ===');
+
+    const porta = opcoes.porta !== undefined ? Number(opcoes.porta) : 3000;
+    if (!Number.isInteger(porta) || porta < 0 || porta > 65535) {
+        console.error('Erro: --porta deve ser um número entre 0 e 65535.');
+        return CODIGOS_SAIDA.USO_INVALIDO;
+    }
+
+    const perfil = opcoes.perfil ? carregarPerfil(opcoes.perfil) : obterPerfilPadrao();
+    console.log(`Perfil de mapeamento: ${perfil.nome || perfil.arquivo}`);
+
+    const pastaMapeamentos = typeof opcoes.mapeamentos === 'string' ? opcoes.mapeamentos : PASTA_MAPEAMENTOS;
+    console.log(`Mapeamentos confirmados: ${pastaMapeamentos}`);
+
+    const { servidor, encerrar } = criarServidor({ perfil, pastaMapeamentos, aoRegistrar: mensagem => console.log(mensagem) });
+
+    try {
+        await new Promise((resolve, reject) => {
+            servidor.once('error', reject);
+            servidor.listen(porta, HOST, resolve);
+        });
+    } catch (error) {
+        console.error(error.code === 'EADDRINUSE'
+            ? `Erro: a porta ${porta} já está em uso. Use --porta para escolher outra.`
+            : `Erro: não foi possível iniciar o servidor: ${error.message}`);
+        return CODIGOS_SAIDA.ERRO;
+    }
+
+    console.log(`Planilhas de até ${Math.round(TAMANHO_MAXIMO / 1024 / 1024)} MB`);
+    console.log(`\n👀 Interface disponível em http://${HOST}:${servidor.address().port} (Ctrl+C para encerrar)`);
+
+    return new Promise(resolve => {
+        const finalizar = async () => {
+            process.removeListener('SIGINT', finalizar);
+            process.removeListener('SIGTERM', finalizar);
+            console.log('\nEncerrando a interface web...');
+            await encerrar();
+            resolve(CODIGOS_SAIDA.SUCESSO);
+        };
+        process.once('SIGINT', finalizar);
+        process.once('SIGTERM', finalizar);
+    });
+}
+
+module.exports = { USO, executar };
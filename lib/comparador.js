@@ -0,0 +1,165 @@
+// lib/comparador.js - Comparação entre a conversão nova e o arquivo exportado anteriormente
+const XLSX = require('xlsx');
+
+// Campos que recebem destaque no resumo por serem os que mais mudam entre importações
+const CAMPOS_DESTAQUE = ['Preço', 'Preço de custo', 'Estoque'];
+
+// Campos que mudam a cada execução e não representam alteração do produto
+const CAMPOS_IGNORADOS = ['ID'];
+
+/**
+ * Função para ler os produtos de um arquivo exportado anteriormente (aba "Produtos" ou a primeira)
+ */
+function lerProdutosExportados(arquivo) {
+    const workbook = XLSX.readFile(arquivo, { cellDates: true });
+    const nomeAba = workbook.SheetNames.includes('Produtos') ? 'Produtos' : workbook.SheetNames[0];
+
+    if (!nomeAba) {
+        throw new Error(`O arquivo ${arquivo} não possui planilhas.`);
+    }
+
+    return XLSX.utils.sheet_to_json(workbook.Sheets[nomeAba], { defval: '' });
+}
+
+/**
+ * Função para normalizar um valor antes da comparação (vazios, números e textos)
+ */
+function valorComparavel(valor) {
+    if (valor === undefined || valor === null) return '';
+    if (typeof valor === 'number') return valor;
+    const texto = String(valor).trim();
+    if (texto !== '' && !isNaN(Number(texto))) return Number(texto);
+    return texto;
+}
+
+/**
+ * Função para verificar se dois valores são equivalentes
+ */
+function valoresIguais(a, b) {
+    const valorA = valorComparavel(a);
+    const valorB = valorComparavel(b);
+    if (typeof valorA === 'number' && typeof valorB === 'number') {
+        return Math.abs(valorA - valorB) < 1e-9;
+    }
+    return String(valorA) === String(valorB);
+}
+
+/**
+ * Função para indexar produtos pelo Código (a primeira ocorrência de cada código é mantida)
+ */
+function indexarPorCodigo(produtos) {
+    const indice = new Map();
+    const duplicados = [];
+
+    produtos.forEach(produto => {
+        const codigo = String(produto['Código'] === undefined || produto['Código'] === null ? '' : produto['Código']).trim();
+        if (!codigo) return;
+        if (indice.has(codigo)) {
+            duplicados.push(codigo);
+            return;
+        }
+        indice.set(codigo, produto);
+    });
+
+    return { indice, duplicados };
+}
+
+/**
+ * Função para comparar os produtos anteriores com os novos, casando pelo Código
+ */
+function compararProdutos(anteriores, atuais) {
+    const { indice: indiceAnterior, duplicados: duplicadosAnteriores } = indexarPorCodigo(anteriores);
+    const { indice: indiceAtual, duplicados: duplicadosAtuais } = indexarPorCodigo(atuais);
+
+    const novos = [];
+    const removidos = [];
+    const alterados = [];
+    const alteracoesPorCampo = {};
+    let produtosAlterados = 0;
+
+    for (const [codigo, atual] of indiceAtual) {
+        const anterior = indiceAnterior.get(codigo);
+        if (!anterior) {
+            novos.push(atual);
+            continue;
+        }
+
+        const campos = new Set([...Object.keys(anterior), ...Object.keys(atual)]);
+        let alterado = false;
+
+        for (const campo of campos) {
+            if (CAMPOS_IGNORADOS.includes(campo)) continue;
+            if (valoresIguais(anterior[campo], atual[campo])) continue;
+
+            alterado = true;
+            alteracoesPorCampo[campo] = (alteracoesPorCampo[campo] || 0) + 1;
+            alterados.push({
+                'Código': codigo,
+                'Descrição': atual['Descrição'],
+                'Campo': campo,
+                'Valor anterior': valorComparavel(anterior[campo]),
+                'Valor atual': valorComparavel(atual[campo])
+            });
+        }
+
+        if (alterado) produtosAlterados++;
+    }
+
+    for (const [codigo, anterior] of indiceAnterior) {
+        if (!indiceAtual.has(codigo)) {
+            removidos.push(anterior);
+        }
+    }
+
+    return {
+        novos,
+        removidos,
+        alterados,
+        resumo: {
+            produtosAnteriores: indiceAnterior.size,
+            produtosAtuais: indiceAtual.size,
+            novos: novos.length,
+            removidos: removidos.length,
+            alterados: produtosAlterados,
+            semAlteracao: indiceAtual.size - novos.length - produtosAlterados,
+            alteracoesPorCampo,
+            codigosDuplicadosAnteriores: duplicadosAnteriores,
+            codigosDuplicadosAtuais: duplicadosAtuais
+        }
+    };
+}
+
+/**
+ * Função para gravar a comparação em um workbook separado (Resumo, Novos, Removidos, Alterados)
+ */
+function salvarComparacao(comparacao, arquivo) {
+    const { resumo } = comparacao;
+    const linhasResumo = [
+        { 'Indicador': 'Produtos no arquivo anterior', 'Valor': resumo.produtosAnteriores },
+        { 'Indicador': 'Produtos na conversão atual', 'Valor': resumo.produtosAtuais },
+        { 'Indicador': 'Produtos novos', 'Valor': resumo.novos },
+        { 'Indicador': 'Produtos removidos', 'Valor': resumo.removidos },
+        { 'Indicador': 'Produtos alterados', 'Valor': resumo.alterados },
+        { 'Indicador': 'Produtos sem alteração', 'Valor': resumo.semAlteracao },
+        ...Object.entries(resumo.alteracoesPorCampo).map(([campo, total]) => ({
+            'Indicador': `Alterações em "${campo}"`,
+            'Valor': total
+        }))
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(linhasResumo), 'Resumo');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(comparacao.novos), 'Novos');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(comparacao.removidos), 'Removidos');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(comparacao.alterados, {
+        header: ['Código', 'Descrição', 'Campo', 'Valor anterior', 'Valor atual']
+    }), 'Alterados');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    CAMPOS_DESTAQUE,
+    lerProdutosExportados,
+    compararProdutos,
+    salvarComparacao
+};
@@ -0,0 +1,256 @@
+// lib/conversao.js - Etapas da conversão de uma planilha inteira, sem saída no console
+const { converterProduto, resolverMapeamento, diagnosticarColunas } = require('./conversor');
+const { resolverCabecalhos } = require('./cabecalhos');
+const { obterPerfilPadrao } = require('./perfil');
+const { arquivoDoDestino, exportarProdutos } = require('./exportadores');
+const relatorioConversao = require('./relatorio');
+const entrada = require('./entrada');
+const streaming = require('./streaming');
+const pendencias = require('./pendencias');
+const mapeamentos = require('./mapeamentos');
+const { perfilarColunas } = require('./tipos');
+
+// Linhas lidas no modo streaming antes de converter, para inferir o tipo e a localidade das colunas
+const LINHAS_PERFIL = 5000;
+
+/**
+ * Função para ler as entradas (arquivos, abas) e remover duplicados quando há mais de uma fonte
+ */
+function lerProdutos(arquivos, { abas, codificacao, deduplicar, conflito = 'primeiro', perfil = obterPerfilPadrao() } = {}) {
+    const leitura = entrada.lerEntradas([].concat(arquivos), { abas, codificacao });
+
+    if (leitura.fontes.length <= 1 && !deduplicar) {
+        return { ...leitura, deduplicacao: null };
+    }
+
+    const deduplicacao = entrada.deduplicar(leitura.produtos, leitura.origens, {
+        chave: typeof deduplicar === 'string' ? deduplicar : 'codigo',
+        politica: conflito,
+        perfil
+    });
+
+    return {
+        produtos: deduplicacao.produtos,
+        origens: deduplicacao.origens,
+        fontes: leitura.fontes,
+        deduplicacao: { politica: conflito, ...deduplicacao }
+    };
+}
+
+/**
+ * Função para converter todas as linhas lidas, montando o relatório da execução
+ *
+ * `aoConverterLinha(index, total, { produto, rastreio, erro })` é chamada após cada linha (progresso, logs).
+ * Um `diagnostico` já calculado por diagnosticarColunas pode ser reaproveitado; `confirmados`
+ * lista os campos cujo cabeçalho de baixa confiança deve ser aceito.
+ */
+function converterProdutos(produtosRaw, { perfil = obterPerfilPadrao(), origens = [], arquivoEntrada = null, mapeamento, diagnostico: diagnosticoInformado, confirmados, aoConverterLinha } = {}) {
+    const medidor = streaming.criarMedidor();
+    const diagnostico = diagnosticoInformado || diagnosticarColunas(produtosRaw, perfil, { confirmados });
+    const mapa = mapeamento || diagnostico.mapeamento;
+
+    const relatorio = relatorioConversao.criarRelatorio({
+        arquivoEntrada,
+        perfil,
+        cabecalhos: produtosRaw.length > 0 ? Object.keys(produtosRaw[0]) : [],
+        mapaColunas: mapa,
+        resolucoes: diagnostico.resolucoes
+    });
+    relatorio.tiposColunas = diagnostico.tipos;
+
+    const produtos = [];
+    const erros = [];
+    // Para cada produto convertido: a linha de origem (1 = primeira) e o rastreio da conversão
+    const linhas = [];
+
+    produtosRaw.forEach((produtoRaw, index) => {
+        const rastreio = { origem: origens[index] || null };
+        let produto = null;
+        let erro = null;
+
+        try {
+            // Verificar se o produto é válido
+            if (!produtoRaw || typeof produtoRaw !== 'object') {
+                throw new Error('Produto inválido ou vazio');
+            }
+
+            produto = converterProduto(produtoRaw, mapa, index, perfil, rastreio, diagnostico.tipos);
+            relatorioConversao.registrarLinha(relatorio, index + 1, produto.Código, rastreio, produtoRaw);
+            produtos.push(produto);
+            linhas.push({ indice: index + 1, rastreio });
+            medidor.registrarLinha();
+        } catch (error) {
+            erro = error;
+            erros.push({ indice: index + 1, mensagem: error.message });
+            relatorioConversao.registrarErro(relatorio, index + 1, error.message);
+        }
+
+        if (aoConverterLinha) {
+            aoConverterLinha(index, produtosRaw.length, { produto, rastreio, erro });
+        }
+    });
+
+    relatorio.desempenho = medidor.resultado();
+
+    return { produtos, linhas, erros, relatorio, diagnostico, mapeamento: mapa };
+}
+
+/**
+ * Função para gravar um arquivo por destino a partir dos mesmos produtos convertidos
+ *
+ * `formato` (de lerFormatoSaida) troca o formato de todos os destinos e as opções de CSV.
+ */
+function salvarDestinos(produtos, exportadores, arquivoSaida, relatorio = null, formato = {}) {
+    return exportadores.map(exportador => {
+        const arquivo = arquivoDoDestino(arquivoSaida, exportador, formato.formato);
+        const { linhas, descartados } = exportarProdutos(produtos, exportador);
+
+        if (linhas.length > 0) {
+            exportador.salvar(linhas, arquivo, formato);
+        }
+        if (relatorio) {
+            relatorioConversao.registrarSaida(relatorio, exportador.nome, linhas.length > 0 ? arquivo : null, linhas.length, descartados);
+        }
+
+        return { exportador, arquivo: linhas.length > 0 ? arquivo : null, linhas: linhas.length, descartados };
+    });
+}
+
+/**
+ * Função para converter em streaming: lê, converte e grava uma linha por vez
+ *
+ * As colunas são resolvidas uma vez pelo cabeçalho e cada destino é gravado incrementalmente
+ * em CSV (ou no `formato` escolhido entre csv, json e ndjson, ver lerFormatoSaida). Validação, comparação, deduplicação e pendências precisam do arquivo
+ * inteiro e não rodam neste modo; as `correcoes` (carregarCorrecoes) são aplicadas linha a
+ * linha. Os tipos e a localidade numérica das colunas vêm das primeiras LINHAS_PERFIL linhas
+ * (perfilarColunas), lidas antes de converter a primeira. Com `pastaMapeamentos`, o mapeamento
+ * confirmado para estes cabeçalhos (carregarMapeamentoSalvo) é aplicado como no modo normal.
+ * `aoMapear(mapa, resolucoes, mapeamentoSalvo)` é chamada quando o cabeçalho é resolvido e
+ * `aoProgredir(linhas)` a cada 1000 linhas.
+ */
+async function converterEmStreaming({ arquivoEntrada, arquivoSaida, perfil: perfilInformado = obterPerfilPadrao(), exportadores, correcoes, confirmados, aba, codificacao, formato = {}, pastaMapeamentos = null, aoMapear, aoProgredir }) {
+    const medidor = streaming.criarMedidor();
+    const formatoSaida = formato.formato || 'csv';
+    let saidas = [];
+
+    const resultadoCorrecoes = { aplicadas: [], colunasDesconhecidas: [], codigosNaoEncontrados: [] };
+    const codigosCorrigidos = new Set();
+    let relatorio = null;
+    let perfil = perfilInformado;
+    let mapa = null;
+    let tiposColunas = null;
+    let index = 0;
+
+    // O mapeamento, o perfil das colunas e os arquivos de saída são preparados com o primeiro bloco
+    // (entrada vazia não deixa saídas vazias)
+    const preparar = (bloco) => {
+        const cabecalhos = [...new Set(bloco.flatMap(linha => Object.keys(linha)))];
+        const mapeamentoSalvo = pastaMapeamentos ? mapeamentos.carregarMapeamentoSalvo(cabecalhos, perfil, pastaMapeamentos) : null;
+        if (mapeamentoSalvo) {
+            perfil = mapeamentos.aplicarMapeamento(perfil, mapeamentoSalvo.mapeamento);
+        }
+        const resolucoes = resolverCabecalhos(cabecalhos, perfil, { confirmados });
+        mapa = resolverMapeamento(bloco[0], perfil, { confirmados });
+        tiposColunas = perfilarColunas(bloco);
+        relatorio = relatorioConversao.criarRelatorio({
+            arquivoEntrada,
+            perfil,
+            cabecalhos,
+            mapaColunas: mapa,
+            resolucoes,
+            detalharLinhas: false
+        });
+        relatorio.tiposColunas = tiposColunas;
+        saidas = exportadores.map(exportador => {
+            const arquivo = arquivoDoDestino(arquivoSaida, exportador, formatoSaida);
+            return {
+                exportador,
+                arquivo,
+                linhas: 0,
+                descartados: [],
+                escritor: streaming.criarEscritor(arquivo, formatoSaida, { ...formato.csv, ...exportador.csv, colunas: exportador.colunas })
+            };
+        });
+        if (aoMapear) {
+            aoMapear(mapa, resolucoes, mapeamentoSalvo);
+        }
+    };
+
+    const converterLinha = async (produtoRaw) => {
+        try {
+            const rastreio = {};
+            const produtoNovo = converterProduto(produtoRaw, mapa, index, perfil, rastreio, tiposColunas);
+            relatorioConversao.registrarLinha(relatorio, index + 1, produtoNovo.Código, rastreio, produtoRaw);
+
+            if (correcoes && correcoes.has(String(produtoNovo['Código']).trim())) {
+                const { aplicadas, colunasDesconhecidas } = pendencias.aplicarCorrecoes([produtoNovo], correcoes);
+                resultadoCorrecoes.aplicadas.push(...aplicadas);
+                resultadoCorrecoes.colunasDesconhecidas.push(...colunasDesconhecidas);
+                codigosCorrigidos.add(String(produtoNovo['Código']).trim());
+            }
+
+            for (const saida of saidas) {
+                const { linhas, descartados } = exportarProdutos([produtoNovo], saida.exportador);
+                if (descartados.length > 0) {
+                    saida.descartados.push({ ...descartados[0], indice: index + 1 });
+                    continue;
+                }
+                await saida.escritor.escrever(linhas[0]);
+                saida.linhas++;
+            }
+        } catch (error) {
+            relatorioConversao.registrarErro(relatorio, index + 1, error.message);
+        }
+
+        medidor.registrarLinha();
+        index++;
+        if (aoProgredir && index % 1000 === 0) {
+            aoProgredir(index);
+        }
+    };
+
+    let bloco = [];
+    for await (const produtoRaw of streaming.lerLinhas(arquivoEntrada, { aba, codificacao })) {
+        if (bloco) {
+            bloco.push(produtoRaw);
+            if (bloco.length < LINHAS_PERFIL) continue;
+            preparar(bloco);
+            for (const linha of bloco) await converterLinha(linha);
+            bloco = null;
+            continue;
+        }
+        await converterLinha(produtoRaw);
+    }
+    // Arquivo com menos linhas que o bloco de perfil
+    if (bloco && bloco.length > 0) {
+        preparar(bloco);
+        for (const linha of bloco) await converterLinha(linha);
+    }
+
+    for (const saida of saidas) {
+        await saida.escritor.fechar();
+    }
+
+    if (relatorio) {
+        saidas.forEach(saida => {
+            relatorioConversao.registrarSaida(relatorio, saida.exportador.nome, saida.arquivo, saida.linhas, saida.descartados);
+        });
+        relatorio.desempenho = medidor.resultado();
+        if (correcoes) {
+            resultadoCorrecoes.codigosNaoEncontrados = [...correcoes.keys()].filter(codigo => !codigosCorrigidos.has(codigo));
+            relatorio.correcoes = resultadoCorrecoes;
+        }
+    }
+
+    return {
+        relatorio,
+        saidas: saidas.map(({ exportador, arquivo, linhas, descartados }) => ({ exportador, arquivo, linhas, descartados }))
+    };
+}
+
+module.exports = {
+    lerProdutos,
+    converterProdutos,
+    salvarDestinos,
+    converterEmStreaming
+};
@@ -0,0 +1,411 @@
+// lib/conversor.js - Conversão de uma linha da planilha de origem para o layout de destino
+const { normalizar, encontrarColuna, obterValorSeguro, estaVazio } = require('./colunas');
+const { obterPerfilPadrao, aliasesDoCampo } = require('./perfil');
+const { obterPadroesCodigo, separarValor } = require('./separador');
+const { interpretarNumero, interpretarData, interpretarDuracao, perfilarColunas, LOCALIDADE_PADRAO } = require('./tipos');
+const { renderizarModelo } = require('./modelos');
+const { resolverCabecalhos } = require('./cabecalhos');
+
+// Colunas resolvidas para a extração de descrição, uma vez por conjunto de cabeçalhos
+const cachePlanosDescricao = new Map();
+
+/**
+ * Função para resolver, uma única vez por cabeçalho, as colunas usadas em cada método de extração
+ */
+function planoDescricao(produtoAtual, colunasDescricao) {
+    const todasColunas = Object.keys(produtoAtual);
+    const chave = `${todasColunas.join('\u0000')}\u0001${colunasDescricao.join('\u0000')}`;
+
+    let plano = cachePlanosDescricao.get(chave);
+    if (!plano) {
+        plano = {
+            todasColunas,
+            // Método 1: colunas reais correspondentes a cada alias, na ordem dos aliases
+            colunasDescricao: colunasDescricao.map(col => encontrarColuna(produtoAtual, [col])).filter(Boolean),
+            // Método 2: pula colunas que claramente não são descrição
+            colunasCandidatas: todasColunas.filter(col => {
+                const normalizada = normalizar(col);
+                return !['codigo', 'preco', 'valor', 'ncm', 'unidade'].some(termo => normalizada.includes(termo));
+            }),
+            colunaCodigo: encontrarColuna(produtoAtual, ['Código', 'Codigo'])
+        };
+
+        // Planilhas com cabeçalhos muito variados não devem fazer o cache crescer sem limite
+        if (cachePlanosDescricao.size >= 100) cachePlanosDescricao.clear();
+        cachePlanosDescricao.set(chave, plano);
+    }
+
+    return plano;
+}
+
+/**
+ * Nova função: tentar extrair descrição de diferentes maneiras mais agressivas
+ *
+ * Retorna também de onde a descrição veio: o método (1 a 4) e a coluna usada.
+ */
+function extrairDescricaoComOrigem(produtoAtual, mapaColunasEncontradas, index, colunasDescricao = aliasesDoCampo(obterPerfilPadrao(), 'descricao')) {
+    const plano = planoDescricao(produtoAtual, colunasDescricao);
+    const todasColunas = plano.todasColunas;
+
+    // Método 1: Tentar colunas de descrição (aliases do campo "descricao" no perfil)
+    for (const col of plano.colunasDescricao) {
+        const descricao = produtoAtual[col];
+        if (!estaVazio(descricao)) {
+            return { descricao, metodo: 1, coluna: col };
+        }
+    }
+
+    // Método 2: Procurar em TODAS as colunas por valores que podem ser descrição
+    for (const col of plano.colunasCandidatas) {
+        const valor = produtoAtual[col];
+
+        // Verifica se o valor parece uma descrição
+        if (!estaVazio(valor) && typeof valor === 'string') {
+            // Considera descrição valores com pelo menos 3 caracteres e que contém letras
+            if (valor.length >= 3 && /[a-zA-Z]/.test(valor)) {
+                return { descricao: valor, metodo: 2, coluna: col };
+            }
+        }
+    }
+
+    // Método 3: Tentar extrair do código (só separações com confiança suficiente)
+    const codigo = plano.colunaCodigo ? produtoAtual[plano.colunaCodigo] : '';
+    if (!estaVazio(codigo) && typeof codigo === 'string') {
+        const padroesCodigo = obterPadroesCodigo();
+        const separacao = separarValor(codigo, { padroes: padroesCodigo.padroes });
+        if (separacao && separacao.confianca >= padroesCodigo.confiancaMinima) {
+            return { descricao: separacao.descricao, metodo: 3, coluna: plano.colunaCodigo, confianca: separacao.confianca };
+        }
+    }
+
+    // Método 4: Tentar concatenar valores de múltiplas colunas
+    const possiveisCamposDescricao = [];
+
+    for (const col of todasColunas) {
+        const valor = produtoAtual[col];
+        if (!estaVazio(valor) && typeof valor === 'string' && valor.length > 1 && /[a-zA-Z]/.test(valor)) {
+            possiveisCamposDescricao.push({ coluna: col, valor: valor });
+        }
+    }
+
+    if (possiveisCamposDescricao.length > 0) {
+        // Pega o valor mais longo como descrição
+        const melhorDescricao = possiveisCamposDescricao.reduce((max, atual) =>
+            atual.valor.length > max.valor.length ? atual : max
+        );
+
+        return { descricao: melhorDescricao.valor, metodo: 4, coluna: melhorDescricao.coluna };
+    }
+
+    return { descricao: '', metodo: null, coluna: null };
+}
+
+/**
+ * Função para extrair apenas o texto da descrição (ver extrairDescricaoComOrigem)
+ */
+function extrairDescricao(produtoAtual, mapaColunasEncontradas, index, colunasDescricao) {
+    return extrairDescricaoComOrigem(produtoAtual, mapaColunasEncontradas, index, colunasDescricao).descricao;
+}
+
+/**
+ * Função para obter a localidade numérica inferida para uma coluna de origem (ou null)
+ */
+function localidadeDaColuna(tiposColunas, coluna) {
+    return tiposColunas && coluna && tiposColunas[coluna] ? tiposColunas[coluna].localidade : null;
+}
+
+/**
+ * Função para guardar no rastreio um valor que não pôde ser lido ou foi lido com ambiguidade
+ */
+function registrarProblemaLeitura(contexto, problema) {
+    if (contexto.rastreio) {
+        contexto.rastreio.problemasLeitura.push(problema);
+    }
+}
+
+/**
+ * Função para criar a leitura dos marcadores de um modelo de texto
+ *
+ * Cada nome é procurado primeiro entre os campos do perfil e depois entre as colunas da
+ * origem; os nomes em `ignorar` são tratados como vazios.
+ */
+function criarLeitorModelo(produtoAtual, mapa, perfil, tiposColunas = null, ignorar = []) {
+    const nomesDoMarcador = (nome) => (perfil.campos[nome] ? (mapa[nome] || aliasesDoCampo(perfil, nome)) : [nome]);
+
+    return {
+        obterValor: (nome) => (ignorar.includes(nome) ? '' : obterValorSeguro(produtoAtual, nomesDoMarcador(nome))),
+        obterLocalidade: (nome) => localidadeDaColuna(tiposColunas, encontrarColuna(produtoAtual, [].concat(nomesDoMarcador(nome))))
+    };
+}
+
+/**
+ * Função para montar o valor de uma coluna de destino a partir da definição do perfil
+ */
+function aplicarColunaPerfil(coluna, produtoAtual, mapa, perfil, contexto) {
+    const nomesCampo = (campo) => mapa[campo] || aliasesDoCampo(perfil, campo);
+    const padrao = coluna.padrao !== undefined ? coluna.padrao : '';
+
+    switch (coluna.transformacao) {
+        case 'indice':
+            return contexto.index + 1;
+        case 'descricao':
+            return contexto.descricao;
+        case 'constante':
+            return coluna.valor !== undefined ? coluna.valor : null;
+        case 'numero': {
+            const origem = encontrarColuna(produtoAtual, [].concat(nomesCampo(coluna.campo)));
+            const valorBruto = obterValorSeguro(produtoAtual, nomesCampo(coluna.campo));
+            const valorPadrao = coluna.padrao !== undefined ? coluna.padrao : null;
+            if (estaVazio(valorBruto)) return valorPadrao;
+
+            const lido = interpretarNumero(valorBruto, localidadeDaColuna(contexto.tiposColunas, origem));
+            if (!lido) {
+                // Registra valores preenchidos que não puderam ser lidos como número
+                registrarProblemaLeitura(contexto, { coluna: coluna.destino, origem, tipo: 'numero', problema: 'invalido', valorBruto, valorUsado: valorPadrao });
+                if (contexto.rastreio) {
+                    contexto.rastreio.fallbacksNumericos.push({ coluna: coluna.destino, origem, valorBruto, valorUsado: valorPadrao });
+                }
+                return valorPadrao;
+            }
+            if (lido.ambiguo) {
+                registrarProblemaLeitura(contexto, { coluna: coluna.destino, origem, tipo: 'numero', problema: 'ambiguo', valorBruto, valorUsado: lido.valor });
+            }
+            return lido.valor;
+        }
+        case 'data':
+        case 'meses': {
+            const origem = encontrarColuna(produtoAtual, [].concat(nomesCampo(coluna.campo)));
+            const valorBruto = obterValorSeguro(produtoAtual, nomesCampo(coluna.campo));
+            if (estaVazio(valorBruto)) return padrao;
+
+            const lido = coluna.transformacao === 'data'
+                ? interpretarData(valorBruto, localidadeDaColuna(contexto.tiposColunas, origem) || LOCALIDADE_PADRAO)
+                : interpretarDuracao(valorBruto);
+            if (!lido) {
+                registrarProblemaLeitura(contexto, { coluna: coluna.destino, origem, tipo: coluna.transformacao, problema: 'invalido', valorBruto, valorUsado: padrao });
+                return padrao;
+            }
+            if (coluna.transformacao === 'data') return lido;
+
+            if (lido.arredondado) {
+                registrarProblemaLeitura(contexto, { coluna: coluna.destino, origem, tipo: 'meses', problema: 'ambiguo', valorBruto, valorUsado: lido.meses });
+            }
+            return lido.meses;
+        }
+        case 'concatenacao':
+            return (coluna.partes || []).map(parte => {
+                if (!parte.campo) return parte.texto || '';
+                const valor = obterValorSeguro(produtoAtual, nomesCampo(parte.campo));
+                if (estaVazio(valor)) return '';
+                return (parte.modelo || '{valor}').replace(/\{valor\}/g, valor);
+            }).join('');
+        case 'modelo': {
+            const leitor = criarLeitorModelo(produtoAtual, mapa, perfil, contexto.tiposColunas);
+            return renderizarModelo(coluna.modelo, leitor.obterValor, leitor.obterLocalidade);
+        }
+        case 'texto':
+        default: {
+            const valor = obterValorSeguro(produtoAtual, nomesCampo(coluna.campo), padrao);
+            return estaVazio(valor) ? padrao : String(valor);
+        }
+    }
+}
+
+/**
+ * Função para converter um produto do formato atual para o novo formato
+ *
+ * Se `rastreio` for informado, recebe a origem da descrição, os fallbacks numéricos e os
+ * valores que não puderam ser lidos. `tiposColunas` (perfilarColunas) traz a localidade
+ * numérica de cada coluna de origem; sem ele, cada valor é lido pelo próprio formato.
+ */
+function converterProduto(produtoAtual, mapaColunasEncontradas, index, perfil = obterPerfilPadrao(), rastreio = null, tiposColunas = null) {
+    try {
+        // Garantir que mapaColunasEncontradas existe
+        const mapa = mapaColunasEncontradas || {};
+
+        // NOVA ABORDAGEM: Usar função de extração de descrição mais agressiva
+        const origemDescricao = extrairDescricaoComOrigem(produtoAtual, mapaColunasEncontradas, index, aliasesDoCampo(perfil, 'descricao'));
+        let descricao = origemDescricao.descricao;
+
+        // Se ainda não encontrou descrição, tenta uma última estratégia
+        if (estaVazio(descricao)) {
+            // Cria uma descrição baseada no ID ou posição
+            descricao = `Produto ${index + 1}`;
+            origemDescricao.metodo = 'padrao';
+        }
+
+        if (rastreio) {
+            rastreio.descricao = { metodo: origemDescricao.metodo, coluna: origemDescricao.coluna };
+            rastreio.fallbacksNumericos = rastreio.fallbacksNumericos || [];
+            rastreio.problemasLeitura = rastreio.problemasLeitura || [];
+            rastreio.textosTruncados = rastreio.textosTruncados || [];
+        }
+
+        // Mapeando o produto para o novo formato conforme as colunas do perfil
+        const produtoNovo = {};
+        for (const coluna of perfil.colunas) {
+            let valor = aplicarColunaPerfil(coluna, produtoAtual, mapa, perfil, { index, descricao, rastreio, tiposColunas });
+
+            // Colunas com "limite" são cortadas no tamanho máximo aceito pelo destino
+            if (coluna.limite && typeof valor === 'string' && valor.length > coluna.limite) {
+                if (rastreio) {
+                    rastreio.textosTruncados.push({ coluna: coluna.destino, tamanho: valor.length, limite: coluna.limite });
+                }
+                valor = valor.slice(0, coluna.limite).trimEnd();
+            }
+            produtoNovo[coluna.destino] = valor;
+        }
+
+        return produtoNovo;
+    } catch (error) {
+        throw new Error(`Erro ao converter produto ${index + 1}: ${error.message}`);
+    }
+}
+
+/**
+ * Função para converter números que podem estar em formatos diferentes
+ *
+ * Aceita "1.234,56", "1,234.56", "R$ 12,90" e "15%"; a `localidade` ("br" ou "us") decide
+ * valores ambíguos como "1.234". Sem ela, vale o formato do próprio valor.
+ */
+function parseNumero(valor, valorPadrao = null, localidade = null) {
+    const lido = interpretarNumero(valor, localidade);
+    return lido ? lido.valor : valorPadrao;
+}
+
+/**
+ * Função para resolver a coluna de cada campo do perfil a partir de uma linha da planilha
+ *
+ * Usa o reconhecimento aproximado de lib/cabecalhos.js; as correspondências de baixa confiança
+ * ficam de fora (null) até serem confirmadas em `opcoes.confirmados`.
+ */
+function resolverMapeamento(produto, perfil = obterPerfilPadrao(), opcoes = {}) {
+    return mapeamentoDasResolucoes(resolverCabecalhos(Object.keys(produto || {}), perfil, opcoes));
+}
+
+/**
+ * Função para reduzir as resoluções de cabeçalho ao mapeamento campo → coluna
+ */
+function mapeamentoDasResolucoes(resolucoes) {
+    const mapeamento = {};
+    Object.entries(resolucoes).forEach(([campo, resolucao]) => {
+        mapeamento[campo] = resolucao.coluna;
+    });
+    return mapeamento;
+}
+
+/**
+ * Função expandida para diagnóstico de colunas
+ *
+ * Retorna o preenchimento, exemplos e tipo de cada coluna, as candidatas a descrição
+ * (ordenadas por pontuação), o mapeamento final de cada campo do perfil e, em `resolucoes`,
+ * a confiança de cada cabeçalho reconhecido. `opcoes.confirmados` segue resolverCabecalhos.
+ */
+function diagnosticarColunas(produtos, perfil = obterPerfilPadrao(), opcoes = {}) {
+    if (!produtos || produtos.length === 0) {
+        return { totalProdutos: 0, colunas: [], tipos: {}, candidatasDescricao: [], mapeamento: {}, resolucoes: {} };
+    }
+
+    // Extrair todas as colunas
+    const todasColunas = new Set();
+    const contagemColunas = {};
+    const exemplosColunas = {};
+
+    produtos.forEach(produto => {
+        if (produto && typeof produto === 'object') {
+            Object.entries(produto).forEach(([chave, valor]) => {
+                todasColunas.add(chave);
+
+                // Conta quantas vezes cada coluna aparece com valor não vazio
+                if (!estaVazio(valor)) {
+                    contagemColunas[chave] = (contagemColunas[chave] || 0) + 1;
+
+                    // Guarda exemplos de valores
+                    if (!exemplosColunas[chave]) {
+                        exemplosColunas[chave] = [];
+                    }
+                    if (exemplosColunas[chave].length < 3) {
+                        exemplosColunas[chave].push(valor);
+                    }
+                }
+            });
+        }
+    });
+
+    // Tipo (número, data, duração, texto) e localidade numérica de cada coluna
+    const tipos = perfilarColunas(produtos);
+
+    const colunas = Array.from(todasColunas).map(coluna => {
+        const contagem = contagemColunas[coluna] || 0;
+        return {
+            coluna,
+            contagem,
+            percentual: Math.round((contagem / produtos.length) * 100),
+            exemplos: exemplosColunas[coluna] || [],
+            tipo: tipos[coluna].tipo,
+            localidade: tipos[coluna].localidade
+        };
+    });
+
+    // Identificar possíveis colunas de descrição
+    const possiveisColunas = [];
+
+    colunas.forEach(({ coluna, contagem, percentual, exemplos }) => {
+        const normalizada = normalizar(coluna);
+
+        // Verifica se a coluna pode ser descrição por nome ou por conteúdo
+        const pareceColunaDescricao = normalizada.includes('descr') ||
+            normalizada.includes('desc') ||
+            normalizada.includes('nome') ||
+            normalizada.includes('produto') ||
+            normalizada.includes('denominacao');
+
+        const pareceConteudoDescricao = exemplos.some(exemplo =>
+            exemplo &&
+            typeof exemplo === 'string' &&
+            exemplo.length > 3 &&
+            /[a-zA-Z]/.test(exemplo)
+        );
+
+        if (pareceColunaDescricao || pareceConteudoDescricao) {
+            possiveisColunas.push({
+                coluna: coluna,
+                contagem: contagem,
+                percentual: percentual,
+                exemplos: exemplos,
+                scoring: pareceColunaDescricao ? 10 : 0 + (pareceConteudoDescricao ? 5 : 0) + (contagem / produtos.length) * 10
+            });
+        }
+    });
+
+    // Ordena por probabilidade de ser descrição
+    possiveisColunas.sort((a, b) => b.scoring - a.scoring);
+
+    // Mapeamento de cada campo do perfil para a coluna encontrada na planilha
+    const resolucoes = resolverCabecalhos(Array.from(todasColunas), perfil, opcoes);
+    const mapeamento = mapeamentoDasResolucoes(resolucoes);
+    // A candidata a descrição mais provável só entra quando nenhum cabeçalho corresponde ao campo
+    const definicaoDescricao = perfil.campos.descricao;
+    if (possiveisColunas[0] && !mapeamento.descricao && !(definicaoDescricao && definicaoDescricao.fixo)) {
+        mapeamento.descricao = possiveisColunas[0].coluna;
+    }
+
+    return {
+        totalProdutos: produtos.length,
+        colunas,
+        tipos,
+        candidatasDescricao: possiveisColunas,
+        mapeamento,
+        resolucoes
+    };
+}
+
+module.exports = {
+    extrairDescricao,
+    extrairDescricaoComOrigem,
+    converterProduto,
+    criarLeitorModelo,
+    parseNumero,
+    resolverMapeamento,
+    diagnosticarColunas
+};
@@ -0,0 +1,144 @@
+// lib/delta.js - Exportação incremental (--delta): só o que mudou desde a última exportação
+//
+// Cada exportação com --delta grava o estado exportado (todos os produtos convertidos) em um
+// JSON. Na execução seguinte, a conversão é comparada com esse estado:
+// - produtos novos seguem pelo layout completo de cada destino (o ERP precisa do cadastro todo);
+// - produtos com Preço, Preço de custo ou Estoque alterados vão para o layout reduzido de
+//   atualização (Código, Preço, Preço de custo, Estoque), sem tocar nos demais campos, que a
+//   equipe pode ter editado no ERP;
+// - produtos que sumiram da planilha do fornecedor ficam listados à parte.
+// Sem estado anterior, a exportação é completa e o estado é gravado para as próximas.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const { estaVazio } = require('./colunas');
+const { compararProdutos, CAMPOS_DESTAQUE } = require('./comparador');
+const { EXTENSOES, formatoDoArquivo, salvarLinhas } = require('./exportadores/formatos');
+const { arquivoAoLado } = require('./exportadores');
+
+const COLUNAS_ATUALIZACAO = ['Código', ...CAMPOS_DESTAQUE];
+const COLUNAS_REMOVIDOS = ['Código', 'Descrição', 'Fornecedor', 'Cód no fornecedor', 'Preço', 'Estoque'];
+
+/**
+ * Função para obter o arquivo de estado: o informado em --delta ou <saida>-estado.json
+ */
+function caminhoEstado(arquivoSaida, informado) {
+    if (informado && informado !== true) return informado;
+    return arquivoAoLado(arquivoSaida, 'estado', '.json');
+}
+
+/**
+ * Função para carregar o estado da última exportação (null quando ainda não existe)
+ */
+function carregarEstado(arquivo) {
+    if (!fs.existsSync(arquivo)) return null;
+
+    let estado;
+    try {
+        estado = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler o estado da última exportação ${arquivo}: ${error.message}`);
+    }
+    if (!Array.isArray(estado.produtos)) {
+        throw new Error(`Estado da última exportação ${arquivo} sem a lista "produtos".`);
+    }
+    return { arquivo, ...estado };
+}
+
+/**
+ * Função para gravar o estado exportado, base do próximo --delta
+ *
+ * Campos vazios não são gravados (na comparação, ausente e vazio valem o mesmo).
+ */
+function salvarEstado(produtos, arquivo, { arquivoEntrada = null } = {}) {
+    const estado = {
+        geradoEm: new Date().toISOString(),
+        arquivoEntrada,
+        produtos: produtos.map(produto => Object.fromEntries(Object.entries(produto).filter(([, valor]) => !estaVazio(valor))))
+    };
+    fs.writeFileSync(arquivo, JSON.stringify(estado), 'utf8');
+}
+
+/**
+ * Função para calcular o delta entre o estado anterior e a conversão atual
+ *
+ * Retorna { novos (produtos completos), atualizacoes (layout reduzido), removidos, outrasAlteracoes, resumo }.
+ * `outrasAlteracoes` conta os produtos que mudaram só em campos fora do layout de atualização.
+ */
+function calcularDelta(anteriores, atuais) {
+    const comparacao = compararProdutos(anteriores, atuais);
+
+    const codigosAtualizados = new Set();
+    const codigosAlterados = new Set();
+    comparacao.alterados.forEach(item => {
+        codigosAlterados.add(item['Código']);
+        if (CAMPOS_DESTAQUE.includes(item['Campo'])) codigosAtualizados.add(item['Código']);
+    });
+
+    // Na ordem da conversão atual, uma linha por código
+    const atualizacoes = [];
+    atuais.forEach(produto => {
+        const codigo = String(produto['Código'] === undefined || produto['Código'] === null ? '' : produto['Código']).trim();
+        if (!codigosAtualizados.has(codigo)) return;
+        codigosAtualizados.delete(codigo);
+        const linha = {};
+        COLUNAS_ATUALIZACAO.forEach(coluna => {
+            linha[coluna] = produto[coluna] === undefined ? '' : produto[coluna];
+        });
+        atualizacoes.push(linha);
+    });
+
+    return {
+        novos: comparacao.novos,
+        atualizacoes,
+        removidos: comparacao.removidos,
+        outrasAlteracoes: codigosAlterados.size - atualizacoes.length,
+        resumo: comparacao.resumo
+    };
+}
+
+/**
+ * Função para obter o arquivo do layout de atualização (<saida>-atualizacao)
+ *
+ * O formato segue --formato ou a extensão do arquivo de saída (XLSX quando não há nenhum).
+ */
+function arquivoAtualizacoes(arquivoSaida, escolha = {}) {
+    const formato = escolha.formato || formatoDoArquivo(arquivoSaida) || 'xlsx';
+    return arquivoAoLado(arquivoSaida, 'atualizacao', EXTENSOES[formato]);
+}
+
+/**
+ * Função para gravar o layout de atualização de preço/estoque
+ */
+function salvarAtualizacoes(atualizacoes, arquivoSaida, escolha = {}) {
+    const formato = escolha.formato || formatoDoArquivo(arquivoSaida) || 'xlsx';
+    const arquivo = arquivoAtualizacoes(arquivoSaida, escolha);
+    salvarLinhas(atualizacoes, arquivo, { formato, nomeAba: 'Atualização', colunas: COLUNAS_ATUALIZACAO }, escolha);
+    return arquivo;
+}
+
+/**
+ * Função para gravar a lista de produtos que sumiram da planilha (aba "Removidos")
+ */
+function salvarRemovidos(removidos, arquivo) {
+    const linhas = removidos.map(produto => {
+        const linha = {};
+        COLUNAS_REMOVIDOS.forEach(coluna => {
+            linha[coluna] = produto[coluna] === undefined ? '' : produto[coluna];
+        });
+        return linha;
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(linhas, { header: COLUNAS_REMOVIDOS }), 'Removidos');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    COLUNAS_ATUALIZACAO,
+    caminhoEstado,
+    carregarEstado,
+    salvarEstado,
+    calcularDelta,
+    arquivoAtualizacoes,
+    salvarAtualizacoes,
+    salvarRemovidos
+};
@@ -0,0 +1,291 @@
+// lib/descricoes.js - Normalização das descrições e geração da Descrição Curta
+//
+// As regras ficam em um JSON (exemplo em regras/descricoes.json) e são aplicadas com --descricoes:
+// - limpeza de espaços repetidos, espaços antes da pontuação e pontuação repetida ou solta nas pontas;
+// - "abreviacoes": dicionário de abreviações do fornecedor ("SIL" → "Silencioso"); chaves que
+//   terminam em "/" também valem grudadas na palavra seguinte ("C/CANO" → "com Cano");
+// - "caixa": manter, maiusculas, minusculas, titulo ou frase; "siglas" ficam sempre em
+//   maiúsculas e "minusculas" (conectivos) em minúsculas no meio do texto;
+// - "limites": tamanho máximo da descrição por destino, cortando entre palavras;
+// - "descricaoCurta": gera a Descrição Curta a partir da descrição normalizada.
+// Toda alteração fica registrada ao lado do valor original, em <saida>-descricoes.xlsx.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { normalizar, estaVazio } = require('./colunas');
+const { EXPORTADORES } = require('./exportadores');
+
+const ARQUIVO_REGRAS_DESCRICAO_PADRAO = path.join(__dirname, '..', 'regras', 'descricoes.json');
+const CAIXAS = ['manter', 'maiusculas', 'minusculas', 'titulo', 'frase'];
+const COLUNAS_ALTERACOES = ['Linha', 'Código', 'Campo', 'Original', 'Novo', 'Alterações'];
+const LIMITE_DESCRICAO_CURTA_PADRAO = 60;
+
+/**
+ * Função para conferir se um valor é um limite de tamanho válido (inteiro maior que zero)
+ */
+function ehLimiteValido(valor) {
+    return Number.isInteger(valor) && valor > 0;
+}
+
+/**
+ * Função para carregar e conferir o arquivo de regras de descrição
+ */
+function carregarRegrasDescricao(arquivo = ARQUIVO_REGRAS_DESCRICAO_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler as regras de descrição ${arquivo}: ${error.message}`);
+    }
+
+    const caixa = config.caixa || 'manter';
+    if (!CAIXAS.includes(caixa)) {
+        throw new Error(`Regras de descrição: caixa "${caixa}" desconhecida (use ${CAIXAS.join(', ')}).`);
+    }
+
+    // Chaves normalizadas, sem o ponto final: "Sil", "SIL" e "SIL." valem o mesmo
+    const abreviacoes = new Map();
+    const prefixos = [];
+    Object.entries(config.abreviacoes || {}).forEach(([abreviacao, expansao]) => {
+        if (typeof expansao !== 'string' || expansao.trim() === '') {
+            throw new Error(`Regras de descrição: a abreviação "${abreviacao}" precisa de um texto de expansão.`);
+        }
+        const chave = normalizar(abreviacao).replace(/\.$/, '');
+        abreviacoes.set(chave, expansao.trim());
+        if (chave.endsWith('/')) prefixos.push(chave);
+    });
+
+    const limites = {};
+    Object.entries(config.limites || {}).forEach(([destino, limite]) => {
+        if (!EXPORTADORES[destino]) {
+            throw new Error(`Regras de descrição: destino "${destino}" desconhecido em "limites" (use ${Object.keys(EXPORTADORES).join(', ')}).`);
+        }
+        if (!ehLimiteValido(limite)) {
+            throw new Error(`Regras de descrição: o limite do destino "${destino}" deve ser um inteiro maior que zero.`);
+        }
+        limites[destino] = limite;
+    });
+
+    const descricaoCurta = { gerar: false, limite: LIMITE_DESCRICAO_CURTA_PADRAO, ...(config.descricaoCurta || {}) };
+    if (!ehLimiteValido(descricaoCurta.limite)) {
+        throw new Error('Regras de descrição: "descricaoCurta.limite" deve ser um inteiro maior que zero.');
+    }
+
+    return {
+        arquivo,
+        caixa,
+        minusculas: new Set((config.minusculas || []).map(normalizar)),
+        siglas: new Set((config.siglas || []).map(normalizar)),
+        abreviacoes,
+        prefixos,
+        limites,
+        descricaoCurta: { gerar: Boolean(descricaoCurta.gerar), limite: descricaoCurta.limite }
+    };
+}
+
+/**
+ * Função para limpar espaços e pontuação de um texto
+ */
+function limparTexto(texto) {
+    return String(texto)
+        .replace(/[\u0000-\u001F\u007F]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,;:!?)])/g, '$1')
+        .replace(/\(\s+/g, '(')
+        .replace(/([,;:!?])\1+/g, '$1')
+        .replace(/-{2,}/g, '-')
+        // Espaço depois de vírgula e ponto e vírgula, menos em números ("1,5")
+        .replace(/([,;])(?=[^\s\d])/g, '$1 ')
+        // "SEDAN/ WAGON" → "SEDAN/WAGON" (abreviações como "C/ FLEXIVEL" ficam como estão)
+        .replace(/(\p{L}{2,})\/ (?=\p{L})/gu, '$1/')
+        .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+}
+
+/**
+ * Função para expandir as abreviações de um texto, palavra por palavra
+ *
+ * Retorna { texto, expandidas } com a lista "ABREV → expansão" de cada troca feita.
+ */
+function expandirAbreviacoes(texto, regras) {
+    const expandidas = [];
+
+    const expandir = palavra => {
+        const chave = normalizar(palavra).replace(/\.$/, '');
+        if (regras.abreviacoes.has(chave)) {
+            expandidas.push(`${palavra} → ${regras.abreviacoes.get(chave)}`);
+            return regras.abreviacoes.get(chave);
+        }
+
+        // "C/CANO": abreviação terminada em "/" grudada na palavra seguinte
+        const prefixo = regras.prefixos.find(item => chave.startsWith(item) && chave.length > item.length);
+        if (prefixo) {
+            const expansao = regras.abreviacoes.get(prefixo);
+            expandidas.push(`${palavra.slice(0, prefixo.length)} → ${expansao}`);
+            return `${expansao} ${expandir(palavra.slice(prefixo.length))}`;
+        }
+        return palavra;
+    };
+
+    return { texto: texto.split(' ').map(expandir).join(' '), expandidas };
+}
+
+/**
+ * Função para aplicar a caixa configurada a um texto já limpo
+ *
+ * Siglas, números romanos e palavras com algarismos (1.6, 16V, HB20) ficam como estão.
+ */
+function aplicarCaixa(texto, regras) {
+    if (regras.caixa === 'manter') return texto;
+    if (regras.caixa === 'maiusculas') return texto.toUpperCase();
+
+    return texto.split(' ').map((palavra, posicao) => {
+        const chave = normalizar(palavra).replace(/[.,;:]+$/, '');
+        if (regras.siglas.has(chave) || /\d/.test(palavra) || (palavra.length > 1 && /^[IVX]+$/.test(palavra))) {
+            return regras.siglas.has(chave) ? palavra.toUpperCase() : palavra;
+        }
+
+        const minuscula = palavra.toLocaleLowerCase('pt-BR');
+        const iniciarMaiuscula = posicao === 0
+            ? regras.caixa !== 'minusculas'
+            : regras.caixa === 'titulo' && !regras.minusculas.has(chave);
+        if (!iniciarMaiuscula) return minuscula;
+        // Cada parte de "SEDAN/WAGON" ou "ANTI-CHAMAS" começa com maiúscula
+        return minuscula.replace(/(^|[-/(])(\p{L})/gu, (trecho, antes, letra) => antes + letra.toLocaleUpperCase('pt-BR'));
+    }).join(' ');
+}
+
+/**
+ * Função para cortar um texto no limite sem partir palavras
+ *
+ * Conectivos e pontuação que ficariam soltos no final ("Silencioso Traseiro para") também saem.
+ */
+function truncarPalavras(texto, limite, conectivos = new Set()) {
+    if (!texto || texto.length <= limite) return texto;
+
+    const trecho = texto.slice(0, limite + 1);
+    const espaco = trecho.lastIndexOf(' ');
+    const palavras = (espaco > 0 ? trecho.slice(0, espaco) : texto.slice(0, limite)).split(' ');
+    while (palavras.length > 1 && (conectivos.has(normalizar(palavras[palavras.length - 1])) || /^[-/,;:]+$/.test(palavras[palavras.length - 1]))) {
+        palavras.pop();
+    }
+    return palavras.join(' ').replace(/[\s,;:/-]+$/, '');
+}
+
+/**
+ * Função para normalizar uma descrição: limpeza, abreviações e caixa
+ *
+ * Retorna { texto, alteracoes } com a descrição de cada etapa que mudou o texto.
+ */
+function normalizarDescricao(texto, regras) {
+    const alteracoes = [];
+
+    const limpo = limparTexto(texto);
+    if (limpo !== String(texto)) alteracoes.push('espaços e pontuação');
+
+    const { texto: expandido, expandidas } = expandirAbreviacoes(limpo, regras);
+    if (expandidas.length > 0) alteracoes.push(`abreviações (${expandidas.join(', ')})`);
+
+    const final = aplicarCaixa(expandido, regras);
+    if (final !== expandido) alteracoes.push(`caixa ${regras.caixa}`);
+
+    return { texto: final, alteracoes };
+}
+
+/**
+ * Função para normalizar as descrições dos produtos convertidos (altera os produtos)
+ *
+ * Também gera a Descrição Curta (quando vazia) e registra o corte da descrição em cada um dos
+ * `destinos` com limite. Retorna { alteracoes, porTipo, produtosAlterados }.
+ */
+function normalizarProdutos(produtos, regras, { destinos = [] } = {}) {
+    const alteracoes = [];
+    const porTipo = {};
+    let produtosAlterados = 0;
+
+    const registrar = (idx, produto, campo, original, novo, detalhes) => {
+        alteracoes.push({
+            'Linha': idx + 1,
+            'Código': produto['Código'],
+            'Campo': campo,
+            'Original': original,
+            'Novo': novo,
+            'Alterações': detalhes.join('; ')
+        });
+        detalhes.forEach(detalhe => {
+            const tipo = detalhe.replace(/ \(.*$/, '');
+            porTipo[tipo] = (porTipo[tipo] || 0) + 1;
+        });
+    };
+
+    produtos.forEach((produto, idx) => {
+        if (estaVazio(produto['Descrição'])) return;
+
+        const original = String(produto['Descrição']);
+        const { texto, alteracoes: etapas } = normalizarDescricao(original, regras);
+        let alterado = false;
+        if (texto !== original) {
+            produto['Descrição'] = texto;
+            registrar(idx, produto, 'Descrição', original, texto, etapas);
+            alterado = true;
+        }
+
+        if (regras.descricaoCurta.gerar && estaVazio(produto['Descrição Curta'])) {
+            const curta = truncarPalavras(texto, regras.descricaoCurta.limite, regras.minusculas);
+            produto['Descrição Curta'] = curta;
+            registrar(idx, produto, 'Descrição Curta', '', curta, [`descrição curta (até ${regras.descricaoCurta.limite} caracteres)`]);
+            alterado = true;
+        }
+
+        destinos.filter(destino => regras.limites[destino] && texto.length > regras.limites[destino]).forEach(destino => {
+            const limite = regras.limites[destino];
+            registrar(idx, produto, `Descrição (${destino})`, texto, truncarPalavras(texto, limite, regras.minusculas), [`limite do destino (${limite} caracteres)`]);
+            alterado = true;
+        });
+
+        if (alterado) produtosAlterados++;
+    });
+
+    return { alteracoes, porTipo, produtosAlterados };
+}
+
+/**
+ * Função para aplicar o limite de descrição de cada destino, cortando entre palavras
+ *
+ * Devolve cópias dos exportadores que recebem a descrição já cortada no limite do destino.
+ */
+function limitarDescricoesNosDestinos(exportadores, regras) {
+    return exportadores.map(exportador => {
+        const limite = regras.limites[exportador.nome];
+        if (!limite) return exportador;
+        return {
+            ...exportador,
+            converter: produto => exportador.converter({
+                ...produto,
+                'Descrição': truncarPalavras(produto['Descrição'], limite, regras.minusculas)
+            })
+        };
+    });
+}
+
+/**
+ * Função para gravar as alterações das descrições, cada uma ao lado do valor original
+ */
+function salvarAlteracoesDescricao(resultado, arquivo) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.alteracoes, { header: COLUNAS_ALTERACOES }), 'Descrições');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    ARQUIVO_REGRAS_DESCRICAO_PADRAO,
+    CAIXAS,
+    carregarRegrasDescricao,
+    limparTexto,
+    expandirAbreviacoes,
+    aplicarCaixa,
+    truncarPalavras,
+    normalizarDescricao,
+    normalizarProdutos,
+    limitarDescricoesNosDestinos,
+    salvarAlteracoesDescricao
+};
@@ -0,0 +1,335 @@
+// lib/duplicados.js - Detecção de produtos duplicados e quase duplicados (--duplicados)
+//
+// Roda sobre os produtos já convertidos e procura três tipos de grupo:
+// - "Código": o mesmo Código em mais de uma linha;
+// - "Código no fornecedor": o mesmo Cód no fornecedor + Fornecedor sob códigos internos diferentes;
+// - "Descrição semelhante": descrições com palavras quase iguais (similaridade de Jaccard).
+// A política vale para os grupos de Código: "primeiro" mantém a primeira linha do grupo,
+// "somar" também mantém a primeira, somando o Estoque das demais, e "falhar" cancela a exportação.
+// Um grupo de código no fornecedor só segue a política quando as descrições também são semelhantes
+// (o fornecedor pode repetir o código em produtos diferentes, como um kit por montadora).
+// Os demais, e as descrições semelhantes, podem ser produtos diferentes e ficam só no relatório, para revisão.
+// (--deduplicar, em lib/entrada.js, é outra coisa: remove linhas repetidas ao juntar várias fontes.)
+const XLSX = require('xlsx');
+const { normalizar, estaVazio } = require('./colunas');
+const { parseNumero } = require('./conversor');
+
+const POLITICAS_DUPLICADOS = ['primeiro', 'somar', 'falhar'];
+const SIMILARIDADE_PADRAO = 0.85;
+// Palavras presentes em mais produtos que isso ("sil", "tras") não servem para achar candidatos
+// (salvo quando a descrição só tem palavras assim)
+const FREQUENCIA_MAXIMA_PALAVRA = 100;
+const TIPOS = {
+    codigo: 'Código',
+    fornecedor: 'Código no fornecedor',
+    descricao: 'Descrição semelhante'
+};
+const NOTACAO_CIENTIFICA = /^\d+(\.\d+)?E[+-]?\d+$/;
+const COLUNAS_DUPLICADOS = ['Grupo', 'Tipo', 'Chave', 'Linha', 'Código', 'Descrição', 'Fornecedor', 'Cód no fornecedor', 'Estoque', 'Similaridade', 'Ação'];
+
+/**
+ * Função para ler e conferir as opções --duplicados e --similaridade
+ */
+function lerOpcoesDuplicados(opcoes) {
+    const politica = opcoes.duplicados === true ? 'primeiro' : String(opcoes.duplicados);
+    if (!POLITICAS_DUPLICADOS.includes(politica)) {
+        throw new Error(`Política de duplicados "${politica}" inválida (use ${POLITICAS_DUPLICADOS.join(', ')}).`);
+    }
+
+    const similaridade = opcoes.similaridade === undefined ? SIMILARIDADE_PADRAO : Number(opcoes.similaridade);
+    if (!(similaridade > 0 && similaridade <= 1)) {
+        throw new Error(`Similaridade "${opcoes.similaridade}" inválida (use um número entre 0 e 1, como ${SIMILARIDADE_PADRAO}).`);
+    }
+
+    return { politica, similaridade };
+}
+
+/**
+ * Função para obter o texto de um campo do produto para comparação (vazio quando não há valor)
+ */
+function textoComparavel(produto, coluna) {
+    return estaVazio(produto[coluna]) ? '' : String(produto[coluna]).trim().toUpperCase();
+}
+
+/**
+ * Função para agrupar os produtos que têm a mesma chave (linhas sem chave ficam de fora)
+ */
+function agruparPorChave(produtos, chaveDoProduto) {
+    const porChave = new Map();
+    produtos.forEach((produto, idx) => {
+        const chave = chaveDoProduto(produto);
+        if (!chave) return;
+        if (!porChave.has(chave)) porChave.set(chave, []);
+        porChave.get(chave).push(idx);
+    });
+    return Array.from(porChave.entries())
+        .filter(([, membros]) => membros.length > 1)
+        .map(([chave, membros]) => ({ chave, membros }));
+}
+
+/**
+ * Função para separar a descrição em palavras normalizadas ("1.0" e "8V" contam como palavras)
+ */
+function palavrasDaDescricao(descricao) {
+    return new Set(normalizar(descricao).split(/[^a-z0-9.]+/).map(palavra => palavra.replace(/^\.+|\.+$/g, '')).filter(Boolean));
+}
+
+/**
+ * Função para calcular a similaridade de Jaccard entre dois conjuntos de palavras (0 a 1)
+ */
+function similaridadeJaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let comuns = 0;
+    a.forEach(palavra => {
+        if (b.has(palavra)) comuns++;
+    });
+    return comuns / (a.size + b.size - comuns);
+}
+
+/**
+ * Função para encontrar os grupos de descrições semelhantes
+ *
+ * Descrições com o mesmo conjunto de palavras são agrupadas direto (similaridade 1). Os demais
+ * pares só são comparados quando compartilham alguma palavra pouco frequente, para não comparar
+ * todos com todos; a descrição feita só de palavras frequentes entra pela menos frequente delas.
+ * As repetições de um grupo por código (`repetidos`) ficam de fora e pares do mesmo grupo
+ * (`mesmoGrupo`) são ignorados. Grupos são formados pelos pares ligados entre si; cada membro
+ * guarda a maior similaridade encontrada.
+ */
+function agruparDescricoesSemelhantes(produtos, similaridade, repetidos, mesmoGrupo) {
+    const palavras = produtos.map(produto => palavrasDaDescricao(produto['Descrição']));
+    const candidatos = palavras.map((conjunto, idx) => idx).filter(idx => !repetidos.has(idx) && palavras[idx].size > 0);
+
+    // União de conjuntos para juntar os pares semelhantes em grupos
+    const pais = produtos.map((produto, idx) => idx);
+    const raiz = idx => {
+        while (pais[idx] !== idx) {
+            pais[idx] = pais[pais[idx]];
+            idx = pais[idx];
+        }
+        return idx;
+    };
+    const melhor = new Map();
+    const ligar = (a, b, valor) => {
+        pais[raiz(b)] = raiz(a);
+        melhor.set(a, Math.max(melhor.get(a) || 0, valor));
+        melhor.set(b, Math.max(melhor.get(b) || 0, valor));
+    };
+
+    // Mesmo conjunto de palavras, em qualquer ordem
+    const porConjunto = new Map();
+    candidatos.forEach(idx => {
+        const chave = Array.from(palavras[idx]).sort().join(' ');
+        if (!porConjunto.has(chave)) porConjunto.set(chave, []);
+        porConjunto.get(chave).push(idx);
+    });
+    porConjunto.forEach(membros => {
+        membros.slice(1).forEach(idx => {
+            if (!mesmoGrupo(membros[0], idx)) ligar(membros[0], idx, 1);
+        });
+    });
+
+    const frequencia = new Map();
+    candidatos.forEach(idx => palavras[idx].forEach(palavra => frequencia.set(palavra, (frequencia.get(palavra) || 0) + 1)));
+    const indice = new Map();
+    candidatos.forEach(idx => {
+        const conjunto = Array.from(palavras[idx]);
+        const raras = conjunto.filter(palavra => frequencia.get(palavra) <= FREQUENCIA_MAXIMA_PALAVRA);
+        const chaves = raras.length > 0
+            ? raras
+            : [conjunto.reduce((menor, palavra) => (frequencia.get(palavra) < frequencia.get(menor) ? palavra : menor))];
+        chaves.forEach(palavra => {
+            if (!indice.has(palavra)) indice.set(palavra, []);
+            indice.get(palavra).push(idx);
+        });
+    });
+
+    const comparados = new Set();
+    indice.forEach(membros => {
+        for (let i = 0; i < membros.length; i++) {
+            for (let j = i + 1; j < membros.length; j++) {
+                const a = membros[i];
+                const b = membros[j];
+                const par = a * produtos.length + b;
+                if (comparados.has(par)) continue;
+                comparados.add(par);
+                if (mesmoGrupo(a, b)) continue;
+
+                const valor = similaridadeJaccard(palavras[a], palavras[b]);
+                if (valor < similaridade) continue;
+                ligar(a, b, valor);
+            }
+        }
+    });
+
+    const grupos = new Map();
+    Array.from(melhor.keys()).sort((a, b) => a - b).forEach(idx => {
+        const r = raiz(idx);
+        if (!grupos.has(r)) grupos.set(r, []);
+        grupos.get(r).push(idx);
+    });
+    return Array.from(grupos.values()).map(membros => ({
+        chave: String(produtos[membros[0]]['Descrição'] || ''),
+        membros,
+        similaridades: membros.map(idx => Math.round(melhor.get(idx) * 100) / 100)
+    }));
+}
+
+/**
+ * Função para detectar os grupos de duplicados nos produtos convertidos
+ *
+ * Retorna { grupos: [{ tipo, chave, membros (índices), similaridades?, revisar? }], porTipo }.
+ * No grupo de código no fornecedor, `similaridades` compara cada descrição com a do primeiro membro
+ * e `revisar` indica que alguma ficou abaixo da similaridade mínima.
+ */
+function detectarDuplicados(produtos, { similaridade = SIMILARIDADE_PADRAO } = {}) {
+    const chaveFornecedor = produto => {
+        const codigo = textoComparavel(produto, 'Cód no fornecedor');
+        // "7.89855E+12" é um código que o Excel cortou em notação científica: não identifica o produto
+        if (NOTACAO_CIENTIFICA.test(codigo)) return '';
+        const fornecedor = textoComparavel(produto, 'Fornecedor');
+        return codigo && fornecedor ? `${codigo}|${fornecedor}` : '';
+    };
+
+    const porCodigo = agruparPorChave(produtos, produto => textoComparavel(produto, 'Código'))
+        .map(grupo => ({ tipo: 'codigo', ...grupo }));
+    const porFornecedor = agruparPorChave(produtos, chaveFornecedor)
+        .map(grupo => {
+            const primeira = palavrasDaDescricao(produtos[grupo.membros[0]]['Descrição']);
+            const similaridades = grupo.membros.map((idx, posicao) => (posicao === 0
+                ? 1
+                : Math.round(similaridadeJaccard(primeira, palavrasDaDescricao(produtos[idx]['Descrição'])) * 100) / 100));
+            return { tipo: 'fornecedor', ...grupo, similaridades, revisar: similaridades.some(valor => valor < similaridade) };
+        });
+    const mesmoGrupo = (a, b) => {
+        const codigo = textoComparavel(produtos[a], 'Código');
+        const fornecedor = chaveFornecedor(produtos[a]);
+        return (codigo && codigo === textoComparavel(produtos[b], 'Código')) ||
+            (fornecedor && fornecedor === chaveFornecedor(produtos[b]));
+    };
+    const repetidos = new Set([...porCodigo, ...porFornecedor].flatMap(grupo => grupo.membros.slice(1)));
+    const porDescricao = agruparDescricoesSemelhantes(produtos, similaridade, repetidos, mesmoGrupo)
+        .map(grupo => ({ tipo: 'descricao', ...grupo }));
+
+    const grupos = [...porCodigo, ...porFornecedor, ...porDescricao];
+    const porTipo = {};
+    grupos.forEach(grupo => {
+        porTipo[TIPOS[grupo.tipo]] = (porTipo[TIPOS[grupo.tipo]] || 0) + 1;
+    });
+    return { grupos, porTipo };
+}
+
+/**
+ * Função para ler o estoque de um produto como número (vazio conta como zero)
+ */
+function estoqueDoProduto(produto) {
+    if (typeof produto['Estoque'] === 'number') return produto['Estoque'];
+    return parseNumero(produto['Estoque'], 0) || 0;
+}
+
+/**
+ * Função para detectar os duplicados e aplicar a política escolhida
+ *
+ * Com "primeiro" e "somar" as linhas repetidas saem de `produtos` e de `linhas` (que andam
+ * juntos); com "falhar" nada é removido e `bloqueantes` diz quantos grupos impedem a exportação.
+ * Grupos deixados para revisão não entram na política e são contados em `paraRevisao`.
+ * Retorna também as linhas do relatório agrupado (ver salvarDuplicados).
+ */
+function tratarDuplicados(produtos, { linhas = [], politica = 'primeiro', similaridade = SIMILARIDADE_PADRAO } = {}) {
+    const { grupos, porTipo } = detectarDuplicados(produtos, { similaridade });
+    const removidos = new Set();
+    const acoes = new Map();
+    let somados = 0;
+    let bloqueantes = 0;
+    let paraRevisao = 0;
+
+    grupos.forEach((grupo, numero) => {
+        if (grupo.tipo === 'descricao' || grupo.revisar) {
+            paraRevisao++;
+            grupo.membros.forEach(idx => acoes.set(`${numero}:${idx}`, 'revisar'));
+            return;
+        }
+        if (politica === 'falhar') {
+            bloqueantes++;
+            grupo.membros.forEach(idx => acoes.set(`${numero}:${idx}`, 'bloqueia a exportação'));
+            return;
+        }
+
+        // Linhas já removidas por um grupo anterior (mesmo código) não contam de novo
+        const restantes = grupo.membros.filter(idx => !removidos.has(idx));
+        grupo.membros
+            .filter(idx => removidos.has(idx))
+            .forEach(idx => acoes.set(`${numero}:${idx}`, 'removido em outro grupo'));
+        if (restantes.length < 2) {
+            restantes.forEach(idx => acoes.set(`${numero}:${idx}`, 'mantido'));
+            return;
+        }
+
+        const [mantido, ...descartados] = restantes;
+        descartados.forEach(idx => {
+            removidos.add(idx);
+            acoes.set(`${numero}:${idx}`, 'removido');
+        });
+        if (politica === 'somar') {
+            const total = restantes.reduce((soma, idx) => soma + estoqueDoProduto(produtos[idx]), 0);
+            produtos[mantido]['Estoque'] = Math.round(total * 1000) / 1000;
+            somados++;
+            acoes.set(`${numero}:${mantido}`, `mantido (estoque somado: ${produtos[mantido]['Estoque']})`);
+        } else {
+            acoes.set(`${numero}:${mantido}`, 'mantido');
+        }
+    });
+
+    const relatorio = [];
+    grupos.forEach((grupo, numero) => {
+        grupo.membros.forEach((idx, posicao) => {
+            const produto = produtos[idx];
+            relatorio.push({
+                'Grupo': numero + 1,
+                'Tipo': TIPOS[grupo.tipo],
+                'Chave': grupo.chave,
+                'Linha': linhas[idx] ? linhas[idx].indice : idx + 1,
+                'Código': produto['Código'],
+                'Descrição': produto['Descrição'],
+                'Fornecedor': produto['Fornecedor'],
+                'Cód no fornecedor': produto['Cód no fornecedor'],
+                'Estoque': produto['Estoque'],
+                'Similaridade': grupo.similaridades ? grupo.similaridades[posicao] : '',
+                'Ação': acoes.get(`${numero}:${idx}`)
+            });
+        });
+    });
+
+    const manter = (item, idx) => !removidos.has(idx);
+    return {
+        produtos: produtos.filter(manter),
+        linhas: linhas.filter(manter),
+        grupos,
+        porTipo,
+        removidos: removidos.size,
+        somados,
+        bloqueantes,
+        paraRevisao,
+        relatorio
+    };
+}
+
+/**
+ * Função para salvar o relatório agrupado de duplicados na aba "Duplicados"
+ */
+function salvarDuplicados(resultado, arquivo) {
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(resultado.relatorio, { header: COLUNAS_DUPLICADOS });
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Duplicados');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    POLITICAS_DUPLICADOS,
+    SIMILARIDADE_PADRAO,
+    lerOpcoesDuplicados,
+    similaridadeJaccard,
+    detectarDuplicados,
+    tratarDuplicados,
+    salvarDuplicados
+};
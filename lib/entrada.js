@@ -0,0 +1,240 @@
+// lib/entrada.js - Leitura de vários arquivos/abas de entrada, com junção e remoção de duplicados
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { obterValorSeguro, estaVazio } = require('./colunas');
+const { aliasesDoCampo } = require('./perfil');
+const { decodificarTexto } = require('./codificacao');
+const { ehArquivoCsv, converterTextoCsv } = require('./streaming');
+
+const POLITICAS_CONFLITO = ['primeiro', 'ultimo', 'relatorio'];
+const CHAVES_DEDUPLICACAO = ['codigo', 'fornecedor'];
+
+/**
+ * Função para converter um padrão com * e ? em expressão regular
+ */
+function padraoParaRegex(padrao) {
+    const escapado = padrao.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escapado.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * Função para expandir a especificação de entrada em uma lista de arquivos
+ *
+ * Aceita vários arquivos separados por vírgula e curingas no nome do arquivo (ex.: "fornecedores/*.xlsx").
+ */
+function expandirEntradas(especificacao) {
+    // Um arquivo que existe com esse nome exato vale como está, mesmo com vírgula no nome
+    if (especificacao && fs.existsSync(String(especificacao)) && fs.statSync(String(especificacao)).isFile()) {
+        return [String(especificacao)];
+    }
+
+    const arquivos = [];
+
+    String(especificacao || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        if (!/[*?]/.test(item)) {
+            arquivos.push(item);
+            return;
+        }
+
+        const pasta = path.dirname(item);
+        const regex = padraoParaRegex(path.basename(item));
+        if (!fs.existsSync(pasta)) return;
+
+        fs.readdirSync(pasta)
+            .filter(nome => regex.test(nome) && !nome.startsWith('~$'))
+            .sort()
+            .forEach(nome => arquivos.push(path.join(pasta, nome)));
+    });
+
+    return [...new Set(arquivos)];
+}
+
+/**
+ * Função para escolher as abas a ler: a primeira (padrão), todas ("todas" ou "*") ou uma lista de nomes
+ */
+function selecionarAbas(workbook, abas, arquivo) {
+    if (!abas) {
+        return workbook.SheetNames.slice(0, 1);
+    }
+    if (abas === true || abas === 'todas' || abas === '*') {
+        return workbook.SheetNames;
+    }
+
+    const nomes = String(abas).split(',').map(nome => nome.trim()).filter(Boolean);
+    const faltando = nomes.filter(nome => !workbook.SheetNames.includes(nome));
+    if (faltando.length > 0) {
+        throw new Error(`Planilha(s) ${faltando.map(n => `'${n}'`).join(', ')} não encontrada(s) em ${arquivo}. Abas disponíveis: ${workbook.SheetNames.join(', ')}.`);
+    }
+    return nomes;
+}
+
+/**
+ * Função para ler um CSV/TXT de fornecedor, detectando a codificação (UTF-8, UTF-16 ou Windows-1252)
+ *
+ * Os valores ficam como texto, do jeito que estão no arquivo (o XLSX também é lido com raw: false).
+ */
+function lerArquivoCsv(arquivo, abas, codificacao = 'auto') {
+    // O CSV tem uma única "aba", com o mesmo nome que a biblioteca xlsx daria
+    const workbook = { SheetNames: ['Sheet1'] };
+    const { texto, codificacao: usada } = decodificarTexto(fs.readFileSync(arquivo), codificacao);
+
+    return selecionarAbas(workbook, abas, arquivo).map(aba => ({
+        arquivo,
+        aba,
+        codificacao: usada,
+        linhas: converterTextoCsv(texto)
+    }));
+}
+
+/**
+ * Função para ler as linhas das abas selecionadas de um arquivo
+ */
+function lerArquivo(arquivo, abas, codificacao) {
+    if (ehArquivoCsv(arquivo)) {
+        return lerArquivoCsv(arquivo, abas, codificacao);
+    }
+
+    const workbook = XLSX.readFile(arquivo, {
+        cellStyles: true,
+        cellDates: true,
+        cellNF: true,
+        raw: false,
+        type: 'binary'
+    });
+
+    if (!workbook || !workbook.SheetNames || workbook.SheetNames.length === 0) {
+        throw new Error(`Não foi possível ler o arquivo Excel ${arquivo} corretamente.`);
+    }
+
+    return selecionarAbas(workbook, abas, arquivo).map(aba => ({
+        arquivo,
+        aba,
+        linhas: XLSX.utils.sheet_to_json(workbook.Sheets[aba], {
+            raw: false,
+            defval: '',
+            blankrows: false
+        })
+    }));
+}
+
+/**
+ * Função para ler e juntar todas as entradas
+ *
+ * Devolve as linhas e, na mesma posição, a origem de cada uma ({ arquivo, aba, linha }).
+ * `codificacao` vale para as entradas CSV/TXT ("auto" quando não informada).
+ */
+function lerEntradas(arquivos, { abas, codificacao } = {}) {
+    const produtos = [];
+    const origens = [];
+    const fontes = [];
+
+    arquivos.forEach(arquivo => {
+        if (!fs.existsSync(arquivo)) {
+            throw new Error(`O arquivo ${arquivo} não foi encontrado.`);
+        }
+
+        lerArquivo(arquivo, abas, codificacao).forEach(fonte => {
+            fontes.push({ arquivo: fonte.arquivo, aba: fonte.aba, linhas: fonte.linhas.length, ...(fonte.codificacao ? { codificacao: fonte.codificacao } : {}) });
+            fonte.linhas.forEach((linha, idx) => {
+                produtos.push(linha);
+                // Linhas em branco não viram produto: a linha da planilha vem de __rowNum__ (a partir de 0)
+                const numero = linha.__rowNum__ === undefined ? idx + 2 : linha.__rowNum__ + 1;
+                origens.push({ arquivo: fonte.arquivo, aba: fonte.aba, linha: numero });
+            });
+        });
+    });
+
+    return { produtos, origens, fontes };
+}
+
+/**
+ * Função para montar a chave de deduplicação de uma linha (vazia quando a linha não tem chave)
+ */
+function chaveDaLinha(produto, chave, perfil) {
+    const valor = campo => {
+        const bruto = obterValorSeguro(produto, aliasesDoCampo(perfil, campo));
+        return estaVazio(bruto) ? '' : String(bruto).trim().toUpperCase();
+    };
+
+    if (chave === 'fornecedor') {
+        const codigoOriginal = valor('codigoOriginal');
+        const fornecedor = valor('fornecedor');
+        return codigoOriginal && fornecedor ? `${codigoOriginal}|${fornecedor}` : '';
+    }
+    return valor('codigo');
+}
+
+/**
+ * Função para verificar se duas linhas têm os mesmos valores, independente da ordem das colunas
+ */
+function linhasIguais(a, b) {
+    const colunas = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const coluna of colunas) {
+        const valorA = estaVazio(a[coluna]) ? '' : String(a[coluna]).trim();
+        const valorB = estaVazio(b[coluna]) ? '' : String(b[coluna]).trim();
+        if (valorA !== valorB) return false;
+    }
+    return true;
+}
+
+/**
+ * Função para remover linhas duplicadas após a junção das entradas
+ *
+ * Políticas: "primeiro" mantém a primeira ocorrência, "ultimo" a última e "relatorio" mantém a
+ * primeira, mas lista cada conflito (duplicado com valores diferentes) para revisão.
+ */
+function deduplicar(produtos, origens, { chave = 'codigo', politica = 'primeiro', perfil } = {}) {
+    if (!CHAVES_DEDUPLICACAO.includes(chave)) {
+        throw new Error(`Chave de deduplicação "${chave}" inválida (use ${CHAVES_DEDUPLICACAO.join(', ')}).`);
+    }
+    if (!POLITICAS_CONFLITO.includes(politica)) {
+        throw new Error(`Política de conflito "${politica}" inválida (use ${POLITICAS_CONFLITO.join(', ')}).`);
+    }
+
+    const posicaoPorChave = new Map();
+    const mantidos = [];
+    const duplicados = [];
+
+    produtos.forEach((produto, idx) => {
+        const valorChave = chaveDaLinha(produto, chave, perfil);
+
+        // Linhas sem chave não podem ser comparadas e seguem adiante
+        if (!valorChave || !posicaoPorChave.has(valorChave)) {
+            if (valorChave) posicaoPorChave.set(valorChave, mantidos.length);
+            mantidos.push({ produto, origem: origens[idx] });
+            return;
+        }
+
+        const posicao = posicaoPorChave.get(valorChave);
+        const existente = mantidos[posicao];
+        const conflito = !linhasIguais(existente.produto, produto);
+        const manterNovo = politica === 'ultimo';
+
+        duplicados.push({
+            chave: valorChave,
+            conflito,
+            mantido: manterNovo ? origens[idx] : existente.origem,
+            descartado: manterNovo ? existente.origem : origens[idx]
+        });
+
+        if (manterNovo) {
+            mantidos[posicao] = { produto, origem: origens[idx] };
+        }
+    });
+
+    return {
+        produtos: mantidos.map(item => item.produto),
+        origens: mantidos.map(item => item.origem),
+        duplicados,
+        conflitos: duplicados.filter(item => item.conflito)
+    };
+}
+
+module.exports = {
+    POLITICAS_CONFLITO,
+    CHAVES_DEDUPLICACAO,
+    expandirEntradas,
+    lerEntradas,
+    deduplicar
+};
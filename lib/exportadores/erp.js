@@ -0,0 +1,20 @@
+// lib/exportadores/erp.js - Modelo de importação do ERP (layout original do conversor)
+const { salvarLinhas, formatoDoArquivo } = require('./formatos');
+
+module.exports = {
+    nome: 'erp',
+    descricao: 'Planilha de importação do ERP (layout gerado pelo perfil de mapeamento)',
+    extensao: '.xlsx',
+    // Como no conversor original, nenhuma linha é descartada; código ausente é apontado pela validação
+    colunasObrigatorias: [],
+
+    // O produto convertido já está no layout do ERP
+    converter(produto) {
+        return produto;
+    },
+
+    // O formato segue a extensão do arquivo de saída informado (dados.csv, dados.ods...)
+    salvar(linhas, arquivo, formato) {
+        salvarLinhas(linhas, arquivo, { formato: formatoDoArquivo(arquivo) || 'xlsx', nomeAba: 'Produtos' }, formato);
+    }
+};
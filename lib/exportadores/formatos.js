@@ -0,0 +1,196 @@
+// lib/exportadores/formatos.js - Gravação das linhas exportadas em arquivo
+//
+// Cada destino tem um formato próprio (XLSX no ERP e no Tiny, CSV no WooCommerce e na Shopify),
+// que pode ser trocado por --formato: xlsx, ods, csv, json ou ndjson (um objeto JSON por linha).
+// No CSV dá para escolher o delimitador, as aspas, a codificação e o separador decimal; destinos
+// com layout de importação fixo (WooCommerce, Shopify) mantêm o delimitador, o decimal e a codificação deles.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { codificarTexto, nomeCodificacao } = require('../codificacao');
+
+const FORMATOS = ['xlsx', 'ods', 'csv', 'json', 'ndjson'];
+const EXTENSOES = { xlsx: '.xlsx', ods: '.ods', csv: '.csv', json: '.json', ndjson: '.ndjson' };
+// Extensões do arquivo de saída que indicam o formato quando --formato não é informado
+const FORMATOS_POR_EXTENSAO = { '.xlsx': 'xlsx', '.ods': 'ods', '.csv': 'csv', '.txt': 'csv', '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson' };
+// "minimas": só quando o valor tem delimitador, aspas ou quebra de linha; "textos": todo valor
+// que não é número; "todas": todos os valores, inclusive o cabeçalho
+const ASPAS = ['minimas', 'textos', 'todas'];
+const SEPARADORES_DECIMAIS = ['.', ','];
+const DELIMITADORES_NOMEADOS = { tab: '\t', tabulacao: '\t', 'ponto-e-virgula': ';', virgula: ',', pipe: '|' };
+
+/**
+ * Função para conferir e completar as opções de CSV ({ delimitador, aspas, codificacao, decimal })
+ */
+function opcoesCsv({ delimitador = ',', aspas = 'minimas', codificacao = 'utf8', decimal = '.', bom = false } = {}) {
+    const separador = DELIMITADORES_NOMEADOS[String(delimitador).toLowerCase()] || String(delimitador);
+    if (separador.length !== 1 || separador === '"' || /[\r\n]/.test(separador)) {
+        throw new Error(`Delimitador "${delimitador}" inválido (use um único caractere, ex.: ";", "," ou tab).`);
+    }
+    if (!ASPAS.includes(aspas)) {
+        throw new Error(`Modo de aspas "${aspas}" inválido (use ${ASPAS.join(', ')}).`);
+    }
+    if (!SEPARADORES_DECIMAIS.includes(decimal)) {
+        throw new Error(`Separador decimal "${decimal}" inválido (use . ou ,).`);
+    }
+    if (decimal === separador) {
+        throw new Error('O separador decimal não pode ser igual ao delimitador do CSV.');
+    }
+
+    const nome = nomeCodificacao(codificacao);
+    return {
+        delimitador: separador,
+        aspas,
+        codificacao: bom && nome === 'utf8' ? 'utf8-bom' : nome,
+        decimal
+    };
+}
+
+/**
+ * Função para obter o formato indicado pela extensão do arquivo, ou null se ela não indicar nenhum
+ */
+function formatoDoArquivo(arquivo) {
+    return FORMATOS_POR_EXTENSAO[path.extname(arquivo).toLowerCase()] || null;
+}
+
+/**
+ * Função para conferir a escolha de formato de saída ({ formato, ...opções de CSV })
+ *
+ * Sem `formato`, cada destino mantém o seu; as opções de CSV valem para todo destino gravado em CSV,
+ * exceto as que o destino fixa (ver salvarLinhas).
+ */
+function lerFormatoSaida({ formato, delimitador, aspas, codificacao, decimal } = {}) {
+    const nome = formato ? String(formato).trim().toLowerCase() : null;
+    if (nome && !FORMATOS.includes(nome)) {
+        throw new Error(`Formato de saída "${formato}" desconhecido. Formatos disponíveis: ${FORMATOS.join(', ')}.`);
+    }
+
+    const csv = {};
+    if (delimitador !== undefined) csv.delimitador = delimitador;
+    if (aspas !== undefined) csv.aspas = aspas;
+    if (codificacao !== undefined) csv.codificacao = codificacao;
+    if (decimal !== undefined) csv.decimal = decimal;
+    opcoesCsv(csv);
+
+    return { formato: nome, csv };
+}
+
+/**
+ * Função para montar as linhas com as colunas na ordem informada (colunas ausentes ficam vazias)
+ */
+function ordenarColunas(linhas, colunas) {
+    if (!colunas) return linhas;
+    return linhas.map(linha => Object.fromEntries(colunas.map(coluna => [coluna, linha[coluna] === undefined ? '' : linha[coluna]])));
+}
+
+/**
+ * Função para gravar as linhas em uma planilha (XLSX ou ODS) com uma única aba
+ */
+function salvarXlsx(linhas, arquivo, nomeAba = 'Produtos', colunas, bookType) {
+    const worksheet = XLSX.utils.json_to_sheet(linhas, colunas ? { header: colunas } : undefined);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, nomeAba);
+    XLSX.writeFile(workbook, arquivo, bookType ? { bookType } : undefined);
+}
+
+/**
+ * Função para escrever um valor como campo CSV, com o separador decimal e as aspas escolhidos
+ */
+function campoCsv(valor, { delimitador, aspas, decimal }) {
+    if (valor === undefined || valor === null) return '';
+
+    const numero = typeof valor === 'number' && isFinite(valor);
+    const texto = numero && decimal !== '.' ? String(valor).replace('.', decimal) : String(valor);
+    const precisaAspas = aspas === 'todas' ||
+        (aspas === 'textos' && !numero && texto !== '') ||
+        texto.includes(delimitador) || /["\r\n]/.test(texto);
+
+    return precisaAspas ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Função para escrever uma linha CSV (sem a quebra de linha) a partir dos valores na ordem das colunas
+ */
+function linhaCsv(valores, opcoes) {
+    return valores.map(valor => campoCsv(valor, opcoes)).join(opcoes.delimitador);
+}
+
+/**
+ * Função para escrever o cabeçalho CSV (nomes de coluna só vão entre aspas no modo "todas" ou se precisarem)
+ */
+function cabecalhoCsv(colunas, opcoes) {
+    return linhaCsv(colunas, { ...opcoes, aspas: opcoes.aspas === 'todas' ? 'todas' : 'minimas' });
+}
+
+/**
+ * Função para gravar as linhas em CSV, com delimitador, aspas, codificação e separador decimal
+ *
+ * Linhas totalmente vazias são omitidas. `bom: true` equivale a codificacao "utf8-bom".
+ */
+function salvarCsv(linhas, arquivo, opcoes = {}) {
+    const csv = opcoesCsv(opcoes);
+    const colunas = opcoes.colunas || [...new Set(linhas.flatMap(linha => Object.keys(linha)))];
+
+    const registros = [cabecalhoCsv(colunas, csv)];
+    linhas.forEach(linha => {
+        const valores = colunas.map(coluna => linha[coluna]);
+        if (valores.every(valor => valor === undefined || valor === null || valor === '')) return;
+        registros.push(linhaCsv(valores, csv));
+    });
+
+    fs.writeFileSync(arquivo, codificarTexto(registros.join('\n') + '\n', csv.codificacao));
+}
+
+/**
+ * Função para gravar as linhas em JSON (uma lista de objetos) ou NDJSON (um objeto por linha)
+ */
+function salvarJson(linhas, arquivo, colunas, porLinha = false) {
+    const objetos = ordenarColunas(linhas, colunas);
+    const texto = porLinha
+        ? objetos.map(objeto => JSON.stringify(objeto)).join('\n') + '\n'
+        : JSON.stringify(objetos, null, 2) + '\n';
+    fs.writeFileSync(arquivo, texto, 'utf8');
+}
+
+/**
+ * Função para gravar as linhas de um destino no formato escolhido
+ *
+ * `padrao` traz o formato e as opções próprias do destino ({ formato, nomeAba, colunas, csv });
+ * `escolha` (de lerFormatoSaida) troca o formato e completa as opções de CSV. As opções de CSV do
+ * destino são fixas: a plataforma só importa o arquivo com elas, então a escolha não as troca.
+ */
+function salvarLinhas(linhas, arquivo, padrao, escolha = {}) {
+    const formato = escolha.formato || padrao.formato;
+    const csv = { ...(escolha.csv || {}), ...(padrao.csv || {}) };
+
+    switch (formato) {
+        case 'csv':
+            salvarCsv(linhas, arquivo, { ...csv, colunas: padrao.colunas });
+            break;
+        case 'json':
+        case 'ndjson':
+            salvarJson(linhas, arquivo, padrao.colunas, formato === 'ndjson');
+            break;
+        case 'ods':
+            salvarXlsx(linhas, arquivo, padrao.nomeAba, padrao.colunas, 'ods');
+            break;
+        default:
+            salvarXlsx(linhas, arquivo, padrao.nomeAba, padrao.colunas);
+    }
+}
+
+module.exports = {
+    FORMATOS,
+    EXTENSOES,
+    ASPAS,
+    opcoesCsv,
+    formatoDoArquivo,
+    lerFormatoSaida,
+    ordenarColunas,
+    salvarXlsx,
+    salvarCsv,
+    salvarJson,
+    salvarLinhas,
+    linhaCsv,
+    cabecalhoCsv
+};
@@ -0,0 +1,98 @@
+// lib/exportadores/index.js - Registro dos exportadores de destino (--destino)
+const path = require('path');
+const { EXTENSOES, formatoDoArquivo } = require('./formatos');
+
+const EXPORTADORES = {
+    erp: require('./erp'),
+    tiny: require('./tiny'),
+    woocommerce: require('./woocommerce'),
+    shopify: require('./shopify')
+};
+
+const DESTINO_PADRAO = 'erp';
+
+/**
+ * Função para obter um exportador pelo nome
+ */
+function obterExportador(nome) {
+    const exportador = EXPORTADORES[String(nome || '').trim().toLowerCase()];
+    if (!exportador) {
+        throw new Error(`Destino "${nome}" desconhecido. Destinos disponíveis: ${Object.keys(EXPORTADORES).join(', ')}.`);
+    }
+    return exportador;
+}
+
+/**
+ * Função para obter os exportadores de uma lista separada por vírgula (ex.: "erp,shopify")
+ */
+function obterExportadores(destinos) {
+    const nomes = String(destinos || DESTINO_PADRAO).split(',').map(n => n.trim()).filter(Boolean);
+    return [...new Set(nomes)].map(obterExportador);
+}
+
+/**
+ * Função para obter um arquivo ao lado do arquivo de saída, com sufixo no nome (ex.: saida-duplicados.xlsx)
+ */
+function arquivoAoLado(arquivoSaida, sufixo, extensao = '.xlsx') {
+    const { dir, name } = path.parse(arquivoSaida);
+    return path.join(dir, `${name}-${sufixo}${extensao}`);
+}
+
+/**
+ * Função para definir o arquivo de saída de um destino
+ *
+ * O destino padrão mantém o nome informado; os demais recebem o nome do destino como sufixo.
+ * Com um `formato` escolhido (--formato), a extensão passa a ser a desse formato.
+ */
+function arquivoDoDestino(arquivoSaida, exportador, formato = null) {
+    if (exportador.nome === DESTINO_PADRAO) {
+        const { dir, name } = path.parse(arquivoSaida);
+        return !formato || formatoDoArquivo(arquivoSaida) === formato
+            ? arquivoSaida
+            : path.join(dir, `${name}${EXTENSOES[formato]}`);
+    }
+    const extensao = formato
+        ? (formatoDoArquivo(arquivoSaida) === formato ? path.extname(arquivoSaida) : EXTENSOES[formato])
+        : exportador.extensao;
+    return arquivoAoLado(arquivoSaida, exportador.nome, extensao);
+}
+
+/**
+ * Função para converter os produtos para o layout do destino
+ *
+ * Linhas sem alguma coluna obrigatória são descartadas, pois o destino rejeitaria a importação.
+ */
+function exportarProdutos(produtos, exportador) {
+    const linhas = [];
+    const descartados = [];
+
+    produtos.forEach((produto, idx) => {
+        const linha = exportador.converter(produto);
+        const faltando = (exportador.colunasObrigatorias || []).filter(coluna =>
+            linha[coluna] === undefined || linha[coluna] === null || String(linha[coluna]).trim() === ''
+        );
+
+        if (faltando.length > 0) {
+            descartados.push({
+                indice: idx + 1,
+                codigo: produto['Código'] || `Item #${idx + 1}`,
+                colunas: faltando
+            });
+            return;
+        }
+
+        linhas.push(linha);
+    });
+
+    return { linhas, descartados };
+}
+
+module.exports = {
+    EXPORTADORES,
+    DESTINO_PADRAO,
+    obterExportador,
+    obterExportadores,
+    arquivoAoLado,
+    arquivoDoDestino,
+    exportarProdutos
+};
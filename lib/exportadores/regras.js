@@ -0,0 +1,40 @@
+// lib/exportadores/regras.js - Regras de valor compartilhadas pelos exportadores
+
+/**
+ * Função para obter um valor como texto, tratando nulos como vazio
+ */
+function textoOuVazio(valor) {
+    if (valor === undefined || valor === null) return '';
+    return String(valor).trim();
+}
+
+/**
+ * Função para obter um número (ponto decimal) ou vazio quando o valor não é numérico
+ */
+function numeroOuVazio(valor) {
+    if (valor === undefined || valor === null || valor === '') return '';
+    const numero = Number(valor);
+    return isNaN(numero) ? '' : numero;
+}
+
+/**
+ * Função para limitar o tamanho de um texto
+ */
+function truncar(texto, limite) {
+    if (!texto || texto.length <= limite) return texto;
+    return texto.slice(0, limite).trim();
+}
+
+/**
+ * Função para gerar um identificador de URL ("handle"/"slug") a partir de um texto
+ */
+function gerarSlug(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+module.exports = { textoOuVazio, numeroOuVazio, truncar, gerarSlug };
@@ -0,0 +1,69 @@
+// lib/exportadores/shopify.js - CSV de importação de produtos da Shopify
+const { salvarLinhas } = require('./formatos');
+const { textoOuVazio, numeroOuVazio, gerarSlug } = require('./regras');
+
+// A Shopify só importa CSV separado por vírgula, com ponto decimal, em UTF-8
+const CSV = { delimitador: ',', decimal: '.', codificacao: 'utf8' };
+const COLUNAS = [
+    'Handle', 'Title', 'Body (HTML)', 'Vendor', 'Type', 'Tags', 'Published',
+    'Option1 Name', 'Option1 Value', 'Variant SKU', 'Variant Grams',
+    'Variant Inventory Tracker', 'Variant Inventory Qty', 'Variant Inventory Policy',
+    'Variant Fulfillment Service', 'Variant Price', 'Variant Requires Shipping',
+    'Variant Taxable', 'Variant Barcode', 'Image Src', 'Cost per item', 'Status'
+];
+
+/**
+ * Função para escapar texto simples antes de usá-lo como HTML
+ */
+function paraHtml(texto) {
+    return textoOuVazio(texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    nome: 'shopify',
+    descricao: 'CSV de importação de produtos da Shopify',
+    extensao: '.csv',
+    colunas: COLUNAS,
+    csv: CSV,
+    colunasObrigatorias: ['Handle', 'Title', 'Variant SKU', 'Variant Price'],
+
+    converter(produto) {
+        const codigo = textoOuVazio(produto['Código']);
+        const titulo = textoOuVazio(produto['Descrição']);
+        const pesoKg = numeroOuVazio(produto['Peso bruto (Kg)']);
+        const descricaoComplementar = textoOuVazio(produto['Descrição Complementar']);
+
+        return {
+            // O código entra no handle para que descrições repetidas não se fundam em um só produto
+            'Handle': gerarSlug(`${titulo} ${codigo}`),
+            'Title': titulo,
+            'Body (HTML)': descricaoComplementar ? `<p>${paraHtml(descricaoComplementar)}</p>` : '',
+            'Vendor': textoOuVazio(produto['Marca']) || textoOuVazio(produto['Fornecedor']),
+            'Type': textoOuVazio(produto['Departamento']),
+            'Tags': textoOuVazio(produto['Grupo de produtos']).replace(/,/g, ' '),
+            'Published': produto['Situação'] === 'Inativo' ? 'FALSE' : 'TRUE',
+            'Option1 Name': 'Title',
+            'Option1 Value': 'Default Title',
+            'Variant SKU': codigo,
+            'Variant Grams': pesoKg === '' ? '' : Math.round(pesoKg * 1000),
+            'Variant Inventory Tracker': 'shopify',
+            'Variant Inventory Qty': numeroOuVazio(produto['Estoque']) === '' ? 0 : Math.floor(produto['Estoque']),
+            'Variant Inventory Policy': 'deny',
+            'Variant Fulfillment Service': 'manual',
+            'Variant Price': numeroOuVazio(produto['Preço']),
+            'Variant Requires Shipping': 'TRUE',
+            'Variant Taxable': 'TRUE',
+            'Variant Barcode': textoOuVazio(produto['GTIN/EAN']),
+            'Image Src': textoOuVazio(produto['URL Imagens Externas']).split('|')[0],
+            'Cost per item': numeroOuVazio(produto['Preço de custo']),
+            'Status': produto['Situação'] === 'Inativo' ? 'draft' : 'active'
+        };
+    },
+
+    salvar(linhas, arquivo, formato) {
+        salvarLinhas(linhas, arquivo, { formato: 'csv', nomeAba: 'Produtos', colunas: COLUNAS, csv: CSV }, formato);
+    }
+};
@@ -0,0 +1,48 @@
+// lib/exportadores/tiny.js - Planilha de importação de produtos do Tiny ERP
+const { salvarLinhas } = require('./formatos');
+const { textoOuVazio, numeroOuVazio, truncar } = require('./regras');
+
+const COLUNAS = [
+    'Código (SKU)', 'Descrição', 'Unidade', 'NCM', 'Origem', 'Preço', 'Preço de custo',
+    'Estoque', 'Situação', 'Marca', 'GTIN/EAN', 'Peso líquido (Kg)', 'Peso bruto (Kg)',
+    'Localização', 'Fornecedor', 'Código no fornecedor', 'Categoria', 'CEST',
+    'Descrição complementar', 'Observações'
+];
+
+module.exports = {
+    nome: 'tiny',
+    descricao: 'Planilha de importação de produtos do Tiny ERP',
+    extensao: '.xlsx',
+    colunas: COLUNAS,
+    colunasObrigatorias: ['Código (SKU)', 'Descrição', 'Unidade', 'Preço'],
+
+    converter(produto) {
+        // O Tiny limita a descrição a 120 caracteres e a unidade a 6
+        return {
+            'Código (SKU)': textoOuVazio(produto['Código']),
+            'Descrição': truncar(textoOuVazio(produto['Descrição']), 120),
+            'Unidade': truncar(textoOuVazio(produto['Unidade']) || 'UN', 6),
+            'NCM': textoOuVazio(produto['NCM']).replace(/\D/g, ''),
+            'Origem': textoOuVazio(produto['Origem']) || '0',
+            'Preço': numeroOuVazio(produto['Preço']),
+            'Preço de custo': numeroOuVazio(produto['Preço de custo']),
+            'Estoque': numeroOuVazio(produto['Estoque']),
+            'Situação': produto['Situação'] === 'Inativo' ? 'Inativo' : 'Ativo',
+            'Marca': textoOuVazio(produto['Marca']),
+            'GTIN/EAN': textoOuVazio(produto['GTIN/EAN']),
+            'Peso líquido (Kg)': numeroOuVazio(produto['Peso líquido (Kg)']),
+            'Peso bruto (Kg)': numeroOuVazio(produto['Peso bruto (Kg)']),
+            'Localização': textoOuVazio(produto['Localização']),
+            'Fornecedor': textoOuVazio(produto['Fornecedor']),
+            'Código no fornecedor': textoOuVazio(produto['Cód no fornecedor']),
+            'Categoria': [produto['Departamento'], produto['Grupo de produtos']].filter(Boolean).join(' >> '),
+            'CEST': textoOuVazio(produto['CEST']),
+            'Descrição complementar': textoOuVazio(produto['Descrição Complementar']),
+            'Observações': textoOuVazio(produto['Observações'])
+        };
+    },
+
+    salvar(linhas, arquivo, formato) {
+        salvarLinhas(linhas, arquivo, { formato: 'xlsx', nomeAba: 'Produtos', colunas: COLUNAS }, formato);
+    }
+};
@@ -0,0 +1,61 @@
+// lib/exportadores/woocommerce.js - CSV do importador de produtos do WooCommerce
+const { salvarLinhas } = require('./formatos');
+const { textoOuVazio, numeroOuVazio } = require('./regras');
+
+// Layout fixo do importador do WooCommerce: vírgula, ponto decimal e UTF-8
+const CSV = { delimitador: ',', decimal: '.', codificacao: 'utf8' };
+const COLUNAS = [
+    'Type', 'SKU', 'Name', 'Published', 'Is featured?', 'Visibility in catalog',
+    'Short description', 'Description', 'Tax status', 'In stock?', 'Stock',
+    'Regular price', 'Categories', 'Brands', 'Weight (kg)', 'Length (cm)', 'Width (cm)',
+    'Height (cm)', 'Images', 'Meta: _supplier', 'Meta: _supplier_sku', 'Meta: _cost_price'
+];
+
+module.exports = {
+    nome: 'woocommerce',
+    descricao: 'CSV de importação de produtos do WooCommerce',
+    extensao: '.csv',
+    colunas: COLUNAS,
+    csv: CSV,
+    colunasObrigatorias: ['Type', 'SKU', 'Name', 'Regular price'],
+
+    converter(produto) {
+        const estoque = numeroOuVazio(produto['Estoque']);
+        // WooCommerce usa ">" para indicar subcategorias e "," para separar categorias
+        const categoria = [produto['Departamento'], produto['Grupo de produtos']]
+            .map(textoOuVazio)
+            .filter(Boolean)
+            .map(nome => nome.replace(/,/g, ' '))
+            .join(' > ');
+
+        return {
+            'Type': 'simple',
+            'SKU': textoOuVazio(produto['Código']),
+            'Name': textoOuVazio(produto['Descrição']),
+            'Published': produto['Situação'] === 'Inativo' ? 0 : 1,
+            'Is featured?': 0,
+            'Visibility in catalog': 'visible',
+            'Short description': textoOuVazio(produto['Descrição Curta']),
+            'Description': textoOuVazio(produto['Descrição Complementar']),
+            'Tax status': 'taxable',
+            'In stock?': estoque !== '' && estoque > 0 ? 1 : 0,
+            'Stock': estoque === '' ? '' : Math.max(0, Math.floor(estoque)),
+            // Preço zerado no WooCommerce deixa o produto sem botão de compra
+            'Regular price': numeroOuVazio(produto['Preço']) || '',
+            'Categories': categoria,
+            'Brands': textoOuVazio(produto['Marca']),
+            'Weight (kg)': numeroOuVazio(produto['Peso bruto (Kg)']),
+            'Length (cm)': numeroOuVazio(produto['Profundidade do produto']),
+            'Width (cm)': numeroOuVazio(produto['Largura do Produto']),
+            'Height (cm)': numeroOuVazio(produto['Altura do Produto']),
+            'Images': textoOuVazio(produto['URL Imagens Externas']).split('|').filter(Boolean).join(', '),
+            'Meta: _supplier': textoOuVazio(produto['Fornecedor']),
+            'Meta: _supplier_sku': textoOuVazio(produto['Cód no fornecedor']),
+            'Meta: _cost_price': numeroOuVazio(produto['Preço de custo'])
+        };
+    },
+
+    salvar(linhas, arquivo, formato) {
+        salvarLinhas(linhas, arquivo, { formato: 'csv', nomeAba: 'Produtos', colunas: COLUNAS, csv: CSV }, formato);
+    }
+};
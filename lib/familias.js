@@ -0,0 +1,352 @@
+// lib/familias.js - Famílias de produtos: pai e variações para o ERP (--familias)
+//
+// Produtos que são variações de um mesmo item são reconhecidos de duas formas (padrões em um
+// JSON, exemplo em regras/familias.json):
+// - pelo sufixo do código: "70295-P", "70295-M" e "70295-G" formam a família "70295";
+// - pelo atributo na descrição: "ABRACADEIRA ... 59MM" e "ABRACADEIRA ... 79MM", do mesmo
+//   fornecedor, só diferem pela medida.
+// Na saída do ERP cada família ganha uma linha de produto pai (ou usa o produto que já tem o
+// código base) e as variações recebem Código Pai, Produto Variação e Clonar dados do pai. Os
+// demais destinos recebem os produtos como estão. Famílias duvidosas (valor de atributo repetido,
+// unidade ou NCM diferentes, grupos grandes demais) não são montadas: ficam listadas para revisão.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { normalizar, estaVazio } = require('./colunas');
+const { renderizarModelo } = require('./modelos');
+
+const ARQUIVO_REGRAS_FAMILIAS_PADRAO = path.join(__dirname, '..', 'regras', 'familias.json');
+const COLUNAS_FAMILIAS = ['Código Pai', 'Descrição Pai', 'Atributo', 'Código', 'Descrição', 'Valor', 'Detectada por'];
+const COLUNAS_REVISAO = ['Família', 'Código', 'Descrição', 'Motivo'];
+const ERP_PADRAO = {
+    produtoVariacaoPai: 'Produto',
+    produtoVariacaoFilho: 'Variação',
+    clonarDadosDoPai: 'Sim',
+    descricaoVariacao: '{{descricao}} {{atributo}}:{{valor}}'
+};
+
+/**
+ * Função para compilar uma expressão regular das regras, com a mensagem de erro do arquivo
+ */
+function compilarPadrao(padrao, descricao, flags = 'i') {
+    try {
+        return new RegExp(padrao, flags);
+    } catch (error) {
+        throw new Error(`Regras de famílias: padrão inválido em ${descricao}: ${error.message}`);
+    }
+}
+
+/**
+ * Função para carregar e conferir as regras de famílias
+ */
+function carregarRegrasFamilias(arquivo = ARQUIVO_REGRAS_FAMILIAS_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler as regras de famílias ${arquivo}: ${error.message}`);
+    }
+
+    const sufixosCodigo = (config.sufixosCodigo || []).map((sufixo, i) => {
+        if (!sufixo.padrao || !sufixo.atributo) {
+            throw new Error(`Regras de famílias: o sufixo de código ${i + 1} precisa de "padrao" e "atributo".`);
+        }
+        // Dois grupos: o código base e o valor do atributo
+        return { regex: compilarPadrao(sufixo.padrao, `sufixosCodigo[${i}]`), atributo: sufixo.atributo };
+    });
+
+    const atributos = (config.atributos || []).map((atributo, i) => {
+        if (!atributo.nome || !atributo.padrao) {
+            throw new Error(`Regras de famílias: o atributo ${i + 1} precisa de "nome" e "padrao".`);
+        }
+        return { nome: atributo.nome, regex: compilarPadrao(atributo.padrao, `atributos[${i}]`, 'gi') };
+    });
+
+    const maximoVariacoes = config.maximoVariacoes === undefined ? 30 : config.maximoVariacoes;
+    if (!Number.isInteger(maximoVariacoes) || maximoVariacoes < 2) {
+        throw new Error('Regras de famílias: "maximoVariacoes" deve ser um inteiro a partir de 2.');
+    }
+
+    return {
+        arquivo,
+        sufixosCodigo,
+        atributos,
+        maximoVariacoes,
+        codigoPai: config.codigoPai || '{{codigo}}-PAI',
+        erp: { ...ERP_PADRAO, ...(config.erp || {}) }
+    };
+}
+
+/**
+ * Função para obter um campo do produto como texto aparado
+ */
+function texto(produto, coluna) {
+    return estaVazio(produto[coluna]) ? '' : String(produto[coluna]).trim();
+}
+
+/**
+ * Função para limpar a descrição depois de retirar o atributo (espaços e separadores soltos)
+ */
+function limparDescricao(descricao) {
+    return descricao
+        .replace(/\s+([,;/-])(?=\s|$)/g, '')
+        .replace(/\s{2,}/g, ' ')
+        .replace(/[\s,;/-]+$/, '')
+        .trim();
+}
+
+/**
+ * Função para reconhecer o sufixo de variação no código ({ base, valor, atributo } ou null)
+ */
+function lerSufixoCodigo(codigo, regras) {
+    for (const sufixo of regras.sufixosCodigo) {
+        const partes = codigo.match(sufixo.regex);
+        if (partes && partes[1] && partes[2]) {
+            return { base: partes[1], valor: partes[2].toUpperCase(), atributo: sufixo.atributo };
+        }
+    }
+    return null;
+}
+
+/**
+ * Função para encontrar os atributos da descrição ([{ nome, valor, inicio, fim }])
+ */
+function lerAtributosDescricao(descricao, regras) {
+    const encontrados = [];
+    regras.atributos.forEach(atributo => {
+        for (const partes of descricao.matchAll(atributo.regex)) {
+            encontrados.push({ nome: atributo.nome, valor: partes[0], inicio: partes.index, fim: partes.index + partes[0].length });
+        }
+    });
+    return encontrados;
+}
+
+/**
+ * Função para retirar um trecho da descrição ("ABRACADEIRA 59MM" sem "59MM")
+ */
+function retirarTrecho(descricao, inicio, fim) {
+    return limparDescricao(`${descricao.slice(0, inicio)} ${descricao.slice(fim)}`);
+}
+
+/**
+ * Função para conferir se uma família pode ser montada, devolvendo o motivo quando não pode
+ */
+function motivoRevisao(membros, produtos, regras) {
+    if (membros.length > regras.maximoVariacoes) {
+        return `${membros.length} variações (máximo ${regras.maximoVariacoes})`;
+    }
+    const valores = membros.map(membro => normalizar(membro.valor).replace(/\s+/g, ''));
+    const repetido = valores.find((valor, i) => valores.indexOf(valor) !== i);
+    if (repetido !== undefined) {
+        return `valor "${membros[valores.indexOf(repetido)].valor}" repetido na família`;
+    }
+    for (const coluna of ['Unidade', 'NCM']) {
+        const distintos = new Set(membros.map(membro => texto(produtos[membro.idx], coluna)));
+        if (distintos.size > 1) {
+            return `${coluna} diferente entre as variações (${Array.from(distintos).map(valor => valor || 'vazio').join(', ')})`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Função para detectar as famílias de produtos
+ *
+ * Retorna { familias: [{ codigoPai, descricaoPai, atributo, paiExistente, origem, membros: [{ codigo, valor }] }],
+ * revisao, porCodigo (Map código da variação → família e valor) }.
+ */
+function detectarFamilias(produtos, regras) {
+    const codigos = new Map();
+    produtos.forEach((produto, idx) => {
+        const codigo = texto(produto, 'Código');
+        if (codigo && !codigos.has(codigo)) codigos.set(codigo, idx);
+    });
+
+    // Primeiro pelo sufixo do código, que é o sinal mais forte
+    const candidatas = new Map();
+    const adicionar = (chave, dados, membro) => {
+        if (!candidatas.has(chave)) candidatas.set(chave, { ...dados, membros: [] });
+        candidatas.get(chave).membros.push(membro);
+    };
+    const porSufixo = new Set();
+    produtos.forEach((produto, idx) => {
+        const codigo = texto(produto, 'Código');
+        const sufixo = codigo ? lerSufixoCodigo(codigo, regras) : null;
+        if (!sufixo) return;
+        porSufixo.add(idx);
+        adicionar(`codigo:${sufixo.base.toUpperCase()}|${sufixo.atributo}`, { origem: 'código', base: sufixo.base, atributo: sufixo.atributo }, { idx, valor: sufixo.valor });
+    });
+
+    // Depois pela descrição: um único atributo, o resto da descrição e o fornecedor iguais
+    produtos.forEach((produto, idx) => {
+        if (porSufixo.has(idx)) return;
+        const descricao = texto(produto, 'Descrição');
+        const atributos = lerAtributosDescricao(descricao, regras);
+        if (atributos.length !== 1) return;
+
+        const [atributo] = atributos;
+        const resto = retirarTrecho(descricao, atributo.inicio, atributo.fim);
+        if (!resto) return;
+        const chave = `descricao:${normalizar(resto)}|${normalizar(texto(produto, 'Fornecedor'))}|${atributo.nome}`;
+        adicionar(chave, { origem: 'descrição', descricaoBase: resto, atributo: atributo.nome }, { idx, valor: atributo.valor.replace(/\s+/g, '').toUpperCase() });
+    });
+
+    const familias = [];
+    const revisao = [];
+    const porCodigo = new Map();
+    const usados = new Set();
+
+    candidatas.forEach(candidata => {
+        // O produto com o código base, se existir, é o pai e não uma variação
+        const paiExistente = candidata.base !== undefined && codigos.has(candidata.base);
+        const membros = candidata.membros.filter(membro => !usados.has(membro.idx));
+        if (membros.length < 2) return;
+
+        const primeiro = produtos[membros[0].idx];
+        const codigoPai = candidata.base !== undefined
+            ? candidata.base
+            : renderizarModelo(regras.codigoPai, nome => (nome === 'codigo' ? texto(primeiro, 'Código') : primeiro[nome]));
+        const nomeFamilia = `${codigoPai} (${candidata.atributo})`;
+
+        let motivo = motivoRevisao(membros, produtos, regras);
+        if (!motivo && !paiExistente && codigos.has(codigoPai)) {
+            motivo = `o código do pai ${codigoPai} já existe na planilha`;
+        }
+        if (!motivo && paiExistente && porCodigo.has(codigoPai)) {
+            motivo = `o produto ${codigoPai} já é variação de outra família`;
+        }
+        if (motivo) {
+            membros.forEach(membro => {
+                revisao.push({ 'Família': nomeFamilia, 'Código': texto(produtos[membro.idx], 'Código'), 'Descrição': texto(produtos[membro.idx], 'Descrição'), 'Motivo': motivo });
+            });
+            return;
+        }
+
+        let descricaoPai;
+        if (paiExistente) {
+            descricaoPai = texto(produtos[codigos.get(codigoPai)], 'Descrição');
+        } else if (candidata.descricaoBase) {
+            descricaoPai = candidata.descricaoBase;
+        } else {
+            // Sufixo no código: o valor também pode estar na descrição ("CAMISETA G")
+            const valor = membros[0].valor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            descricaoPai = limparDescricao(texto(primeiro, 'Descrição').replace(new RegExp(`(^|\\s)${valor}(?=\\s|$)`, 'i'), ' '));
+        }
+
+        const familia = {
+            codigoPai,
+            descricaoPai,
+            atributo: candidata.atributo,
+            paiExistente,
+            origem: candidata.origem,
+            membros: membros.map(membro => ({
+                codigo: texto(produtos[membro.idx], 'Código'),
+                descricao: texto(produtos[membro.idx], 'Descrição'),
+                valor: membro.valor
+            }))
+        };
+        familias.push(familia);
+        membros.forEach(membro => {
+            usados.add(membro.idx);
+            porCodigo.set(texto(produtos[membro.idx], 'Código'), { familia, valor: membro.valor });
+        });
+    });
+
+    return { familias, revisao, porCodigo };
+}
+
+/**
+ * Função para montar os produtos da saída do ERP: cada pai antes das suas variações
+ *
+ * Os produtos originais não são alterados (os outros destinos recebem os produtos como estão).
+ * Na exportação incremental (--delta), `produtos` são só os novos: o pai existente é buscado em
+ * `todos` (a conversão inteira) e o pai que já foi exportado (`jaExportados`, códigos do estado
+ * anterior) não é emitido de novo, para a variação nova não sobrescrever o cadastro dele. O pai
+ * criado pela regra (ex.: "-PAI") conta como exportado quando alguma variação já foi.
+ */
+function montarProdutosErp(produtos, resultado, regras, { todos = produtos, jaExportados = new Set() } = {}) {
+    const { erp } = regras;
+    const porCodigo = new Map(todos.map(produto => [texto(produto, 'Código'), produto]));
+    const familiasComPaiExistente = new Map(resultado.familias
+        .filter(familia => familia.paiExistente)
+        .map(familia => [familia.codigoPai, familia]));
+    const paisEmitidos = new Set(resultado.familias
+        .filter(familia => (familia.paiExistente
+            ? jaExportados.has(familia.codigoPai)
+            : jaExportados.has(familia.codigoPai) || familia.membros.some(membro => jaExportados.has(membro.codigo))))
+        .map(familia => familia.codigoPai));
+    const saida = [];
+
+    const emitirPai = (familia, variacao) => {
+        if (paisEmitidos.has(familia.codigoPai)) return;
+        paisEmitidos.add(familia.codigoPai);
+
+        const existente = familia.paiExistente ? porCodigo.get(familia.codigoPai) : null;
+        const base = existente || {
+            ...variacao,
+            'ID': '',
+            'Código': familia.codigoPai,
+            'Descrição': familia.descricaoPai,
+            'Estoque': '',
+            'GTIN/EAN': ''
+        };
+        saida.push({ ...base, 'Produto Variação': erp.produtoVariacaoPai, 'Código Pai': '', 'Clonar dados do pai': '' });
+    };
+
+    produtos.forEach(produto => {
+        const codigo = texto(produto, 'Código');
+        const familiaDoPai = familiasComPaiExistente.get(codigo);
+        if (familiaDoPai && paisEmitidos.has(codigo)) return;
+
+        const variacao = resultado.porCodigo.get(codigo);
+        if (!variacao) {
+            if (familiaDoPai) emitirPai(familiaDoPai, produto);
+            else saida.push(produto);
+            return;
+        }
+
+        emitirPai(variacao.familia, produto);
+        const valores = { descricao: variacao.familia.descricaoPai, atributo: variacao.familia.atributo, valor: variacao.valor };
+        saida.push({
+            ...produto,
+            'Descrição': renderizarModelo(erp.descricaoVariacao, nome => (nome in valores ? valores[nome] : produto[nome])),
+            'Produto Variação': erp.produtoVariacaoFilho,
+            'Código Pai': variacao.familia.codigoPai,
+            'Clonar dados do pai': erp.clonarDadosDoPai
+        });
+    });
+
+    return saida;
+}
+
+/**
+ * Função para salvar as famílias montadas e as que ficaram para revisão (abas "Famílias" e "Revisão")
+ */
+function salvarFamilias(resultado, arquivo) {
+    const linhas = [];
+    resultado.familias.forEach(familia => {
+        familia.membros.forEach(membro => {
+            linhas.push({
+                'Código Pai': familia.codigoPai,
+                'Descrição Pai': familia.descricaoPai,
+                'Atributo': familia.atributo,
+                'Código': membro.codigo,
+                'Descrição': membro.descricao,
+                'Valor': membro.valor,
+                'Detectada por': familia.paiExistente ? `${familia.origem} (pai já cadastrado)` : familia.origem
+            });
+        });
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(linhas, { header: COLUNAS_FAMILIAS }), 'Famílias');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.revisao, { header: COLUNAS_REVISAO }), 'Revisão');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    carregarRegrasFamilias,
+    detectarFamilias,
+    montarProdutosErp,
+    salvarFamilias
+};
@@ -0,0 +1,297 @@
+// lib/fiscal.js - Enriquecimento fiscal offline (--fiscal): NCM, CEST, classe de IPI, tributos e Origem
+//
+// As regras ficam em um JSON (exemplo em regras/fiscal.json) que aponta para tabelas locais de
+// NCM mantidas pela equipe (CSV ou JSON, caminhos relativos ao próprio JSON). Cada linha da
+// tabela traz o NCM (8 dígitos, ou só o começo dele para valer para toda a posição), a descrição,
+// o CEST, a classe de enquadramento do IPI, os tributos aproximados e a vigência. Com várias
+// tabelas, a última prevalece para o mesmo NCM. A tabela de exemplo (regras/fiscal/ncm.csv) vem
+// só com NCM, descrição e classe de IPI: CEST e tributos dependem da UF e da legislação vigente e
+// precisam ser preenchidos pela equipe antes do uso; coluna sem valor em nenhum NCM é avisada.
+// Só colunas vazias são preenchidas: o que veio da planilha nunca é sobrescrito (e as correções
+// manuais, aplicadas depois, prevalecem).
+// NCMs inválidos, fora da tabela, extintos ou ainda não vigentes ficam listados para revisão.
+// Nada é consultado na internet.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { normalizar, estaVazio } = require('./colunas');
+const { converterTextoCsv } = require('./streaming');
+const { decodificarTexto } = require('./codificacao');
+const { interpretarData } = require('./tipos');
+
+const ARQUIVO_FISCAL_PADRAO = path.join(__dirname, '..', 'regras', 'fiscal.json');
+// Códigos de origem da mercadoria aceitos pela NF-e (0 nacional ... 8 nacional com importação acima de 70%)
+const ORIGENS_VALIDAS = ['0', '1', '2', '3', '4', '5', '6', '7', '8'];
+// Cabeçalhos aceitos nas tabelas de NCM (comparados sem acento e sem diferenciar maiúsculas)
+const CABECALHOS_TABELA = {
+    ncm: ['ncm'],
+    descricao: ['descricao', 'descricao ncm', 'descricao do ncm'],
+    cest: ['cest'],
+    classeIpi: ['classe ipi', 'classeipi', 'classe de enquadramento do ipi', 'ipi'],
+    tributos: ['tributos'],
+    inicio: ['inicio', 'inicio vigencia', 'inicio da vigencia'],
+    fim: ['fim', 'fim vigencia', 'fim da vigencia', 'validade']
+};
+// Colunas do produto preenchidas a partir da tabela
+const COLUNAS_TABELA = {
+    cest: 'CEST',
+    classeIpi: 'Classe de enquadramento do IPI',
+    tributos: 'Tributos'
+};
+const SITUACOES = {
+    invalido: 'NCM inválido',
+    foraDaTabela: 'NCM fora da tabela',
+    extinto: 'NCM extinto',
+    naoVigente: 'NCM ainda não vigente',
+    variosCest: 'Mais de um CEST possível'
+};
+const COLUNAS_OCORRENCIAS = ['Linha', 'Código', 'NCM', 'Descrição do NCM', 'Situação', 'Detalhe'];
+const COLUNAS_PREENCHIDOS = ['Código', 'Coluna', 'Valor', 'Fonte'];
+
+/**
+ * Função para obter apenas os dígitos de um valor
+ */
+function somenteDigitos(valor) {
+    return String(valor).replace(/\D/g, '');
+}
+
+/**
+ * Função para formatar uma data AAAA-MM-DD como DD/MM/AAAA
+ */
+function formatarData(data) {
+    const [ano, mes, dia] = data.split('-');
+    return `${dia}/${mes}/${ano}`;
+}
+
+/**
+ * Função para obter a data de hoje (local) como AAAA-MM-DD
+ */
+function dataDeHoje() {
+    const hoje = new Date();
+    return `${hoje.getFullYear()}-${String(hoje.getMonth() + 1).padStart(2, '0')}-${String(hoje.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Função para ler as linhas de uma tabela de NCM (CSV com qualquer delimitador ou JSON com uma lista)
+ */
+function lerLinhasTabela(arquivo) {
+    let conteudo;
+    try {
+        conteudo = fs.readFileSync(arquivo);
+    } catch (error) {
+        throw new Error(`Não foi possível ler a tabela fiscal ${arquivo}: ${error.message}`);
+    }
+
+    if (path.extname(arquivo).toLowerCase() === '.json') {
+        let linhas;
+        try {
+            linhas = JSON.parse(conteudo.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Não foi possível ler a tabela fiscal ${arquivo}: ${error.message}`);
+        }
+        if (!Array.isArray(linhas)) {
+            throw new Error(`Tabela fiscal ${arquivo}: o JSON deve ser uma lista de NCMs.`);
+        }
+        return linhas;
+    }
+    return converterTextoCsv(decodificarTexto(conteudo, 'auto').texto);
+}
+
+/**
+ * Função para carregar uma tabela de NCM no mapa (NCM → entrada), conferindo NCMs e datas
+ */
+function carregarTabela(arquivo, tabela) {
+    const linhas = lerLinhasTabela(arquivo);
+    let total = 0;
+
+    linhas.forEach((linha, i) => {
+        // Linha 1 é o cabeçalho do CSV
+        const numero = i + 2;
+        const campos = {};
+        Object.entries(linha).forEach(([cabecalho, valor]) => {
+            const chave = Object.keys(CABECALHOS_TABELA).find(nome => CABECALHOS_TABELA[nome].includes(normalizar(cabecalho)));
+            if (chave) campos[chave] = estaVazio(valor) ? '' : String(valor).trim();
+        });
+        if (!campos.ncm) return;
+
+        const ncm = somenteDigitos(campos.ncm);
+        if (ncm.length < 2 || ncm.length > 8) {
+            throw new Error(`Tabela fiscal ${arquivo}, linha ${numero}: NCM "${campos.ncm}" deve ter de 2 a 8 dígitos.`);
+        }
+        const vigencia = {};
+        ['inicio', 'fim'].forEach(campo => {
+            if (!campos[campo]) return;
+            vigencia[campo] = interpretarData(campos[campo]);
+            if (!vigencia[campo]) {
+                throw new Error(`Tabela fiscal ${arquivo}, linha ${numero}: data "${campos[campo]}" inválida (use DD/MM/AAAA ou AAAA-MM-DD).`);
+            }
+        });
+
+        tabela.set(ncm, {
+            ncm,
+            descricao: campos.descricao || '',
+            cest: campos.cest ? campos.cest.split(/[,|]/).map(cest => cest.trim()).filter(Boolean) : [],
+            classeIpi: campos.classeIpi || '',
+            tributos: campos.tributos || '',
+            inicio: vigencia.inicio || null,
+            fim: vigencia.fim || null,
+            tabela: path.basename(arquivo)
+        });
+        total++;
+    });
+    return total;
+}
+
+/**
+ * Função para carregar e conferir as regras fiscais e as tabelas de NCM que elas indicam
+ */
+function carregarRegrasFiscais(arquivo = ARQUIVO_FISCAL_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler as regras fiscais ${arquivo}: ${error.message}`);
+    }
+    if (!Array.isArray(config.tabelas) || config.tabelas.length === 0) {
+        throw new Error(`Regras fiscais ${arquivo} sem a lista "tabelas" de NCM.`);
+    }
+
+    const tabela = new Map();
+    const tabelas = config.tabelas.map(nome => {
+        const caminho = path.resolve(path.dirname(arquivo), nome);
+        return { arquivo: caminho, ncms: carregarTabela(caminho, tabela) };
+    });
+
+    const origem = config.origem || {};
+    const conferirOrigem = (valor, onde) => {
+        const texto = String(valor).trim();
+        if (!ORIGENS_VALIDAS.includes(texto)) {
+            throw new Error(`Regras fiscais: origem "${valor}" ${onde} inválida (use um código de 0 a 8).`);
+        }
+        return texto;
+    };
+    const padrao = origem.padrao === undefined || origem.padrao === null ? null : conferirOrigem(origem.padrao, 'padrão');
+    // Fornecedores com chave normalizada, como nas demais regras
+    const porFornecedor = new Map();
+    Object.entries(origem.porFornecedor || {}).forEach(([fornecedor, valor]) => {
+        porFornecedor.set(normalizar(fornecedor), { fornecedor, origem: conferirOrigem(valor, `do fornecedor "${fornecedor}"`) });
+    });
+
+    // Colunas que nenhum NCM das tabelas preenche (ex.: CEST na tabela de exemplo)
+    const itens = Array.from(tabela.values());
+    const colunasSemValor = Object.keys(COLUNAS_TABELA)
+        .filter(chave => !itens.some(item => (Array.isArray(item[chave]) ? item[chave].length > 0 : item[chave])))
+        .map(chave => COLUNAS_TABELA[chave]);
+
+    return { arquivo, tabelas, tabela, colunasSemValor, origem: { padrao, porFornecedor } };
+}
+
+/**
+ * Função para procurar um NCM na tabela: primeiro o código completo, depois os prefixos
+ * (item, subposição, posição, capítulo), do mais longo para o mais curto
+ */
+function buscarNcm(tabela, ncm) {
+    for (let tamanho = ncm.length; tamanho >= 2; tamanho--) {
+        const entrada = tabela.get(ncm.slice(0, tamanho));
+        if (entrada) return entrada;
+    }
+    return null;
+}
+
+/**
+ * Função para verificar a vigência de uma entrada da tabela na data de referência
+ *
+ * Retorna null quando vigente, ou { situacao, detalhe }.
+ */
+function verificarVigencia(entrada, data) {
+    if (entrada.fim && entrada.fim < data) {
+        return { situacao: SITUACOES.extinto, detalhe: `Vigente até ${formatarData(entrada.fim)}` };
+    }
+    if (entrada.inicio && entrada.inicio > data) {
+        return { situacao: SITUACOES.naoVigente, detalhe: `Vigente a partir de ${formatarData(entrada.inicio)}` };
+    }
+    return null;
+}
+
+/**
+ * Função para preencher CEST, classe de IPI, tributos e Origem dos produtos a partir das regras fiscais
+ *
+ * Altera os produtos no lugar e retorna { ocorrencias, preenchidos (auditoria), porColuna, porSituacao }.
+ * `linhas` (opcional) traz a linha da planilha de origem de cada produto.
+ */
+function enriquecerProdutos(produtos, { regras, linhas = [], data = dataDeHoje() }) {
+    const ocorrencias = [];
+    const preenchidos = [];
+    const porColuna = {};
+    const porSituacao = {};
+
+    const preencher = (produto, coluna, valor, fonte) => {
+        produto[coluna] = valor;
+        preenchidos.push({ 'Código': produto['Código'], 'Coluna': coluna, 'Valor': valor, 'Fonte': fonte });
+        porColuna[coluna] = (porColuna[coluna] || 0) + 1;
+    };
+
+    produtos.forEach((produto, idx) => {
+        const registrar = (ncm, entrada, { situacao, detalhe }) => {
+            ocorrencias.push({
+                'Linha': linhas[idx] ? linhas[idx].indice : idx + 1,
+                'Código': produto['Código'],
+                'NCM': ncm,
+                'Descrição do NCM': entrada ? entrada.descricao : '',
+                'Situação': situacao,
+                'Detalhe': detalhe
+            });
+            porSituacao[situacao] = (porSituacao[situacao] || 0) + 1;
+        };
+
+        const ncm = estaVazio(produto['NCM']) ? '' : String(produto['NCM']).trim();
+        const digitos = somenteDigitos(ncm);
+        if (ncm && digitos.length !== 8) {
+            registrar(ncm, null, { situacao: SITUACOES.invalido, detalhe: 'O NCM deve ter 8 dígitos' });
+        } else if (ncm) {
+            const entrada = buscarNcm(regras.tabela, digitos);
+            const problema = entrada ? verificarVigencia(entrada, data) : { situacao: SITUACOES.foraDaTabela, detalhe: 'Inclua o NCM na tabela fiscal' };
+            if (problema) {
+                registrar(ncm, entrada, problema);
+            } else {
+                const fonte = `${entrada.tabela}: ${entrada.ncm}`;
+                if (entrada.cest.length > 1 && estaVazio(produto['CEST'])) {
+                    registrar(ncm, entrada, { situacao: SITUACOES.variosCest, detalhe: `Informe o CEST do produto (${entrada.cest.join(', ')})` });
+                }
+                Object.entries(COLUNAS_TABELA).forEach(([campo, coluna]) => {
+                    const valor = campo === 'cest' ? (entrada.cest.length === 1 ? entrada.cest[0] : '') : entrada[campo];
+                    if (valor && estaVazio(produto[coluna])) preencher(produto, coluna, valor, fonte);
+                });
+            }
+        }
+
+        if (estaVazio(produto['Origem'])) {
+            const regra = estaVazio(produto['Fornecedor']) ? null : regras.origem.porFornecedor.get(normalizar(produto['Fornecedor']));
+            if (regra) {
+                preencher(produto, 'Origem', regra.origem, `Fornecedor ${regra.fornecedor}`);
+            } else if (regras.origem.padrao !== null) {
+                preencher(produto, 'Origem', regras.origem.padrao, 'Origem padrão');
+            }
+        }
+    });
+
+    return { ocorrencias, preenchidos, porColuna, porSituacao };
+}
+
+/**
+ * Função para salvar as ocorrências fiscais e a auditoria dos preenchimentos (abas "Fiscal" e "Preenchidos")
+ */
+function salvarFiscal(resultado, arquivo) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.ocorrencias, { header: COLUNAS_OCORRENCIAS }), 'Fiscal');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.preenchidos, { header: COLUNAS_PREENCHIDOS }), 'Preenchidos');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    ORIGENS_VALIDAS,
+    carregarRegrasFiscais,
+    buscarNcm,
+    enriquecerProdutos,
+    salvarFiscal
+};
@@ -0,0 +1,102 @@
+// lib/mapeamentos.js - Mapeamentos de colunas confirmados pelo usuário (conversor-excel --interativo)
+//
+// Cada mapeamento vale para um perfil e um conjunto de cabeçalhos (em qualquer ordem) e fica em
+// <pasta>/<perfil>-<assinatura>.json. Quando o mesmo conjunto de cabeçalhos aparece de novo,
+// o mapeamento é reaplicado: cada campo passa a aceitar só a coluna confirmada (ou nenhuma).
+// A pasta padrão fica nas configurações do usuário, fora da instalação do pacote (que pode ser
+// global e sem permissão de escrita); --mapeamentos escolhe outra.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizar } = require('./colunas');
+
+const PASTA_MAPEAMENTOS = path.join(
+    process.env.APPDATA || process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'),
+    'conversor-excel',
+    'mapeamentos'
+);
+
+/**
+ * Função para obter o nome do perfil usado nos arquivos de mapeamento
+ */
+function nomeDoPerfil(perfil) {
+    return perfil.nome || path.basename(perfil.arquivo || 'perfil', '.json');
+}
+
+/**
+ * Função para calcular a assinatura de um conjunto de cabeçalhos (independe da ordem e dos acentos)
+ */
+function assinaturaCabecalhos(cabecalhos) {
+    const chave = [...new Set(cabecalhos.map(normalizar))].sort().join('\u0000');
+    return crypto.createHash('sha1').update(chave).digest('hex').slice(0, 12);
+}
+
+/**
+ * Função para montar o caminho do arquivo de mapeamento de um perfil e conjunto de cabeçalhos
+ */
+function caminhoMapeamento(cabecalhos, perfil, pasta = PASTA_MAPEAMENTOS) {
+    return path.join(pasta, `${nomeDoPerfil(perfil)}-${assinaturaCabecalhos(cabecalhos)}.json`);
+}
+
+/**
+ * Função para gravar um mapeamento confirmado ({ campo: coluna ou null }), devolvendo o arquivo
+ */
+function salvarMapeamento(cabecalhos, perfil, mapeamento, pasta = PASTA_MAPEAMENTOS) {
+    const arquivo = caminhoMapeamento(cabecalhos, perfil, pasta);
+    fs.mkdirSync(pasta, { recursive: true });
+    fs.writeFileSync(arquivo, JSON.stringify({
+        perfil: nomeDoPerfil(perfil),
+        cabecalhos,
+        mapeamento,
+        confirmadoEm: new Date().toISOString()
+    }, null, 2));
+    return arquivo;
+}
+
+/**
+ * Função para carregar o mapeamento salvo para estes cabeçalhos, ou null se não houver
+ */
+function carregarMapeamentoSalvo(cabecalhos, perfil, pasta = PASTA_MAPEAMENTOS) {
+    const arquivo = caminhoMapeamento(cabecalhos, perfil, pasta);
+    if (!fs.existsSync(arquivo)) {
+        return null;
+    }
+
+    let conteudo;
+    try {
+        conteudo = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler o mapeamento salvo ${arquivo}: ${error.message}`);
+    }
+    if (!conteudo.mapeamento || typeof conteudo.mapeamento !== 'object') {
+        throw new Error(`Mapeamento salvo ${arquivo} sem o objeto "mapeamento".`);
+    }
+
+    return { arquivo, mapeamento: conteudo.mapeamento };
+}
+
+/**
+ * Função para criar uma cópia do perfil em que cada campo mapeado aceita só a coluna confirmada
+ *
+ * Campos mapeados para null ficam sem coluna; campos que não aparecem no mapeamento (ex.:
+ * incluídos no perfil depois de salvo) continuam com os aliases e o reconhecimento aproximado.
+ */
+function aplicarMapeamento(perfil, mapeamento) {
+    const campos = {};
+    Object.entries(perfil.campos).forEach(([campo, definicao]) => {
+        campos[campo] = Object.prototype.hasOwnProperty.call(mapeamento, campo)
+            ? { ...definicao, aliases: mapeamento[campo] ? [mapeamento[campo]] : [], fixo: true }
+            : definicao;
+    });
+    return { ...perfil, campos };
+}
+
+module.exports = {
+    PASTA_MAPEAMENTOS,
+    assinaturaCabecalhos,
+    caminhoMapeamento,
+    salvarMapeamento,
+    carregarMapeamentoSalvo,
+    aplicarMapeamento
+};
@@ -0,0 +1,163 @@
+// lib/modelos.js - Modelos de texto para as colunas compostas (transformação "modelo" do perfil)
+//
+// Sintaxe:
+//   {{nome}}                          valor de um campo do perfil ou de qualquer coluna da origem
+//   {{nome | maiusculas | truncar:40}} o valor passa pelos formatadores, da esquerda para a direita
+//   {{#se nome}}...{{senao}}...{{/se}} o primeiro trecho só aparece se o valor não estiver vazio
+// Formatadores: moeda, numero[:casas], maiusculas, minusculas, titulo, truncar:N, limpar e
+// padrao:texto (usado quando o valor está vazio).
+const { estaVazio } = require('./colunas');
+const { interpretarNumero } = require('./tipos');
+
+const cacheModelos = new Map();
+
+/**
+ * Função para formatar um número no padrão brasileiro (1.234,56)
+ */
+function formatarNumeroBr(numero, casas) {
+    return numero.toLocaleString('pt-BR', { minimumFractionDigits: casas, maximumFractionDigits: casas });
+}
+
+/**
+ * Formatadores disponíveis: cada um recebe o valor atual, o argumento (após ":") e a
+ * localidade numérica da coluna de origem, e devolve o novo valor
+ */
+const FORMATADORES = {
+    moeda(valor, argumento, localidade) {
+        const lido = interpretarNumero(valor, localidade);
+        return lido ? `R$ ${formatarNumeroBr(lido.valor, 2)}` : valor;
+    },
+    numero(valor, argumento, localidade) {
+        const lido = interpretarNumero(valor, localidade);
+        return lido ? formatarNumeroBr(lido.valor, argumento === undefined ? 2 : Number(argumento)) : valor;
+    },
+    maiusculas(valor) {
+        return String(valor).toUpperCase();
+    },
+    minusculas(valor) {
+        return String(valor).toLowerCase();
+    },
+    titulo(valor) {
+        return String(valor).toLowerCase().replace(/(^|\s)(\S)/g, (trecho, espaco, letra) => espaco + letra.toUpperCase());
+    },
+    truncar(valor, argumento) {
+        const texto = String(valor);
+        const limite = Number(argumento);
+        return texto.length > limite ? texto.slice(0, limite).trimEnd() : texto;
+    },
+    limpar(valor) {
+        return String(valor).replace(/\s+/g, ' ').trim();
+    },
+    padrao(valor, argumento) {
+        return estaVazio(valor) ? (argumento || '') : valor;
+    }
+};
+
+/**
+ * Função para ler um marcador "nome | formatador:arg | ..."
+ */
+function lerMarcador(conteudo, modelo) {
+    const [nome, ...formatadores] = conteudo.split('|').map(parte => parte.trim());
+    if (!nome) {
+        throw new Error(`Modelo "${modelo}": marcador vazio.`);
+    }
+
+    return {
+        tipo: 'valor',
+        nome,
+        formatadores: formatadores.map(formatador => {
+            const posicao = formatador.indexOf(':');
+            const nomeFormatador = posicao >= 0 ? formatador.slice(0, posicao).trim() : formatador;
+            if (!FORMATADORES[nomeFormatador]) {
+                throw new Error(`Modelo "${modelo}": formatador desconhecido "${nomeFormatador}" (use ${Object.keys(FORMATADORES).join(', ')}).`);
+            }
+            return { nome: nomeFormatador, argumento: posicao >= 0 ? formatador.slice(posicao + 1).trim() : undefined };
+        })
+    };
+}
+
+/**
+ * Função para compilar um modelo de texto, lançando erro se a sintaxe estiver incorreta
+ */
+function compilarModelo(modelo) {
+    if (cacheModelos.has(modelo)) {
+        return cacheModelos.get(modelo);
+    }
+
+    const raiz = { tipo: 'raiz', filhos: [] };
+    const pilha = [raiz];
+    const marcador = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+    let posicao = 0;
+    let encontrado;
+
+    const adicionar = (no) => {
+        const atual = pilha[pilha.length - 1];
+        (atual.tipo === 'se' && atual.noSenao ? atual.senao : atual.filhos).push(no);
+    };
+
+    while ((encontrado = marcador.exec(modelo)) !== null) {
+        if (encontrado.index > posicao) {
+            adicionar({ tipo: 'texto', texto: modelo.slice(posicao, encontrado.index) });
+        }
+        posicao = marcador.lastIndex;
+
+        const conteudo = encontrado[1];
+        if (conteudo.startsWith('#se ')) {
+            const condicao = { tipo: 'se', nome: conteudo.slice(4).trim(), filhos: [], senao: [], noSenao: false };
+            adicionar(condicao);
+            pilha.push(condicao);
+        } else if (conteudo === 'senao') {
+            const atual = pilha[pilha.length - 1];
+            if (atual.tipo !== 'se' || atual.noSenao) {
+                throw new Error(`Modelo "${modelo}": {{senao}} fora de um {{#se}}.`);
+            }
+            atual.noSenao = true;
+        } else if (conteudo === '/se') {
+            if (pilha.length === 1) {
+                throw new Error(`Modelo "${modelo}": {{/se}} sem o {{#se}} correspondente.`);
+            }
+            pilha.pop();
+        } else {
+            adicionar(lerMarcador(conteudo, modelo));
+        }
+    }
+
+    if (pilha.length > 1) {
+        throw new Error(`Modelo "${modelo}": {{#se ${pilha[pilha.length - 1].nome}}} sem {{/se}}.`);
+    }
+    if (posicao < modelo.length) {
+        raiz.filhos.push({ tipo: 'texto', texto: modelo.slice(posicao) });
+    }
+
+    cacheModelos.set(modelo, raiz);
+    return raiz;
+}
+
+/**
+ * Função para gerar o texto de um modelo
+ *
+ * `obterValor(nome)` devolve o valor bruto de um campo ou coluna e `obterLocalidade(nome)`,
+ * opcional, a localidade numérica da coluna de origem (usada por moeda e numero).
+ */
+function renderizarModelo(modelo, obterValor, obterLocalidade = () => null) {
+    const renderizar = (nos) => nos.map(no => {
+        if (no.tipo === 'texto') return no.texto;
+        if (no.tipo === 'se') {
+            return renderizar(estaVazio(obterValor(no.nome)) ? no.senao : no.filhos);
+        }
+
+        let valor = obterValor(no.nome);
+        for (const formatador of no.formatadores) {
+            valor = FORMATADORES[formatador.nome](estaVazio(valor) ? '' : valor, formatador.argumento, obterLocalidade(no.nome));
+        }
+        return estaVazio(valor) ? '' : String(valor);
+    }).join('');
+
+    return renderizar(compilarModelo(modelo).filhos);
+}
+
+module.exports = {
+    FORMATADORES,
+    compilarModelo,
+    renderizarModelo
+};
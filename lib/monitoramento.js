@@ -0,0 +1,177 @@
+// lib/monitoramento.js - Pastas e registro do modo monitorado (conversor-excel monitorar)
+//
+// Cada planilha nova na pasta de entrada é convertida uma vez: as saídas e o relatório vão para
+// a pasta de saída, e a planilha de entrada é movida para a pasta de arquivo (ou de erros, se a
+// conversão falhar). O registro (um JSON na pasta de saída) guarda o hash do conteúdo de cada
+// planilha convertida, para que um reinício não converta de novo o mesmo arquivo.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EXTENSOES_ENTRADA = ['.xlsx', '.xls', '.xlsm', '.ods', '.csv', '.txt'];
+const NOME_REGISTRO = 'registro-monitoramento.json';
+// Arquivo modificado há menos tempo que isso pode ainda estar sendo copiado para a pasta
+const ESTABILIDADE_MS = 5000;
+
+/**
+ * Função para montar as pastas do monitoramento a partir da pasta de entrada e das opções
+ *
+ * Sem opções, as pastas saida, arquivo e erros ficam ao lado da pasta de entrada.
+ */
+function resolverPastas(pastaEntrada, opcoes = {}) {
+    const base = path.dirname(path.resolve(pastaEntrada));
+    const pastas = {
+        entrada: path.resolve(pastaEntrada),
+        saida: path.resolve(opcoes.saida || path.join(base, 'saida')),
+        arquivo: path.resolve(opcoes.arquivo || path.join(base, 'arquivo')),
+        erros: path.resolve(opcoes.erros || path.join(base, 'erros'))
+    };
+    pastas.registro = path.resolve(opcoes.registro || path.join(pastas.saida, NOME_REGISTRO));
+
+    const repetida = ['saida', 'arquivo', 'erros'].find(nome => pastas[nome] === pastas.entrada);
+    if (repetida) {
+        throw new Error(`A pasta de ${repetida} não pode ser a própria pasta de entrada (${pastas.entrada}).`);
+    }
+    return pastas;
+}
+
+/**
+ * Função para criar as pastas que ainda não existem
+ */
+function prepararPastas(pastas) {
+    if (!fs.existsSync(pastas.entrada) || !fs.statSync(pastas.entrada).isDirectory()) {
+        throw new Error(`A pasta de entrada ${pastas.entrada} não foi encontrada.`);
+    }
+    ['saida', 'arquivo', 'erros'].forEach(nome => fs.mkdirSync(pastas[nome], { recursive: true }));
+    fs.mkdirSync(path.dirname(pastas.registro), { recursive: true });
+}
+
+/**
+ * Função para carregar o registro de processamento (vazio na primeira execução)
+ */
+function carregarRegistro(arquivo) {
+    if (!fs.existsSync(arquivo)) {
+        return { arquivo, processados: {} };
+    }
+    let conteudo;
+    try {
+        conteudo = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler o registro de monitoramento ${arquivo}: ${error.message}`);
+    }
+    return { arquivo, processados: conteudo.processados || {} };
+}
+
+/**
+ * Função para gravar o registro (em um arquivo temporário renomeado, para não corromper se cair no meio)
+ */
+function salvarRegistro(registro) {
+    const temporario = `${registro.arquivo}.tmp`;
+    fs.writeFileSync(temporario, JSON.stringify({ processados: registro.processados }, null, 2), 'utf8');
+    fs.renameSync(temporario, registro.arquivo);
+}
+
+/**
+ * Função para anotar o resultado do processamento de um arquivo no registro
+ */
+function registrarProcessamento(registro, hash, dados) {
+    registro.processados[hash] = { ...registro.processados[hash], ...dados, atualizadoEm: new Date().toISOString() };
+    salvarRegistro(registro);
+}
+
+/**
+ * Função para verificar se um conteúdo (pelo hash) já foi convertido com sucesso
+ */
+function jaConvertido(registro, hash) {
+    const item = registro.processados[hash];
+    return Boolean(item && item.status === 'convertido');
+}
+
+/**
+ * Função para calcular o hash do conteúdo de um arquivo
+ */
+function hashDoArquivo(arquivo) {
+    return crypto.createHash('sha1').update(fs.readFileSync(arquivo)).digest('hex');
+}
+
+/**
+ * Função para listar as planilhas da pasta de entrada que já terminaram de ser copiadas
+ *
+ * `observados` guarda tamanho e data de cada arquivo entre as varreduras: um arquivo só é
+ * entregue quando não mudou desde a varredura anterior ou foi modificado há mais de ESTABILIDADE_MS.
+ * Arquivos temporários do Excel ("~$...") e ocultos são ignorados.
+ */
+function listarProntos(pastaEntrada, observados = new Map(), agora = Date.now()) {
+    const prontos = [];
+    const vistos = new Set();
+
+    fs.readdirSync(pastaEntrada).sort().forEach(nome => {
+        if (nome.startsWith('~$') || nome.startsWith('.')) return;
+        if (!EXTENSOES_ENTRADA.includes(path.extname(nome).toLowerCase())) return;
+
+        const arquivo = path.join(pastaEntrada, nome);
+        const stat = fs.statSync(arquivo);
+        if (!stat.isFile()) return;
+
+        vistos.add(arquivo);
+        const assinatura = `${stat.size}:${stat.mtimeMs}`;
+        const anterior = observados.get(arquivo);
+        observados.set(arquivo, assinatura);
+        if (anterior === assinatura || agora - stat.mtimeMs >= ESTABILIDADE_MS) {
+            prontos.push(arquivo);
+        }
+    });
+
+    // Esquece os arquivos que saíram da pasta
+    Array.from(observados.keys()).filter(arquivo => !vistos.has(arquivo)).forEach(arquivo => observados.delete(arquivo));
+    return prontos;
+}
+
+/**
+ * Função para gerar o carimbo de data usado nos nomes (2024-05-02T20-49-01)
+ */
+function carimbo(data = new Date()) {
+    return data.toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
+/**
+ * Função para montar os caminhos de saída e de relatório de uma planilha de entrada
+ */
+function caminhosDeSaida(arquivoEntrada, pastaSaida, quando = carimbo()) {
+    const nome = `${path.parse(arquivoEntrada).name}_${quando}`;
+    return {
+        saida: path.join(pastaSaida, `${nome}.xlsx`),
+        relatorio: path.join(pastaSaida, `${nome}-relatorio.json`)
+    };
+}
+
+/**
+ * Função para mover um arquivo para uma pasta, sem sobrescrever (o nome ganha o carimbo de data)
+ *
+ * Entre discos diferentes (pasta de rede) o arquivo é copiado e depois apagado.
+ */
+function moverArquivo(arquivo, pasta, quando = carimbo()) {
+    const destino = path.join(pasta, `${quando}_${path.basename(arquivo)}`);
+    try {
+        fs.renameSync(arquivo, destino);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(arquivo, destino);
+        fs.unlinkSync(arquivo);
+    }
+    return destino;
+}
+
+module.exports = {
+    EXTENSOES_ENTRADA,
+    resolverPastas,
+    prepararPastas,
+    carregarRegistro,
+    registrarProcessamento,
+    jaConvertido,
+    hashDoArquivo,
+    listarProntos,
+    carimbo,
+    caminhosDeSaida,
+    moverArquivo
+};
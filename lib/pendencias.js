@@ -0,0 +1,152 @@
+// lib/pendencias.js - Planilha de pendências e aplicação de correções por Código
+//
+// As linhas que caíram na descrição padrão ("Produto N") ou que têm erros de validação vão
+// para a aba "Pendências", com os valores brutos da origem e uma coluna "Correção" vazia.
+// Depois de preenchida pela equipe de cadastro, a mesma planilha é usada como arquivo de
+// correções (--correcoes): cada correção é aplicada pelo Código em todas as reconversões.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const { estaVazio } = require('./colunas');
+
+const ABA_PENDENCIAS = 'Pendências';
+const COLUNAS_PENDENCIAS = ['Código', 'Linha', 'Motivo', 'Coluna', 'Valor atual', 'Correção'];
+// Os valores brutos da origem entram depois, com este prefixo no cabeçalho
+const PREFIXO_ORIGEM = 'Origem: ';
+
+/**
+ * Função para listar as pendências dos produtos convertidos
+ *
+ * `linhas` é o retorno de converterProdutos (linha de origem e rastreio de cada produto) e
+ * `ocorrencias` as ocorrências de validação; só as de nível "erro" viram pendência.
+ * Descrições padrão já resolvidas por uma correção (`correcoesAplicadas`) não entram.
+ */
+function listarPendencias({ produtos, linhas, produtosRaw = [], ocorrencias = [], correcoesAplicadas = [] }) {
+    const pendencias = [];
+    const descricoesCorrigidas = new Set(correcoesAplicadas
+        .filter(correcao => correcao.coluna === 'Descrição')
+        .map(correcao => correcao.codigo));
+
+    const adicionar = (idx, motivo, coluna) => {
+        const produto = produtos[idx];
+        const indice = linhas[idx] ? linhas[idx].indice : idx + 1;
+        // Linha da planilha de origem (com as linhas em branco), para a equipe achar o produto
+        const origem = linhas[idx] && linhas[idx].rastreio ? linhas[idx].rastreio.origem : null;
+        const pendencia = {
+            'Código': produto['Código'],
+            'Linha': origem ? origem.linha : indice,
+            'Motivo': motivo,
+            'Coluna': coluna,
+            'Valor atual': estaVazio(produto[coluna]) ? '' : produto[coluna],
+            'Correção': ''
+        };
+
+        Object.entries(produtosRaw[indice - 1] || {}).forEach(([cabecalho, valor]) => {
+            pendencia[`${PREFIXO_ORIGEM}${cabecalho}`] = valor;
+        });
+        pendencias.push(pendencia);
+    };
+
+    linhas.forEach((linha, idx) => {
+        const padrao = linha.rastreio && linha.rastreio.descricao && linha.rastreio.descricao.metodo === 'padrao';
+        if (padrao && !descricoesCorrigidas.has(String(produtos[idx]['Código']).trim())) {
+            adicionar(idx, 'Descrição não encontrada na origem (usada a descrição padrão)', 'Descrição');
+        }
+    });
+
+    ocorrencias
+        .filter(ocorrencia => ocorrencia['Nível'] === 'erro')
+        .forEach(ocorrencia => adicionar(ocorrencia['Linha'] - 1, ocorrencia['Mensagem'], ocorrencia['Coluna']));
+
+    return pendencias;
+}
+
+/**
+ * Função para gravar as pendências em um workbook com a aba "Pendências"
+ */
+function salvarPendencias(pendencias, arquivo) {
+    const colunasOrigem = [];
+    pendencias.forEach(pendencia => {
+        Object.keys(pendencia).forEach(coluna => {
+            if (coluna.startsWith(PREFIXO_ORIGEM) && !colunasOrigem.includes(coluna)) colunasOrigem.push(coluna);
+        });
+    });
+
+    const worksheet = XLSX.utils.json_to_sheet(pendencias, { header: [...COLUNAS_PENDENCIAS, ...colunasOrigem] });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, ABA_PENDENCIAS);
+    XLSX.writeFile(workbook, arquivo);
+}
+
+/**
+ * Função para ler um arquivo de correções (a planilha de pendências preenchida)
+ *
+ * Usa a aba "Pendências" (ou a primeira) e ignora as linhas sem "Correção".
+ * Retorna um Map de Código → Map de coluna → valor corrigido.
+ */
+function carregarCorrecoes(arquivo) {
+    if (!fs.existsSync(arquivo)) {
+        throw new Error(`Arquivo de correções ${arquivo} não encontrado.`);
+    }
+
+    const workbook = XLSX.readFile(arquivo);
+    const aba = workbook.SheetNames.includes(ABA_PENDENCIAS) ? ABA_PENDENCIAS : workbook.SheetNames[0];
+    const linhas = XLSX.utils.sheet_to_json(workbook.Sheets[aba], { defval: '' });
+
+    const ausentes = ['Código', 'Coluna', 'Correção'].filter(coluna => linhas.length > 0 && !(coluna in linhas[0]));
+    if (ausentes.length > 0) {
+        throw new Error(`Arquivo de correções ${arquivo} sem as colunas: ${ausentes.join(', ')}.`);
+    }
+
+    const correcoes = new Map();
+    linhas.forEach(linha => {
+        if (estaVazio(linha['Correção']) || estaVazio(linha['Código']) || estaVazio(linha['Coluna'])) return;
+
+        const codigo = String(linha['Código']).trim();
+        if (!correcoes.has(codigo)) correcoes.set(codigo, new Map());
+        // Se o mesmo campo aparece mais de uma vez, vale a última correção
+        correcoes.get(codigo).set(String(linha['Coluna']).trim(), linha['Correção']);
+    });
+
+    return correcoes;
+}
+
+/**
+ * Função para aplicar as correções aos produtos convertidos (altera os produtos)
+ *
+ * Colunas que não existem no layout de saída são ignoradas e listadas.
+ */
+function aplicarCorrecoes(produtos, correcoes) {
+    const aplicadas = [];
+    const colunasDesconhecidas = [];
+    const encontrados = new Set();
+
+    for (const produto of produtos) {
+        const codigo = String(produto['Código']).trim();
+        const correcoesDoProduto = correcoes.get(codigo);
+        if (!correcoesDoProduto) continue;
+
+        encontrados.add(codigo);
+        correcoesDoProduto.forEach((valor, coluna) => {
+            if (!(coluna in produto)) {
+                colunasDesconhecidas.push({ codigo, coluna });
+                return;
+            }
+            aplicadas.push({ codigo, coluna, anterior: produto[coluna], novo: valor });
+            produto[coluna] = valor;
+        });
+    }
+
+    return {
+        aplicadas,
+        colunasDesconhecidas,
+        codigosNaoEncontrados: [...correcoes.keys()].filter(codigo => !encontrados.has(codigo))
+    };
+}
+
+module.exports = {
+    ABA_PENDENCIAS,
+    listarPendencias,
+    salvarPendencias,
+    carregarCorrecoes,
+    aplicarCorrecoes
+};
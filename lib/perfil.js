@@ -0,0 +1,156 @@
+// lib/perfil.js - Carregamento e validação de perfis de mapeamento (JSON)
+//
+// Um perfil declara:
+// - "campos": campos lógicos da planilha de origem e os nomes de coluna aceitos ("aliases");
+// - "colunas": colunas da planilha de destino, em ordem, cada uma com uma "transformacao":
+//     indice        -> posição da linha (1, 2, 3...)
+//     descricao     -> descrição extraída por extrairDescricao
+//     texto         -> valor do "campo" como texto (ou "padrao")
+//     numero        -> valor do "campo" convertido por parseNumero (ou "padrao")
+//     data          -> valor do "campo" lido como data, no formato AAAA-MM-DD (ou "padrao")
+//     meses         -> duração do "campo" em meses, ex.: "90 dias" -> 3 (ou "padrao")
+//     constante     -> sempre "valor"
+//     concatenacao  -> junta "partes" ({ campo, modelo: "Rótulo: {valor}; " } ou { texto })
+//     modelo        -> texto do "modelo" com marcadores {{campo ou coluna | formatador}} e
+//                      condicionais {{#se campo}}...{{senao}}...{{/se}} (ver lib/modelos.js)
+// Qualquer coluna aceita "limite": o texto gerado é cortado nesse número de caracteres.
+// O perfil perfis/padrao.json reproduz o layout original do conversor.
+const fs = require('fs');
+const path = require('path');
+const { compilarModelo } = require('./modelos');
+
+const PASTA_PERFIS = path.join(__dirname, '..', 'perfis');
+const PERFIL_PADRAO = 'padrao';
+
+const TRANSFORMACOES = ['indice', 'descricao', 'texto', 'numero', 'data', 'meses', 'constante', 'concatenacao', 'modelo'];
+
+let perfilPadrao = null;
+
+/**
+ * Função para localizar o arquivo de um perfil a partir de um caminho ou de um nome
+ */
+function resolverCaminhoPerfil(perfil) {
+    if (!perfil) {
+        return path.join(PASTA_PERFIS, `${PERFIL_PADRAO}.json`);
+    }
+
+    if (fs.existsSync(perfil)) {
+        return perfil;
+    }
+
+    // Permite usar só o nome de um perfil salvo na pasta perfis/
+    const caminhoNaPasta = path.join(PASTA_PERFIS, perfil.endsWith('.json') ? perfil : `${perfil}.json`);
+    if (fs.existsSync(caminhoNaPasta)) {
+        return caminhoNaPasta;
+    }
+
+    throw new Error(`Perfil de mapeamento "${perfil}" não encontrado.`);
+}
+
+/**
+ * Função para validar a estrutura de um perfil, lançando erro com a primeira inconsistência
+ */
+function validarPerfil(perfil) {
+    if (!perfil || typeof perfil !== 'object') {
+        throw new Error('Perfil de mapeamento inválido: conteúdo vazio.');
+    }
+
+    const campos = perfil.campos || {};
+    if (typeof campos !== 'object' || Array.isArray(campos)) {
+        throw new Error('Perfil de mapeamento inválido: "campos" deve ser um objeto.');
+    }
+
+    Object.entries(campos).forEach(([nome, definicao]) => {
+        if (!definicao || !Array.isArray(definicao.aliases) || definicao.aliases.length === 0) {
+            throw new Error(`Perfil de mapeamento inválido: campo "${nome}" precisa de uma lista "aliases".`);
+        }
+    });
+
+    if (!Array.isArray(perfil.colunas) || perfil.colunas.length === 0) {
+        throw new Error('Perfil de mapeamento inválido: "colunas" deve ser uma lista não vazia.');
+    }
+
+    const verificarCampo = (campo, destino) => {
+        if (!campos[campo]) {
+            throw new Error(`Perfil de mapeamento inválido: coluna "${destino}" usa o campo desconhecido "${campo}".`);
+        }
+    };
+
+    perfil.colunas.forEach((coluna, idx) => {
+        if (!coluna || typeof coluna.destino !== 'string' || coluna.destino.trim() === '') {
+            throw new Error(`Perfil de mapeamento inválido: coluna ${idx + 1} sem "destino".`);
+        }
+        if (!TRANSFORMACOES.includes(coluna.transformacao)) {
+            throw new Error(`Perfil de mapeamento inválido: coluna "${coluna.destino}" com transformação "${coluna.transformacao}" desconhecida (use ${TRANSFORMACOES.join(', ')}).`);
+        }
+        if (['texto', 'numero', 'data', 'meses'].includes(coluna.transformacao)) {
+            verificarCampo(coluna.campo, coluna.destino);
+        }
+        if (coluna.transformacao === 'concatenacao') {
+            if (!Array.isArray(coluna.partes)) {
+                throw new Error(`Perfil de mapeamento inválido: coluna "${coluna.destino}" precisa de uma lista "partes".`);
+            }
+            coluna.partes.filter(parte => parte.campo).forEach(parte => verificarCampo(parte.campo, coluna.destino));
+        }
+        if (coluna.transformacao === 'modelo') {
+            if (typeof coluna.modelo !== 'string') {
+                throw new Error(`Perfil de mapeamento inválido: coluna "${coluna.destino}" precisa de um texto "modelo".`);
+            }
+            try {
+                compilarModelo(coluna.modelo);
+            } catch (error) {
+                throw new Error(`Perfil de mapeamento inválido: coluna "${coluna.destino}": ${error.message}`);
+            }
+        }
+        if (coluna.limite !== undefined && !(Number.isInteger(coluna.limite) && coluna.limite > 0)) {
+            throw new Error(`Perfil de mapeamento inválido: coluna "${coluna.destino}" com "limite" que não é um inteiro positivo.`);
+        }
+    });
+
+    return perfil;
+}
+
+/**
+ * Função para carregar um perfil de mapeamento (o perfil padrão quando nenhum é informado)
+ */
+function carregarPerfil(perfil) {
+    const caminho = resolverCaminhoPerfil(perfil);
+
+    let conteudo;
+    try {
+        conteudo = JSON.parse(fs.readFileSync(caminho, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler o perfil de mapeamento ${caminho}: ${error.message}`);
+    }
+
+    conteudo.campos = conteudo.campos || {};
+    conteudo.arquivo = caminho;
+    return validarPerfil(conteudo);
+}
+
+/**
+ * Função para obter o perfil padrão, lido do disco uma única vez
+ */
+function obterPerfilPadrao() {
+    if (!perfilPadrao) {
+        perfilPadrao = carregarPerfil();
+    }
+    return perfilPadrao;
+}
+
+/**
+ * Função para obter a lista de nomes possíveis de um campo do perfil
+ */
+function aliasesDoCampo(perfil, campo) {
+    const definicao = perfil && perfil.campos && perfil.campos[campo];
+    return definicao ? definicao.aliases : [];
+}
+
+module.exports = {
+    PASTA_PERFIS,
+    TRANSFORMACOES,
+    carregarPerfil,
+    obterPerfilPadrao,
+    validarPerfil,
+    aliasesDoCampo
+};
@@ -0,0 +1,286 @@
+// lib/precos.js - Regras de preço: markup, arredondamento, margem mínima, atacado e promoção
+//
+// As regras ficam em um JSON (exemplo em regras/precos.json) e são aplicadas com --precos:
+// - "markups": percentual sobre o Preço Compra por fornecedor, linha ou grupo (a primeira
+//   correspondência na ordem de "prioridade"); "markupPadrao" vale para os demais produtos.
+//   O preço calculado só substitui o preço da origem com "substituirPreco": true; senão
+//   preenche apenas os produtos sem preço;
+// - "arredondamento": "final" (termina em ,90), "multiplo" (de 0,50 em 0,50) ou "casas";
+// - "margemMinima": percentual mínimo de margem sobre o preço de venda;
+// - "atacadoPromocao.destino": "observacoes" (texto livre, como antes), "colunas" (colunas
+//   próprias no layout de saída) ou "lista" (aba "Lista de Preços" em arquivo separado).
+// Toda regra aplicada fica registrada na auditoria, para explicar cada preço enviado ao ERP.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { normalizar, obterValorSeguro, estaVazio } = require('./colunas');
+const { obterPerfilPadrao, aliasesDoCampo } = require('./perfil');
+const { parseNumero, criarLeitorModelo } = require('./conversor');
+const { renderizarModelo } = require('./modelos');
+
+const ARQUIVO_REGRAS_PRECO_PADRAO = path.join(__dirname, '..', 'regras', 'precos.json');
+const CAMPOS_MARKUP = ['fornecedor', 'linha', 'grupo'];
+const TIPOS_ARREDONDAMENTO = ['final', 'multiplo', 'casas'];
+const DESTINOS_ATACADO_PROMOCAO = ['observacoes', 'colunas', 'lista'];
+const COLUNAS_AUDITORIA = ['Código', 'Coluna', 'Regra', 'Detalhe', 'Valor anterior', 'Valor novo'];
+
+/**
+ * Função para carregar e conferir o arquivo de regras de preço
+ */
+function carregarRegrasPreco(arquivo = ARQUIVO_REGRAS_PRECO_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler as regras de preço ${arquivo}: ${error.message}`);
+    }
+
+    const prioridade = config.prioridade || CAMPOS_MARKUP;
+    prioridade.forEach(campo => {
+        if (!CAMPOS_MARKUP.includes(campo)) {
+            throw new Error(`Regras de preço: campo de markup desconhecido "${campo}" (use ${CAMPOS_MARKUP.join(', ')}).`);
+        }
+    });
+
+    // Chaves normalizadas, para "Escapamento" e "ESCAPAMENTO" valerem o mesmo
+    const markups = {};
+    Object.entries(config.markups || {}).forEach(([campo, valores]) => {
+        if (!CAMPOS_MARKUP.includes(campo)) {
+            throw new Error(`Regras de preço: campo de markup desconhecido "${campo}" (use ${CAMPOS_MARKUP.join(', ')}).`);
+        }
+        markups[campo] = new Map();
+        Object.entries(valores || {}).forEach(([valor, percentual]) => {
+            if (typeof percentual !== 'number' || percentual < 0) {
+                throw new Error(`Regras de preço: markup de ${campo} "${valor}" deve ser um percentual não negativo.`);
+            }
+            markups[campo].set(normalizar(valor), { valor, percentual });
+        });
+    });
+
+    if (config.markupPadrao !== undefined && config.markupPadrao !== null && (typeof config.markupPadrao !== 'number' || config.markupPadrao < 0)) {
+        throw new Error('Regras de preço: "markupPadrao" deve ser um percentual não negativo ou null.');
+    }
+    if (config.margemMinima !== undefined && config.margemMinima !== null &&
+        (typeof config.margemMinima !== 'number' || config.margemMinima < 0 || config.margemMinima >= 100)) {
+        throw new Error('Regras de preço: "margemMinima" deve ser um percentual entre 0 e 100.');
+    }
+    if (config.arredondamento && !TIPOS_ARREDONDAMENTO.includes(config.arredondamento.tipo)) {
+        throw new Error(`Regras de preço: arredondamento "${config.arredondamento.tipo}" desconhecido (use ${TIPOS_ARREDONDAMENTO.join(', ')}).`);
+    }
+
+    const atacadoPromocao = { destino: 'observacoes', colunas: {}, ...(config.atacadoPromocao || {}) };
+    if (!DESTINOS_ATACADO_PROMOCAO.includes(atacadoPromocao.destino)) {
+        throw new Error(`Regras de preço: destino "${atacadoPromocao.destino}" desconhecido para atacado e promoção (use ${DESTINOS_ATACADO_PROMOCAO.join(', ')}).`);
+    }
+    atacadoPromocao.colunas = { atacado: 'Preço Atacado', promocao: 'Preço Promocional', ...atacadoPromocao.colunas };
+
+    return {
+        arquivo,
+        substituirPreco: Boolean(config.substituirPreco),
+        prioridade,
+        markups,
+        markupPadrao: typeof config.markupPadrao === 'number' ? config.markupPadrao : null,
+        margemMinima: typeof config.margemMinima === 'number' ? config.margemMinima : null,
+        arredondamento: config.arredondamento || null,
+        atacadoPromocao
+    };
+}
+
+/**
+ * Função para arredondar um preço conforme a política configurada
+ *
+ * "final" e "multiplo" arredondam sempre para cima, para não reduzir a margem.
+ */
+function arredondarPreco(valor, arredondamento) {
+    if (!arredondamento) return valor;
+    const centavos = Math.round(valor * 100);
+
+    switch (arredondamento.tipo) {
+        case 'final': {
+            const final = Math.round(arredondamento.centavos || 0);
+            let resultado = Math.floor(centavos / 100) * 100 + final;
+            if (resultado < centavos) resultado += 100;
+            return resultado / 100;
+        }
+        case 'multiplo': {
+            const passo = Math.round((arredondamento.valor || 0.01) * 100);
+            return (Math.ceil(centavos / passo) * passo) / 100;
+        }
+        case 'casas':
+        default: {
+            const fator = Math.pow(10, arredondamento.casas !== undefined ? arredondamento.casas : 2);
+            return Math.round(valor * fator) / fator;
+        }
+    }
+}
+
+/**
+ * Função para descrever a política de arredondamento na auditoria
+ */
+function descreverArredondamento(arredondamento) {
+    if (arredondamento.tipo === 'final') return `final ,${String(arredondamento.centavos || 0).padStart(2, '0')}`;
+    if (arredondamento.tipo === 'multiplo') return `múltiplo de ${arredondamento.valor}`;
+    return `${arredondamento.casas !== undefined ? arredondamento.casas : 2} casas`;
+}
+
+/**
+ * Função para encontrar o markup de um produto (fornecedor, linha ou grupo, na ordem de prioridade)
+ */
+function encontrarMarkup(regras, valorDoCampo) {
+    for (const campo of regras.prioridade) {
+        const valor = valorDoCampo(campo);
+        const markup = regras.markups[campo] && !estaVazio(valor) ? regras.markups[campo].get(normalizar(valor)) : null;
+        if (markup) {
+            return { regra: `markup:${campo}`, percentual: markup.percentual, detalhe: `${campo} "${valor}"` };
+        }
+    }
+    if (regras.markupPadrao !== null) {
+        return { regra: 'markup:padrao', percentual: regras.markupPadrao, detalhe: 'markup padrão' };
+    }
+    return null;
+}
+
+/**
+ * Função para tirar do texto livre (ex.: Observações) as partes geradas para um campo do perfil
+ */
+function removerPartesDoCampo(produto, perfil, campo, valorBruto) {
+    if (estaVazio(valorBruto)) return;
+
+    perfil.colunas
+        .filter(coluna => coluna.transformacao === 'concatenacao' && typeof produto[coluna.destino] === 'string')
+        .forEach(coluna => {
+            (coluna.partes || []).filter(parte => parte.campo === campo).forEach(parte => {
+                const texto = (parte.modelo || '{valor}').replace(/\{valor\}/g, valorBruto);
+                produto[coluna.destino] = produto[coluna.destino].replace(texto, '');
+            });
+        });
+}
+
+/**
+ * Função para gerar de novo as colunas com "modelo" que citam os campos, agora como vazios
+ */
+function removerCamposDosModelos(produto, produtoRaw, { perfil, mapeamento, tiposColunas }, campos) {
+    const leitor = criarLeitorModelo(produtoRaw, mapeamento, perfil, tiposColunas, campos);
+    const citaCampo = modelo => campos.some(campo => new RegExp(`\\{\\{\\s*(?:#se\\s+)?${campo}\\s*[|}]`).test(modelo));
+
+    perfil.colunas
+        .filter(coluna => coluna.transformacao === 'modelo' && citaCampo(coluna.modelo))
+        .forEach(coluna => {
+            const texto = renderizarModelo(coluna.modelo, leitor.obterValor, leitor.obterLocalidade);
+            produto[coluna.destino] = coluna.limite ? texto.slice(0, coluna.limite).trimEnd() : texto;
+        });
+}
+
+/**
+ * Função para aplicar as regras de preço aos produtos convertidos (altera os produtos)
+ *
+ * `linhas` (de converterProdutos) liga cada produto à sua linha em `produtosRaw`, de onde vêm
+ * fornecedor, linha, grupo e os preços de atacado e promoção. Retorna a auditoria de cada
+ * regra aplicada, a lista de preços (destino "lista") e o total por regra.
+ */
+function precificarProdutos(produtos, { produtosRaw, linhas, regras, mapeamento = {}, perfil = obterPerfilPadrao(), tiposColunas = {} }) {
+    const auditoria = [];
+    const listaPrecos = [];
+    const porRegra = {};
+    const { destino, colunas } = regras.atacadoPromocao;
+
+    produtos.forEach((produto, idx) => {
+        const produtoRaw = produtosRaw[linhas[idx].indice - 1] || {};
+        const colunaDoCampo = campo => mapeamento[campo] || aliasesDoCampo(perfil, campo);
+        const valorDoCampo = campo => obterValorSeguro(produtoRaw, colunaDoCampo(campo));
+        const numeroDoCampo = campo => {
+            const coluna = [].concat(colunaDoCampo(campo))[0];
+            const localidade = tiposColunas[coluna] ? tiposColunas[coluna].localidade : null;
+            return parseNumero(valorDoCampo(campo), null, localidade);
+        };
+        const registrar = (coluna, regra, detalhe, anterior, novo) => {
+            auditoria.push({
+                'Código': produto['Código'],
+                'Coluna': coluna,
+                'Regra': regra,
+                'Detalhe': detalhe,
+                'Valor anterior': anterior === null || anterior === undefined ? '' : anterior,
+                'Valor novo': novo === null || novo === undefined ? '' : novo
+            });
+            porRegra[regra] = (porRegra[regra] || 0) + 1;
+        };
+        const arredondar = (valor) => {
+            const arredondado = arredondarPreco(valor, regras.arredondamento);
+            if (arredondado !== valor) {
+                registrar('Preço', 'arredondamento', descreverArredondamento(regras.arredondamento), valor, arredondado);
+            }
+            return arredondado;
+        };
+
+        const custo = Number(produto['Preço de custo']) || 0;
+        let preco = Number(produto['Preço']) || 0;
+
+        // Markup sobre o custo, por fornecedor, linha ou grupo
+        const markup = custo > 0 ? encontrarMarkup(regras, valorDoCampo) : null;
+        if (markup && (regras.substituirPreco || preco <= 0)) {
+            const calculado = Math.round(custo * (1 + markup.percentual / 100) * 100) / 100;
+            registrar('Preço', markup.regra, `${markup.detalhe}: custo ${custo} + ${markup.percentual}%`, preco, calculado);
+            preco = arredondar(calculado);
+        }
+
+        // Margem mínima sobre o preço de venda
+        if (regras.margemMinima !== null && custo > 0 && preco > 0) {
+            const minimo = Math.ceil((custo / (1 - regras.margemMinima / 100)) * 100) / 100;
+            if (preco < minimo) {
+                registrar('Preço', 'margemMinima', `margem de ${Math.round(((preco - custo) / preco) * 1000) / 10}% abaixo de ${regras.margemMinima}%`, preco, minimo);
+                preco = arredondar(minimo);
+            }
+        }
+        produto['Preço'] = preco;
+
+        if (destino === 'observacoes') return;
+
+        // Atacado e promoção como dados: colunas próprias ou lista de preços
+        const atacado = numeroDoCampo('precoAtacado');
+        const promocao = numeroDoCampo('precoPromocao');
+        removerPartesDoCampo(produto, perfil, 'precoAtacado', valorDoCampo('precoAtacado'));
+        removerPartesDoCampo(produto, perfil, 'precoPromocao', valorDoCampo('precoPromocao'));
+        removerCamposDosModelos(produto, produtoRaw, { perfil, mapeamento, tiposColunas }, ['precoAtacado', 'precoPromocao']);
+
+        const valorAtacado = atacado > 0 ? atacado : '';
+        const valorPromocao = promocao > 0 ? promocao : '';
+
+        if (destino === 'colunas') {
+            produto[colunas.atacado] = valorAtacado;
+            produto[colunas.promocao] = valorPromocao;
+            if (valorAtacado !== '') registrar(colunas.atacado, 'atacadoPromocao', 'preço de atacado da origem', '', valorAtacado);
+            if (valorPromocao !== '') registrar(colunas.promocao, 'atacadoPromocao', 'preço de promoção da origem', '', valorPromocao);
+        } else {
+            listaPrecos.push({
+                'Código': produto['Código'],
+                'Descrição': produto['Descrição'],
+                'Preço': preco,
+                'Preço de custo': produto['Preço de custo'],
+                [colunas.atacado]: valorAtacado,
+                [colunas.promocao]: valorPromocao
+            });
+        }
+    });
+
+    return { auditoria, listaPrecos, porRegra };
+}
+
+/**
+ * Função para gravar a auditoria das regras de preço (e a lista de preços, se houver)
+ */
+function salvarPrecos(resultado, arquivo) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.auditoria, { header: COLUNAS_AUDITORIA }), 'Regras de preço');
+    if (resultado.listaPrecos.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.listaPrecos), 'Lista de Preços');
+    }
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    ARQUIVO_REGRAS_PRECO_PADRAO,
+    carregarRegrasPreco,
+    arredondarPreco,
+    precificarProdutos,
+    salvarPrecos
+};
@@ -0,0 +1,150 @@
+// lib/relatorio.js - Relatório JSON da conversão (conversor_log_*.json)
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Função para criar o relatório de uma execução, com o mapeamento de colunas resolvido
+ * (e, se informadas as `resolucoes` de resolverCabecalhos, a confiança de cada cabeçalho)
+ */
+function criarRelatorio({ arquivoEntrada, perfil, cabecalhos, mapaColunas, resolucoes = {}, detalharLinhas = true }) {
+    const camposResolvidos = {};
+    const cabecalhosAusentes = [];
+
+    Object.entries((perfil && perfil.campos) || {}).forEach(([campo, definicao]) => {
+        const coluna = (mapaColunas && mapaColunas[campo]) || null;
+        const resolucao = resolucoes[campo];
+        camposResolvidos[campo] = { coluna, aliases: definicao.aliases };
+        if (resolucao) {
+            Object.assign(camposResolvidos[campo], {
+                confianca: resolucao.confianca,
+                metodo: resolucao.metodo,
+                situacao: resolucao.situacao,
+                sugestao: resolucao.sugestao
+            });
+        }
+        if (!coluna) {
+            cabecalhosAusentes.push(campo);
+        }
+    });
+
+    return {
+        timestamp: new Date().toISOString(),
+        arquivoEntrada,
+        arquivosSaida: [],
+        perfil: perfil ? (perfil.nome || perfil.arquivo) : null,
+        cabecalhos: cabecalhos || [],
+        cabecalhosAusentes,
+        camposResolvidos,
+        totalProdutos: 0,
+        sucessos: 0,
+        falhas: 0,
+        origemDescricoes: {},
+        produtosComDescricaoVazia: [],
+        fallbacksNumericos: [],
+        // Valores inválidos ou ambíguos agrupados pela coluna de origem
+        problemasPorColuna: {},
+        // Textos cortados pelo "limite" da coluna de destino
+        textosTruncados: {},
+        erros: [],
+        // No modo streaming as linhas não são detalhadas, para manter a memória limitada
+        detalharLinhas,
+        linhas: []
+    };
+}
+
+/**
+ * Função para registrar a origem da descrição, os fallbacks numéricos, os valores mal lidos e os textos cortados de uma linha convertida
+ */
+function registrarLinha(relatorio, indice, codigo, rastreio, produtoRaw) {
+    const metodo = rastreio.descricao ? rastreio.descricao.metodo : null;
+    const chaveMetodo = metodo === null ? 'nenhum' : String(metodo);
+
+    relatorio.totalProdutos++;
+    relatorio.sucessos++;
+    relatorio.origemDescricoes[chaveMetodo] = (relatorio.origemDescricoes[chaveMetodo] || 0) + 1;
+    if (relatorio.detalharLinhas) {
+        relatorio.linhas.push({
+            indice,
+            codigo,
+            origem: rastreio.origem || null,
+            descricao: rastreio.descricao || null
+        });
+    }
+
+    // Linhas que caíram no "Produto N" entram na lista de descrição vazia, como nos logs antigos
+    if (metodo === 'padrao') {
+        const valorBruto = produtoRaw && relatorio.camposResolvidos.descricao && relatorio.camposResolvidos.descricao.coluna
+            ? produtoRaw[relatorio.camposResolvidos.descricao.coluna]
+            : undefined;
+        relatorio.produtosComDescricaoVazia.push({ indice, codigo, valorBruto, tipo: typeof valorBruto });
+    }
+
+    (rastreio.fallbacksNumericos || []).forEach(fallback => {
+        relatorio.fallbacksNumericos.push({ indice, codigo, ...fallback });
+    });
+
+    (rastreio.problemasLeitura || []).forEach(problema => {
+        const chave = problema.origem || problema.coluna;
+        if (!relatorio.problemasPorColuna[chave]) {
+            relatorio.problemasPorColuna[chave] = { tipo: problema.tipo, invalidos: 0, ambiguos: 0, exemplos: [] };
+        }
+        const resumo = relatorio.problemasPorColuna[chave];
+        if (problema.problema === 'ambiguo') resumo.ambiguos++; else resumo.invalidos++;
+        if (resumo.exemplos.length < 5) {
+            resumo.exemplos.push({ indice, codigo, problema: problema.problema, valorBruto: problema.valorBruto, valorUsado: problema.valorUsado });
+        }
+    });
+
+    (rastreio.textosTruncados || []).forEach(truncado => {
+        if (!relatorio.textosTruncados[truncado.coluna]) {
+            relatorio.textosTruncados[truncado.coluna] = { limite: truncado.limite, quantidade: 0, maiorTamanho: 0, exemplos: [] };
+        }
+        const resumo = relatorio.textosTruncados[truncado.coluna];
+        resumo.quantidade++;
+        resumo.maiorTamanho = Math.max(resumo.maiorTamanho, truncado.tamanho);
+        if (resumo.exemplos.length < 5) {
+            resumo.exemplos.push({ indice, codigo, tamanho: truncado.tamanho });
+        }
+    });
+}
+
+/**
+ * Função para registrar uma linha que falhou na conversão
+ */
+function registrarErro(relatorio, indice, mensagem) {
+    relatorio.totalProdutos++;
+    relatorio.falhas++;
+    relatorio.erros.push({ indice, mensagem });
+}
+
+/**
+ * Função para registrar um arquivo gerado por um destino
+ */
+function registrarSaida(relatorio, destino, arquivo, linhas, descartados) {
+    relatorio.arquivosSaida.push({ destino, arquivo, linhas, descartados });
+}
+
+/**
+ * Função para definir o caminho padrão do relatório, ao lado do arquivo de saída
+ */
+function caminhoRelatorio(arquivoSaida, timestamp = new Date().toISOString()) {
+    const pasta = path.dirname(arquivoSaida || '.');
+    return path.join(pasta, `conversor_log_${timestamp.replace(/[:.]/g, '-')}.json`);
+}
+
+/**
+ * Função para gravar o relatório em disco
+ */
+function salvarRelatorio(relatorio, arquivo) {
+    fs.writeFileSync(arquivo, JSON.stringify(relatorio, null, 2), 'utf8');
+    return arquivo;
+}
+
+module.exports = {
+    criarRelatorio,
+    registrarLinha,
+    registrarErro,
+    registrarSaida,
+    caminhoRelatorio,
+    salvarRelatorio
+};
@@ -0,0 +1,458 @@
+// lib/reversao.js - Conversão reversa: do layout do ERP de volta para a planilha do sistema legado
+//
+// Usa as mesmas correspondências do perfil que converterProduto segue na ida: cada coluna do ERP
+// com "campo" devolve o valor a esse campo da planilha legada; colunas com "modelo" ou
+// "concatenacao" (ex.: Observações com "Preço atacado: 250; Preço promoção: 0; ") são lidas de
+// volta pelo próprio modelo. Não voltam: colunas constantes ou só do ERP, modelos com
+// formatadores ou {{senao}} e campos da planilha legada que não vão para o ERP (Aplicação,
+// Catálogo...). Com uma planilha legada de base, essas colunas são mantidas como estavam.
+// verificarIdaEVolta converte e reverte a própria planilha legada e lista o que não volta igual.
+const XLSX = require('xlsx');
+const { estaVazio, obterValorSeguro } = require('./colunas');
+const { compilarModelo } = require('./modelos');
+const { interpretarNumero, interpretarData, interpretarDuracao, perfilarColunas } = require('./tipos');
+
+const COLUNAS_NAO_REVERSIVEIS = ['Coluna do ERP', 'Coluna legada', 'Motivo'];
+const COLUNAS_ALTERACOES = ['Código', 'Coluna legada', 'Anterior', 'Novo', 'Coluna do ERP'];
+const COLUNAS_REVISAO = ['Código', 'Coluna do ERP', 'Valor', 'Motivo'];
+const COLUNAS_DIVERGENCIAS = ['Linha', 'Código', 'Coluna legada', 'Original', 'Após ida e volta', 'Coluna do ERP'];
+const COLUNAS_DERIVADOS = [...COLUNAS_DIVERGENCIAS, 'Motivo'];
+
+/**
+ * Função para escapar um texto para uso literal em uma expressão regular
+ */
+function escaparRegex(texto) {
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Função para montar o leitor reverso de uma coluna "modelo" ou "concatenacao"
+ *
+ * O modelo vira uma expressão regular: textos fixos literais, marcadores viram grupos e blocos
+ * {{#se}} viram trechos opcionais. Retorna { campos, extrair(texto) } ou { motivo } quando o
+ * modelo não pode ser lido de volta.
+ */
+function criarLeitorReverso(coluna) {
+    const campos = [];
+    let motivo = null;
+
+    const capturar = (nome) => {
+        if (campos.includes(nome)) {
+            motivo = `o campo "${nome}" aparece mais de uma vez no modelo`;
+        }
+        campos.push(nome);
+        return '([\\s\\S]*?)';
+    };
+
+    let corpo;
+    if (coluna.transformacao === 'concatenacao') {
+        corpo = (coluna.partes || []).map(parte => {
+            if (!parte.campo) return escaparRegex(parte.texto || '');
+            const trechos = (parte.modelo || '{valor}').split('{valor}').map(escaparRegex);
+            return `(?:${trechos.map((trecho, i) => (i === 0 ? trecho : capturar(parte.campo) + trecho)).join('')})?`;
+        }).join('');
+    } else {
+        const montar = (nos) => nos.map(no => {
+            if (no.tipo === 'texto') return escaparRegex(no.texto);
+            if (no.tipo === 'se') {
+                if (no.senao.length > 0) motivo = 'o modelo usa {{senao}}';
+                return `(?:${montar(no.filhos)})?`;
+            }
+            if (no.formatadores.length > 0) {
+                motivo = `o marcador "${no.nome}" passa por formatadores`;
+            }
+            return capturar(no.nome);
+        }).join('');
+        corpo = montar(compilarModelo(coluna.modelo).filhos);
+    }
+
+    if (motivo) return { motivo: `Modelo não pode ser lido de volta: ${motivo}` };
+    if (campos.length === 0) return { motivo: 'Modelo sem campos da planilha legada' };
+
+    const expressao = new RegExp(`^${corpo}$`);
+    return {
+        campos,
+        extrair(texto) {
+            const partes = expressao.exec(estaVazio(texto) ? '' : String(texto));
+            if (!partes) return null;
+            const valores = {};
+            campos.forEach((campo, i) => {
+                valores[campo] = partes[i + 1] === undefined ? '' : partes[i + 1];
+            });
+            return valores;
+        }
+    };
+}
+
+/**
+ * Função para montar o plano da reversão a partir das colunas do perfil
+ *
+ * Retorna { fontes: campo → [{ destino, transformacao, padrao, leitor }], naoReversiveis }.
+ * Quando várias colunas do ERP vêm do mesmo campo (Preço de custo e Preço de compra), a primeira
+ * na ordem do perfil prevalece e as demais servem para detectar conflitos.
+ */
+function planejarReversao(perfil) {
+    const fontes = new Map();
+    const naoReversiveis = [];
+    const adicionar = (campo, fonte) => {
+        if (!fontes.has(campo)) fontes.set(campo, []);
+        fontes.get(campo).push(fonte);
+    };
+
+    perfil.colunas.forEach(coluna => {
+        switch (coluna.transformacao) {
+            case 'indice':
+                naoReversiveis.push({ 'Coluna do ERP': coluna.destino, 'Coluna legada': '', 'Motivo': 'Numeração gerada na conversão' });
+                break;
+            case 'constante':
+                naoReversiveis.push({ 'Coluna do ERP': coluna.destino, 'Coluna legada': '', 'Motivo': 'Coluna só do ERP (valor fixo na conversão)' });
+                break;
+            case 'descricao':
+                adicionar('descricao', { destino: coluna.destino, transformacao: 'descricao' });
+                break;
+            case 'modelo':
+            case 'concatenacao': {
+                const leitor = criarLeitorReverso(coluna);
+                if (leitor.motivo) {
+                    naoReversiveis.push({ 'Coluna do ERP': coluna.destino, 'Coluna legada': '', 'Motivo': leitor.motivo });
+                    break;
+                }
+                leitor.campos.forEach(campo => adicionar(campo, { destino: coluna.destino, transformacao: coluna.transformacao, leitor }));
+                break;
+            }
+            default:
+                adicionar(coluna.campo, {
+                    destino: coluna.destino,
+                    transformacao: coluna.transformacao || 'texto',
+                    padrao: coluna.padrao,
+                    limite: coluna.limite
+                });
+        }
+    });
+
+    return { fontes, naoReversiveis };
+}
+
+/**
+ * Função para obter o nome da coluna legada de um campo: a da planilha de base ou o primeiro alias
+ */
+function colunaLegada(perfil, campo, mapeamento = {}) {
+    if (mapeamento[campo]) return mapeamento[campo];
+    return perfil.campos[campo] ? perfil.campos[campo].aliases[0] : campo;
+}
+
+/**
+ * Função para listar os campos e colunas da planilha legada que não têm coluna no ERP
+ *
+ * `cabecalhos` (opcional) traz as colunas da planilha legada de base.
+ */
+function camposSemColunaNoErp(perfil, plano, { mapeamento = {}, cabecalhos = [] } = {}) {
+    const lista = Object.keys(perfil.campos)
+        .filter(campo => !plano.fontes.has(campo))
+        .map(campo => ({ 'Coluna do ERP': '', 'Coluna legada': colunaLegada(perfil, campo, mapeamento), 'Motivo': 'Campo da planilha legada que não vai para o ERP' }));
+
+    const conhecidas = new Set([...Object.values(mapeamento).filter(Boolean), ...lista.map(item => item['Coluna legada'])]);
+    cabecalhos.filter(cabecalho => !conhecidas.has(cabecalho)).forEach(cabecalho => {
+        lista.push({ 'Coluna do ERP': '', 'Coluna legada': cabecalho, 'Motivo': 'Coluna da planilha legada fora do perfil' });
+    });
+    return lista;
+}
+
+/**
+ * Função para formatar uma data AAAA-MM-DD como DD/MM/AAAA (formato da planilha legada)
+ */
+function dataLegada(valor) {
+    const data = interpretarData(valor);
+    if (!data) return valor;
+    const [ano, mes, dia] = data.split('-');
+    return `${dia}/${mes}/${ano}`;
+}
+
+/**
+ * Função para converter de volta o valor de uma coluna do ERP para o campo legado
+ *
+ * `localidade` é a da coluna do ERP (CSV com "1.234" ambíguo); sem ela vale o formato do valor.
+ */
+function valorLegado(valor, fonte, localidade = null) {
+    if (estaVazio(valor)) return '';
+    switch (fonte.transformacao) {
+        case 'numero': {
+            const lido = interpretarNumero(valor, localidade);
+            return lido ? lido.valor : valor;
+        }
+        case 'meses': {
+            const lido = interpretarDuracao(valor);
+            return lido ? lido.meses : valor;
+        }
+        case 'data':
+            return dataLegada(valor);
+        default: {
+            // Números lidos de um modelo ("Preço atacado: 250; ") voltam como números
+            const texto = String(valor);
+            return fonte.leitor && /^-?\d+(\.\d+)?$/.test(texto) && !/^-?0\d/.test(texto) ? Number(texto) : texto;
+        }
+    }
+}
+
+/**
+ * Função para verificar se o valor legado e o valor revertido são equivalentes
+ *
+ * Números são comparados pelo valor (a localidade da coluna decide "1.234"), datas pelo dia e
+ * garantias pelos meses; um campo vazio equivale ao "padrao" que a conversão usa no lugar dele
+ * e um texto longo, ao começo dele cortado no "limite" da coluna.
+ */
+function valoresEquivalentes(original, revertido, fonte = {}, localidade = null) {
+    if (estaVazio(original) && estaVazio(revertido)) return true;
+    if (estaVazio(original)) {
+        return fonte.padrao !== undefined && fonte.padrao !== null && String(fonte.padrao) === String(revertido);
+    }
+    if (estaVazio(revertido)) return false;
+
+    switch (fonte.transformacao) {
+        case 'numero': {
+            const lido = interpretarNumero(original, localidade);
+            return Boolean(lido) && Math.abs(lido.valor - Number(revertido)) < 1e-9;
+        }
+        case 'data':
+            return interpretarData(original) !== null && interpretarData(original) === interpretarData(revertido);
+        case 'meses': {
+            const lido = interpretarDuracao(original);
+            return Boolean(lido) && lido.meses === Number(revertido);
+        }
+        default: {
+            const a = String(original).trim();
+            const b = String(revertido).trim();
+            if (a === b) return true;
+            // Texto cortado no "limite" da coluna volta igual ao começo do original
+            if (fonte.limite && a.length > fonte.limite && a.slice(0, fonte.limite).trimEnd() === b) return true;
+            return a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b)) && Number(a) === Number(b);
+        }
+    }
+}
+
+/**
+ * Função para reverter um produto no layout do ERP para os campos da planilha legada
+ *
+ * Retorna { valores: campo → { valor, fonte }, revisao } com os conflitos entre colunas do
+ * mesmo campo e os modelos que não puderam ser lidos. `tiposColunas` (perfilarColunas das
+ * linhas do ERP) traz a localidade numérica de cada coluna.
+ */
+function reverterProduto(produtoErp, plano, tiposColunas = null) {
+    const valores = {};
+    const revisao = [];
+    const leituras = new Map();
+    const codigo = produtoErp['Código'];
+
+    const lerFonte = (fonte) => {
+        const bruto = produtoErp[fonte.destino];
+        if (!fonte.leitor) {
+            return valorLegado(bruto, fonte, tiposColunas && tiposColunas[fonte.destino] ? tiposColunas[fonte.destino].localidade : null);
+        }
+
+        if (!leituras.has(fonte.destino)) {
+            const extraido = fonte.leitor.extrair(bruto);
+            if (!extraido) {
+                revisao.push({ 'Código': codigo, 'Coluna do ERP': fonte.destino, 'Valor': bruto, 'Motivo': 'Texto fora do modelo do perfil; campos não revertidos' });
+            }
+            leituras.set(fonte.destino, extraido);
+        }
+        const extraido = leituras.get(fonte.destino);
+        return extraido ? valorLegado(extraido[fonte.campoLido], fonte) : undefined;
+    };
+
+    plano.fontes.forEach((fontes, campo) => {
+        let escolhido;
+        fontes.forEach(fonte => {
+            const valor = lerFonte({ ...fonte, campoLido: campo });
+            if (valor === undefined) return;
+            if (!escolhido) {
+                escolhido = { valor, fonte };
+            } else if (!valoresEquivalentes(escolhido.valor, valor, fonte)) {
+                revisao.push({
+                    'Código': codigo,
+                    'Coluna do ERP': fonte.destino,
+                    'Valor': valor,
+                    'Motivo': `Diverge de "${escolhido.fonte.destino}" (${escolhido.valor}); vale "${escolhido.fonte.destino}"`
+                });
+            }
+        });
+        if (escolhido) valores[campo] = escolhido;
+    });
+
+    return { valores, revisao };
+}
+
+/**
+ * Função para reverter os produtos exportados para o ERP em linhas da planilha legada
+ *
+ * Sem `base`, cada produto vira uma linha só com as colunas que voltam do ERP. Com `base`
+ * ({ produtos, conversao } da planilha legada), os produtos são casados pelo Código e só os
+ * valores alterados no ERP (diferentes da conversão da própria base) são gravados; as demais
+ * colunas ficam como estavam. Os códigos novos no ERP vão para o fim e os que só existem na base
+ * ficam intactos.
+ * Retorna { linhas, colunas, alteracoes, revisao, naoReversiveis, resumo }.
+ */
+function reverterProdutos(produtosErp, { perfil, base = null }) {
+    const plano = planejarReversao(perfil);
+    const tiposErp = perfilarColunas(produtosErp);
+    const mapeamento = base ? base.conversao.mapeamento : {};
+    const campos = Array.from(plano.fontes.keys());
+    const cabecalhosBase = base && base.produtos.length > 0 ? Object.keys(base.produtos[0]) : [];
+    const colunas = [...cabecalhosBase];
+    campos.map(campo => colunaLegada(perfil, campo, mapeamento)).forEach(coluna => {
+        if (!colunas.includes(coluna)) colunas.push(coluna);
+    });
+
+    const linhas = base ? base.produtos.map(produto => ({ ...produto })) : [];
+    // Código → { linha, convertido (o produto que a base gera na ida) }
+    const porCodigo = new Map();
+    if (base) {
+        base.conversao.produtos.forEach((convertido, idx) => {
+            const linha = linhas[base.conversao.linhas[idx].indice - 1];
+            const codigo = estaVazio(convertido['Código']) ? '' : String(convertido['Código']).trim();
+            if (codigo && !porCodigo.has(codigo)) porCodigo.set(codigo, { linha, convertido });
+        });
+    }
+
+    const alteracoes = [];
+    const revisao = [];
+    const encontrados = new Set();
+    let novos = 0;
+
+    produtosErp.forEach(produtoErp => {
+        const reverso = reverterProduto(produtoErp, plano, tiposErp);
+        revisao.push(...reverso.revisao);
+
+        const codigo = estaVazio(produtoErp['Código']) ? '' : String(produtoErp['Código']).trim();
+        const daBase = base && codigo ? porCodigo.get(codigo) : null;
+        if (!daBase) {
+            const linha = {};
+            colunas.forEach(coluna => { linha[coluna] = ''; });
+            Object.entries(reverso.valores).forEach(([campo, { valor }]) => {
+                linha[colunaLegada(perfil, campo, mapeamento)] = valor;
+            });
+            linhas.push(linha);
+            novos++;
+            return;
+        }
+
+        encontrados.add(daBase.linha);
+        const valoresBase = reverterProduto(daBase.convertido, plano).valores;
+        Object.entries(reverso.valores).forEach(([campo, { valor, fonte }]) => {
+            // Igual ao que a base gera na ida: não foi alterado no ERP
+            if (valoresBase[campo] && valoresEquivalentes(valoresBase[campo].valor, valor, fonte)) return;
+            const coluna = colunaLegada(perfil, campo, mapeamento);
+            alteracoes.push({ 'Código': codigo, 'Coluna legada': coluna, 'Anterior': daBase.linha[coluna], 'Novo': valor, 'Coluna do ERP': fonte.destino });
+            daBase.linha[coluna] = valor;
+        });
+    });
+
+    return {
+        linhas,
+        colunas,
+        alteracoes,
+        revisao,
+        naoReversiveis: [...plano.naoReversiveis, ...camposSemColunaNoErp(perfil, plano, { mapeamento, cabecalhos: cabecalhosBase })],
+        resumo: {
+            produtosErp: produtosErp.length,
+            atualizados: new Set(alteracoes.map(item => item['Código'])).size,
+            novos,
+            soNaBase: base ? base.produtos.length - encontrados.size : 0
+        }
+    };
+}
+
+/**
+ * Função para conferir a ida e volta: converte a planilha legada, reverte o resultado e compara
+ *
+ * `conversao` traz o resultado de converterProdutos sobre `produtosRaw`. Retorna
+ * { divergencias, porColuna, derivados, naoReversiveis, conferidos } — sem divergências, tudo o
+ * que vai para o ERP volta com o valor original. Descrições vazias que a ida preencheu com outra
+ * coluna ficam em `derivados`: na volta elas passam a ocupar a coluna Descrição.
+ */
+function verificarIdaEVolta(produtosRaw, { perfil, conversao }) {
+    const plano = planejarReversao(perfil);
+    const { mapeamento } = conversao;
+    const tipos = conversao.relatorio.tiposColunas || {};
+    const divergencias = [];
+    const derivados = [];
+    const porColuna = {};
+    let conferidos = 0;
+
+    conversao.produtos.forEach((produtoErp, idx) => {
+        const linha = conversao.linhas[idx].indice;
+        const original = produtosRaw[linha - 1];
+        const reverso = reverterProduto(produtoErp, plano);
+
+        plano.fontes.forEach((fontes, campo) => {
+            // Campos sem coluna na planilha legada não têm o que conferir
+            if (!mapeamento[campo]) return;
+            conferidos++;
+            const coluna = mapeamento[campo];
+            const valorOriginal = obterValorSeguro(original, coluna);
+            const revertido = reverso.valores[campo];
+            const localidade = tipos[coluna] ? tipos[coluna].localidade : null;
+            if (revertido && valoresEquivalentes(valorOriginal, revertido.valor, revertido.fonte, localidade)) return;
+
+            const item = {
+                'Linha': linha,
+                'Código': produtoErp['Código'],
+                'Coluna legada': coluna,
+                'Original': valorOriginal,
+                'Após ida e volta': revertido ? revertido.valor : '',
+                'Coluna do ERP': fontes.map(fonte => fonte.destino).join(', ')
+            };
+            // Descrição vazia que a conversão tirou de outra coluna: esperado, não é divergência
+            const origemDescricao = conversao.linhas[idx].rastreio.descricao;
+            if (campo === 'descricao' && estaVazio(valorOriginal) && origemDescricao && origemDescricao.coluna !== coluna) {
+                derivados.push({ ...item, 'Motivo': origemDescricao.coluna ? `Descrição tirada da coluna "${origemDescricao.coluna}" na ida` : 'Descrição gerada na ida' });
+                return;
+            }
+            divergencias.push(item);
+            porColuna[coluna] = (porColuna[coluna] || 0) + 1;
+        });
+    });
+
+    return {
+        divergencias,
+        porColuna,
+        derivados,
+        naoReversiveis: [...plano.naoReversiveis, ...camposSemColunaNoErp(perfil, plano, {
+            mapeamento,
+            cabecalhos: produtosRaw.length > 0 ? Object.keys(produtosRaw[0]) : []
+        })],
+        conferidos
+    };
+}
+
+/**
+ * Função para salvar o relatório da reversão (abas "Não reversíveis", "Alterações" e "Revisão")
+ */
+function salvarRelatorioReversao(resultado, arquivo) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.naoReversiveis, { header: COLUNAS_NAO_REVERSIVEIS }), 'Não reversíveis');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.alteracoes, { header: COLUNAS_ALTERACOES }), 'Alterações');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.revisao, { header: COLUNAS_REVISAO }), 'Revisão');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+/**
+ * Função para salvar a verificação de ida e volta (abas "Divergências", "Derivados" e "Não reversíveis")
+ */
+function salvarVerificacao(resultado, arquivo) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.divergencias, { header: COLUNAS_DIVERGENCIAS }), 'Divergências');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.derivados, { header: COLUNAS_DERIVADOS }), 'Derivados');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resultado.naoReversiveis, { header: COLUNAS_NAO_REVERSIVEIS }), 'Não reversíveis');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    criarLeitorReverso,
+    planejarReversao,
+    reverterProduto,
+    reverterProdutos,
+    verificarIdaEVolta,
+    salvarRelatorioReversao,
+    salvarVerificacao
+};
@@ -0,0 +1,269 @@
+// lib/separador.js - Separação de código e descrição quando os dois vêm na mesma coluna
+//
+// Os formatos de código conhecidos ficam em regras/codigos.json (expressões regulares com a
+// confiança de cada uma). Além deles, os formatos são inferidos das linhas que já têm código
+// limpo e descrição preenchida. Cada separação recebe uma confiança de 0 a 1; abaixo de
+// "confiancaMinima" a linha não é alterada e vai para revisão.
+const fs = require('fs');
+const path = require('path');
+const { encontrarColuna, estaVazio } = require('./colunas');
+const { obterPerfilPadrao, aliasesDoCampo } = require('./perfil');
+
+const ARQUIVO_PADROES_PADRAO = path.join(__dirname, '..', 'regras', 'codigos.json');
+const POSSIVEIS_COLUNAS_CODIGO = ['Código', 'Codigo', 'código', 'codigo', 'COD', 'CODIGO'];
+
+// Maior número de palavras do início do valor que ainda pode fazer parte do código
+const MAXIMO_PALAVRAS_CODIGO = 3;
+// Confiança quando nenhum formato reconhece o código (separação no primeiro espaço)
+const CONFIANCA_SEM_PADRAO = 0.3;
+// Um formato inferido precisa aparecer em pelo menos estas linhas para ser usado
+const MINIMO_OCORRENCIAS_INFERIDAS = 3;
+
+let configuracaoPadrao = null;
+
+/**
+ * Função para carregar e conferir o arquivo de formatos de código
+ */
+function carregarPadroesCodigo(arquivo = ARQUIVO_PADROES_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler os formatos de código ${arquivo}: ${error.message}`);
+    }
+
+    const padroes = (config.padroes || []).map(padrao => {
+        if (!padrao.nome || !padrao.regex) {
+            throw new Error(`Formato de código sem "nome" ou "regex" em ${arquivo}.`);
+        }
+        if (typeof padrao.confianca !== 'number' || padrao.confianca < 0 || padrao.confianca > 1) {
+            throw new Error(`Formato de código "${padrao.nome}" com confiança inválida (use um número de 0 a 1).`);
+        }
+        try {
+            return { ...padrao, expressao: new RegExp(`^(?:${padrao.regex})$`, 'i') };
+        } catch (error) {
+            throw new Error(`Formato de código "${padrao.nome}" com expressão inválida: ${error.message}`);
+        }
+    });
+
+    return {
+        confiancaMinima: typeof config.confiancaMinima === 'number' ? config.confiancaMinima : 0.6,
+        padroes
+    };
+}
+
+/**
+ * Função para obter (uma única vez) os formatos de código padrão
+ */
+function obterPadroesCodigo() {
+    if (!configuracaoPadrao) {
+        configuracaoPadrao = carregarPadroesCodigo();
+    }
+    return configuracaoPadrao;
+}
+
+/**
+ * Função para resumir o formato de um código: letras viram "A", dígitos viram "9"
+ * e sequências iguais são agrupadas ("70295-A" → "9-A", "AB 1234" → "A 9")
+ */
+function formatoDoCodigo(codigo) {
+    return String(codigo)
+        .replace(/[A-Za-zÀ-ÿ]/g, 'A')
+        .replace(/\d/g, '9')
+        .replace(/\s+/g, ' ')
+        .replace(/(A|9)\1+/g, '$1');
+}
+
+/**
+ * Função para inferir os formatos de código a partir das linhas com código limpo e descrição
+ *
+ * Só formatos com dígitos entram (um formato só de letras reconheceria qualquer palavra).
+ */
+function inferirPadroes(produtos, colunaCodigo, colunaDescricao) {
+    if (!colunaCodigo || !colunaDescricao) return [];
+
+    const contagem = new Map();
+    let total = 0;
+
+    for (const produto of produtos) {
+        const codigo = produto[colunaCodigo];
+        if (estaVazio(codigo) || estaVazio(produto[colunaDescricao]) || /\s/.test(String(codigo).trim())) {
+            continue;
+        }
+        const formato = formatoDoCodigo(String(codigo).trim());
+        total++;
+        if (formato.includes('9')) {
+            contagem.set(formato, (contagem.get(formato) || 0) + 1);
+        }
+    }
+
+    return [...contagem.entries()]
+        .filter(([, ocorrencias]) => ocorrencias >= MINIMO_OCORRENCIAS_INFERIDAS)
+        .map(([formato, ocorrencias]) => ({
+            formato,
+            ocorrencias,
+            proporcao: ocorrencias / total,
+            confianca: Math.min(0.95, 0.6 + 0.35 * (ocorrencias / total))
+        }))
+        .sort((a, b) => b.ocorrencias - a.ocorrencias);
+}
+
+/**
+ * Função para separar um único valor em código e descrição
+ *
+ * Testa como código as primeiras 1 a 3 palavras contra os formatos inferidos e os configurados
+ * e fica com a separação de maior confiança. Devolve null quando o valor não tem espaço.
+ */
+function separarValor(valor, { padroes = obterPadroesCodigo().padroes, inferidos = [] } = {}) {
+    const texto = String(valor).trim();
+    const palavras = texto.split(/\s+/);
+    if (palavras.length < 2) return null;
+
+    const candidatos = [];
+    for (let k = 1; k <= Math.min(MAXIMO_PALAVRAS_CODIGO, palavras.length - 1); k++) {
+        const codigo = palavras.slice(0, k).join(' ');
+        const descricao = palavras.slice(k).join(' ');
+
+        const inferido = inferidos.find(item => item.formato === formatoDoCodigo(codigo));
+        if (inferido) {
+            candidatos.push({ codigo, descricao, confianca: inferido.confianca, padrao: `inferido:${inferido.formato}` });
+        }
+        const configurado = padroes.find(padrao => padrao.expressao.test(codigo));
+        if (configurado) {
+            candidatos.push({ codigo, descricao, confianca: configurado.confianca, padrao: configurado.nome });
+        }
+    }
+
+    if (candidatos.length === 0) {
+        candidatos.push({ codigo: palavras[0], descricao: palavras.slice(1).join(' '), confianca: CONFIANCA_SEM_PADRAO, padrao: 'primeiro-espaco' });
+    }
+
+    const melhor = candidatos.reduce((max, atual) => (atual.confianca > max.confianca ? atual : max));
+    let confianca = melhor.confianca;
+
+    // Outra separação quase tão provável deixa a escolha ambígua
+    if (candidatos.some(item => item.codigo !== melhor.codigo && item.confianca >= melhor.confianca - 0.05)) {
+        confianca -= 0.15;
+    }
+    // Uma descrição sem letras ou muito curta provavelmente ainda é parte do código
+    if (!/[A-Za-zÀ-ÿ]/.test(melhor.descricao) || melhor.descricao.length < 3) {
+        confianca *= 0.5;
+    }
+
+    return { ...melhor, confianca: Math.round(confianca * 100) / 100 };
+}
+
+/**
+ * Função para identificar a coluna de código
+ *
+ * Retorna a coluna e como ela foi escolhida: "informada", "nome" (lista conhecida),
+ * "parcial" (nome contém "cod") ou "primeira" (nenhuma outra opção).
+ */
+function identificarColunaCodigo(colunas, colunaInformada) {
+    if (colunaInformada) {
+        if (!colunas.includes(colunaInformada)) {
+            throw new Error(`Coluna "${colunaInformada}" não encontrada. Colunas disponíveis: ${colunas.join(', ')}.`);
+        }
+        return { coluna: colunaInformada, metodo: 'informada' };
+    }
+
+    const porNome = POSSIVEIS_COLUNAS_CODIGO.find(col => colunas.includes(col));
+    if (porNome) {
+        return { coluna: porNome, metodo: 'nome' };
+    }
+
+    const parcial = colunas.find(col => col.toLowerCase().includes('cod'));
+    if (parcial) {
+        return { coluna: parcial, metodo: 'parcial' };
+    }
+
+    return { coluna: colunas[0] || null, metodo: 'primeira' };
+}
+
+/**
+ * Função para separar código e descrição de cada produto
+ *
+ * Separações com confiança abaixo da mínima não são aplicadas e vão para `revisao`.
+ * Uma descrição já preenchida nunca é sobrescrita; nesse caso só o código é corrigido.
+ * `configuracao` é o resultado de carregarPadroesCodigo (padrão: regras/codigos.json).
+ */
+function separarCodigoDescricao(produtos, { colunaCodigo, configuracao = obterPadroesCodigo(), confiancaMinima, inferir = true } = {}) {
+    const minima = typeof confiancaMinima === 'number' ? confiancaMinima : configuracao.confiancaMinima;
+
+    const colunas = produtos.length > 0 ? Object.keys(produtos[0]) : [];
+    const identificacao = identificarColunaCodigo(colunas, colunaCodigo);
+    const coluna = identificacao.coluna;
+    const colunaDescricao = (produtos.length > 0 && encontrarColuna(produtos[0], aliasesDoCampo(obterPerfilPadrao(), 'descricao'))) || 'Descrição';
+    const inferidos = inferir ? inferirPadroes(produtos, coluna, colunaDescricao) : [];
+
+    const produtosSeparados = [];
+    const revisao = [];
+    const porPadrao = {};
+    let codigosSemEspaco = 0;
+    let separados = 0;
+    let descricoesMantidas = 0;
+
+    produtos.forEach((produto, idx) => {
+        const produtoNovo = { ...produto };
+        const separacao = coluna && !estaVazio(produto[coluna]) ? separarValor(produto[coluna], { padroes: configuracao.padroes, inferidos }) : null;
+
+        if (!separacao) {
+            if (coluna && !estaVazio(produto[coluna])) codigosSemEspaco++;
+            produtosSeparados.push(produtoNovo);
+            return;
+        }
+
+        const descricaoExistente = estaVazio(produto[colunaDescricao]) ? '' : String(produto[colunaDescricao]);
+
+        if (separacao.confianca < minima) {
+            revisao.push({
+                'Linha': idx + 2,
+                'Valor original': String(produto[coluna]),
+                'Código sugerido': separacao.codigo,
+                'Descrição sugerida': separacao.descricao,
+                'Descrição existente': descricaoExistente,
+                'Confiança': separacao.confianca,
+                'Padrão': separacao.padrao
+            });
+            produtosSeparados.push(produtoNovo);
+            return;
+        }
+
+        produtoNovo[coluna] = separacao.codigo;
+        if (descricaoExistente) {
+            descricoesMantidas++;
+        } else {
+            produtoNovo[colunaDescricao] = separacao.descricao;
+        }
+        porPadrao[separacao.padrao] = (porPadrao[separacao.padrao] || 0) + 1;
+        separados++;
+        produtosSeparados.push(produtoNovo);
+    });
+
+    return {
+        produtos: produtosSeparados,
+        revisao,
+        colunas,
+        colunaCodigo: coluna,
+        colunaDescricao,
+        metodoColuna: identificacao.metodo,
+        padroesInferidos: inferidos,
+        confiancaMinima: minima,
+        porPadrao,
+        separados,
+        descricoesMantidas,
+        codigosSemEspaco
+    };
+}
+
+module.exports = {
+    ARQUIVO_PADROES_PADRAO,
+    POSSIVEIS_COLUNAS_CODIGO,
+    carregarPadroesCodigo,
+    obterPadroesCodigo,
+    formatoDoCodigo,
+    inferirPadroes,
+    separarValor,
+    identificarColunaCodigo,
+    separarCodigoDescricao
+};
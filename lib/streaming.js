@@ -0,0 +1,395 @@
+// lib/streaming.js - Leitura e gravação linha a linha para planilhas grandes (CSV e XLSX)
+//
+// CSV é lido do disco aos poucos. No XLSX o arquivo compactado precisa ser aberto inteiro
+// pela biblioteca xlsx, mas a planilha é lida sem estilos/formatos (modo "dense") e as linhas
+// são convertidas em blocos, sem montar o array completo de objetos.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Transform } = require('stream');
+const { detectarCodificacao, decodificarTexto, codificarTexto, nomeCodificacao } = require('./codificacao');
+const { opcoesCsv, linhaCsv, cabecalhoCsv, ordenarColunas } = require('./exportadores/formatos');
+
+const TAMANHO_BLOCO_XLSX = 1000;
+const FORMATOS_STREAMING = ['csv', 'json', 'ndjson'];
+const TAMANHO_AMOSTRA_CODIFICACAO = 64 * 1024;
+const DELIMITADORES_CSV = [';', ',', '\t', '|'];
+
+/**
+ * Função para verificar se o arquivo deve ser tratado como texto delimitado
+ */
+function ehArquivoCsv(arquivo) {
+    return ['.csv', '.txt', '.tsv'].includes(path.extname(arquivo).toLowerCase());
+}
+
+/**
+ * Função para dar nome às colunas como o sheet_to_json faz (vazias viram __EMPTY, repetidas ganham _1, _2...)
+ */
+function nomearCabecalhos(valores) {
+    const usados = {};
+    return valores.map(valor => {
+        const base = valor === undefined || valor === null || String(valor).trim() === '' ? '__EMPTY' : String(valor);
+        if (usados[base] === undefined) {
+            usados[base] = 0;
+            return base;
+        }
+        usados[base]++;
+        return `${base}_${usados[base]}`;
+    });
+}
+
+/**
+ * Função para detectar o delimitador mais provável a partir da linha de cabeçalho
+ */
+function detectarDelimitador(linha) {
+    let melhor = DELIMITADORES_CSV[0];
+    let maiorContagem = -1;
+    DELIMITADORES_CSV.forEach(delimitador => {
+        const contagem = linha.split(delimitador).length - 1;
+        if (contagem > maiorContagem) {
+            maiorContagem = contagem;
+            melhor = delimitador;
+        }
+    });
+    return melhor;
+}
+
+/**
+ * Função para separar os campos de um registro CSV (aspas duplas como no Excel)
+ */
+function separarCamposCsv(registro, delimitador) {
+    const campos = [];
+    let atual = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < registro.length; i++) {
+        const caractere = registro[i];
+
+        if (entreAspas) {
+            if (caractere === '"' && registro[i + 1] === '"') {
+                atual += '"';
+                i++;
+            } else if (caractere === '"') {
+                entreAspas = false;
+            } else {
+                atual += caractere;
+            }
+        } else if (caractere === '"') {
+            entreAspas = true;
+        } else if (caractere === delimitador) {
+            campos.push(atual);
+            atual = '';
+        } else {
+            atual += caractere;
+        }
+    }
+
+    campos.push(atual);
+    return campos;
+}
+
+/**
+ * Função para contar aspas e saber se um registro CSV continua na próxima linha
+ */
+function registroIncompleto(registro) {
+    return ((registro.match(/"/g) || []).length % 2) === 1;
+}
+
+/**
+ * Função para criar o montador de registros CSV, alimentado linha a linha do texto
+ *
+ * `adicionar(linha)` devolve o objeto { cabeçalho: valor } de cada registro completo, ou null
+ * enquanto lê o cabeçalho, linhas vazias ou um campo entre aspas que continua na linha seguinte.
+ * Como nas linhas lidas pela biblioteca xlsx, o objeto guarda em `__rowNum__` (não enumerável)
+ * a linha do arquivo, contada a partir de 0, em que o registro começa.
+ */
+function criarMontadorCsv({ delimitador } = {}) {
+    let cabecalhos = null;
+    let separador = delimitador;
+    let pendente = null;
+    let numeroLinha = -1;
+    let inicioRegistro = 0;
+
+    return {
+        adicionar(linha) {
+            numeroLinha++;
+            // Campos entre aspas podem conter quebras de linha
+            if (pendente !== null) {
+                linha = `${pendente}\n${linha}`;
+                pendente = null;
+            } else {
+                inicioRegistro = numeroLinha;
+            }
+            if (registroIncompleto(linha)) {
+                pendente = linha;
+                return null;
+            }
+
+            if (!cabecalhos) {
+                linha = linha.replace(/^\uFEFF/, '');
+                separador = separador || detectarDelimitador(linha);
+                cabecalhos = nomearCabecalhos(separarCamposCsv(linha, separador));
+                return null;
+            }
+
+            if (linha.trim() === '') return null;
+
+            const campos = separarCamposCsv(linha, separador);
+            const objeto = {};
+            cabecalhos.forEach((cabecalho, i) => {
+                objeto[cabecalho] = campos[i] !== undefined ? campos[i] : '';
+            });
+            Object.defineProperty(objeto, '__rowNum__', { value: inicioRegistro, enumerable: false });
+            return objeto;
+        }
+    };
+}
+
+/**
+ * Função para converter o texto inteiro de um CSV em objetos { cabeçalho: valor }
+ */
+function converterTextoCsv(texto, opcoes = {}) {
+    const montador = criarMontadorCsv(opcoes);
+    return texto.split(/\r?\n/).map(linha => montador.adicionar(linha)).filter(Boolean);
+}
+
+/**
+ * Função para abrir um CSV como fluxo de texto, detectando a codificação pelo começo do arquivo
+ *
+ * Com codificacao "auto", os primeiros 64 KB decidem entre UTF-8, UTF-16 e Windows-1252.
+ */
+function abrirTextoCsv(arquivo, codificacao = 'auto') {
+    let usada = codificacao;
+    if (codificacao === 'auto') {
+        const amostra = Buffer.alloc(TAMANHO_AMOSTRA_CODIFICACAO);
+        const descritor = fs.openSync(arquivo, 'r');
+        try {
+            usada = detectarCodificacao(amostra.subarray(0, fs.readSync(descritor, amostra, 0, amostra.length, 0)), { amostra: true });
+        } finally {
+            fs.closeSync(descritor);
+        }
+    }
+    usada = nomeCodificacao(usada);
+
+    // Windows-1252 tem um byte por caractere, então cada pedaço do arquivo é decodificado sozinho
+    if (usada === 'windows-1252') {
+        return fs.createReadStream(arquivo).pipe(new Transform({
+            transform(pedaco, codificacaoPedaco, pronto) {
+                pronto(null, decodificarTexto(pedaco, usada).texto);
+            }
+        }));
+    }
+    return fs.createReadStream(arquivo, { encoding: usada === 'utf8-bom' ? 'utf8' : usada });
+}
+
+/**
+ * Gerador assíncrono das linhas de um CSV como objetos { cabeçalho: valor }
+ */
+async function* lerLinhasCsv(arquivo, { delimitador, codificacao = 'auto' } = {}) {
+    const leitor = readline.createInterface({
+        input: abrirTextoCsv(arquivo, codificacao),
+        crlfDelay: Infinity
+    });
+    const montador = criarMontadorCsv({ delimitador });
+
+    for await (const linha of leitor) {
+        const objeto = montador.adicionar(linha);
+        if (objeto) yield objeto;
+    }
+}
+
+/**
+ * Gerador das linhas de uma aba XLSX, convertidas em blocos com o cabeçalho resolvido uma única vez
+ */
+function* lerLinhasXlsx(arquivo, { aba } = {}) {
+    const workbook = XLSX.readFile(arquivo, {
+        dense: true,
+        cellDates: true,
+        cellStyles: false,
+        cellNF: false
+    });
+
+    const nomeAba = aba || workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[nomeAba];
+    if (!worksheet) {
+        throw new Error(`Planilha '${nomeAba}' não encontrada no arquivo.`);
+    }
+    if (!worksheet['!ref']) return;
+
+    const intervalo = XLSX.utils.decode_range(worksheet['!ref']);
+    const [valoresCabecalho] = XLSX.utils.sheet_to_json(worksheet, {
+        header: 1,
+        raw: false,
+        defval: '',
+        range: { s: intervalo.s, e: { r: intervalo.s.r, c: intervalo.e.c } }
+    });
+    const cabecalhos = nomearCabecalhos(valoresCabecalho || []);
+
+    for (let inicio = intervalo.s.r + 1; inicio <= intervalo.e.r; inicio += TAMANHO_BLOCO_XLSX) {
+        const fim = Math.min(inicio + TAMANHO_BLOCO_XLSX - 1, intervalo.e.r);
+        const bloco = XLSX.utils.sheet_to_json(worksheet, {
+            header: cabecalhos,
+            raw: false,
+            defval: '',
+            blankrows: false,
+            range: { s: { r: inicio, c: intervalo.s.c }, e: { r: fim, c: intervalo.e.c } }
+        });
+        yield* bloco;
+    }
+}
+
+/**
+ * Função para obter o leitor de linhas adequado à extensão do arquivo
+ */
+function lerLinhas(arquivo, opcoes = {}) {
+    return ehArquivoCsv(arquivo) ? lerLinhasCsv(arquivo, opcoes) : lerLinhasXlsx(arquivo, opcoes);
+}
+
+/**
+ * Função para criar um gravador de texto incremental, que respeita o limite do buffer do arquivo
+ */
+function criarGravador(arquivo, codificacao) {
+    const saida = fs.createWriteStream(arquivo);
+    let inicio = true;
+
+    const gravar = texto => new Promise((resolve, reject) => {
+        const onErro = error => reject(error);
+        saida.once('error', onErro);
+        // O BOM (utf8-bom) só vai no começo do arquivo
+        const dados = codificarTexto(texto, codificacao, { inicio });
+        inicio = false;
+        if (saida.write(dados)) {
+            saida.removeListener('error', onErro);
+            resolve();
+        } else {
+            saida.once('drain', () => {
+                saida.removeListener('error', onErro);
+                resolve();
+            });
+        }
+    });
+
+    const fechar = () => new Promise((resolve, reject) => {
+        saida.once('error', reject);
+        saida.end(() => resolve());
+    });
+
+    return { gravar, fechar };
+}
+
+/**
+ * Função para criar um escritor CSV incremental
+ *
+ * As colunas vêm da lista informada ou da primeira linha escrita; as demais opções são as de
+ * opcoesCsv (delimitador, aspas, codificacao, decimal, bom).
+ */
+function criarEscritorCsv(arquivo, { colunas, ...opcoes } = {}) {
+    const csv = opcoesCsv(opcoes);
+    const gravador = criarGravador(arquivo, csv.codificacao);
+    let cabecalhos = colunas || null;
+    let linhasEscritas = 0;
+
+    return {
+        async escrever(linha) {
+            let texto = '';
+            if (linhasEscritas === 0) {
+                cabecalhos = cabecalhos || Object.keys(linha);
+                texto += cabecalhoCsv(cabecalhos, csv) + '\n';
+            }
+            texto += linhaCsv(cabecalhos.map(c => linha[c]), csv) + '\n';
+            linhasEscritas++;
+            await gravador.gravar(texto);
+        },
+
+        async fechar() {
+            await gravador.fechar();
+            return linhasEscritas;
+        }
+    };
+}
+
+/**
+ * Função para criar um escritor JSON incremental: uma lista de objetos ou, com `porLinha`, NDJSON
+ */
+function criarEscritorJson(arquivo, { colunas, porLinha = false } = {}) {
+    const gravador = criarGravador(arquivo, 'utf8');
+    let linhasEscritas = 0;
+
+    return {
+        async escrever(linha) {
+            const [objeto] = ordenarColunas([linha], colunas);
+            const texto = porLinha
+                ? JSON.stringify(objeto) + '\n'
+                : `${linhasEscritas === 0 ? '[\n' : ',\n'}  ${JSON.stringify(objeto)}`;
+            linhasEscritas++;
+            await gravador.gravar(texto);
+        },
+
+        async fechar() {
+            if (!porLinha) {
+                await gravador.gravar(linhasEscritas === 0 ? '[]\n' : '\n]\n');
+            }
+            await gravador.fechar();
+            return linhasEscritas;
+        }
+    };
+}
+
+/**
+ * Função para criar o escritor incremental de um formato (csv, json ou ndjson)
+ *
+ * XLSX e ODS precisam da planilha inteira na memória e não podem ser gravados aos poucos.
+ */
+function criarEscritor(arquivo, formato = 'csv', opcoes = {}) {
+    if (formato === 'csv') {
+        return criarEscritorCsv(arquivo, opcoes);
+    }
+    if (formato === 'json' || formato === 'ndjson') {
+        return criarEscritorJson(arquivo, { colunas: opcoes.colunas, porLinha: formato === 'ndjson' });
+    }
+    throw new Error(`O formato "${formato}" não pode ser gravado no modo streaming (use ${FORMATOS_STREAMING.join(', ')}).`);
+}
+
+/**
+ * Função para criar um medidor de desempenho (linhas por segundo e pico de memória)
+ */
+function criarMedidor() {
+    const inicio = process.hrtime.bigint();
+    let linhas = 0;
+    let picoMemoria = process.memoryUsage().rss;
+
+    return {
+        registrarLinha() {
+            linhas++;
+            // Amostra a memória a cada 1000 linhas para não pesar na medição
+            if (linhas % 1000 === 0) {
+                picoMemoria = Math.max(picoMemoria, process.memoryUsage().rss);
+            }
+        },
+
+        resultado() {
+            picoMemoria = Math.max(picoMemoria, process.memoryUsage().rss);
+            const segundos = Number(process.hrtime.bigint() - inicio) / 1e9;
+            return {
+                linhas,
+                segundos: Number(segundos.toFixed(3)),
+                linhasPorSegundo: segundos > 0 ? Math.round(linhas / segundos) : linhas,
+                picoMemoriaMB: Math.round(picoMemoria / 1024 / 1024)
+            };
+        }
+    };
+}
+
+module.exports = {
+    ehArquivoCsv,
+    converterTextoCsv,
+    lerLinhasCsv,
+    lerLinhasXlsx,
+    lerLinhas,
+    FORMATOS_STREAMING,
+    criarEscritorCsv,
+    criarEscritorJson,
+    criarEscritor,
+    criarMedidor
+};
@@ -0,0 +1,274 @@
+// lib/tipos.js - Inferência do tipo de cada coluna e leitura de números, datas e durações
+//
+// Números podem vir no formato brasileiro ("1.234,56", localidade "br") ou americano
+// ("1,234.56", localidade "us" - é assim que o xlsx formata as células numéricas). A
+// localidade de cada coluna é inferida pelos valores sem ambiguidade; um valor como "1.234"
+// só é lido pela localidade da coluna e, se a coluna não tiver nenhum indício, é reportado
+// como ambíguo. Símbolos de moeda e "%" são aceitos; datas saem no formato AAAA-MM-DD e
+// durações de garantia ("90 dias", "1 ano") em meses.
+const { estaVazio } = require('./colunas');
+
+const LOCALIDADES = ['br', 'us'];
+// Localidade usada quando nem o valor nem a coluna indicam o separador decimal
+const LOCALIDADE_PADRAO = 'br';
+// Fração mínima de valores reconhecidos para a coluna receber um tipo
+const MINIMO_TIPO = 0.9;
+// Quantos exemplos de valores ambíguos ou inválidos guardar por coluna
+const MAXIMO_EXEMPLOS = 5;
+
+const MOEDAS = /^(?:R\$|US\$|\$|€|BRL|USD|EUR)\s*|\s*(?:R\$|US\$|\$|€|BRL|USD|EUR)$/i;
+
+// Duração em meses de cada unidade aceita para garantia
+const UNIDADES_DURACAO = [
+    { expressao: /^(?:d|dia|dias)$/, meses: 1 / 30 },
+    { expressao: /^(?:sem|semana|semanas)$/, meses: 7 / 30 },
+    { expressao: /^(?:m|mes|meses)$/, meses: 1 },
+    { expressao: /^(?:a|ano|anos)$/, meses: 12 }
+];
+
+/**
+ * Função para limpar um valor numérico em texto: moeda, espaços, sinal e percentual
+ */
+function limparNumero(valor) {
+    let texto = String(valor).trim().replace(/\u00a0/g, ' ');
+    let negativo = false;
+
+    // Contabilidade: (12,50) é negativo
+    if (/^\(.*\)$/.test(texto)) {
+        negativo = true;
+        texto = texto.slice(1, -1).trim();
+    }
+    if (texto.startsWith('-')) {
+        negativo = !negativo;
+        texto = texto.slice(1).trim();
+    }
+
+    texto = texto.replace(MOEDAS, '').trim();
+    const percentual = texto.endsWith('%');
+    if (percentual) texto = texto.slice(0, -1).trim();
+
+    // Sinal depois da moeda: "R$ -12,90"
+    if (texto.startsWith('-')) {
+        negativo = !negativo;
+        texto = texto.slice(1).trim();
+    }
+
+    return { texto: texto.replace(/\s/g, ''), negativo, percentual };
+}
+
+/**
+ * Função para descobrir o que um único valor indica sobre a localidade
+ *
+ * Retorna "br", "us" ou null (nenhum separador, ou ambíguo como "1.234" e "1,234").
+ */
+function indicioLocalidade(texto) {
+    const ultimoPonto = texto.lastIndexOf('.');
+    const ultimaVirgula = texto.lastIndexOf(',');
+
+    if (ultimoPonto >= 0 && ultimaVirgula >= 0) {
+        return ultimaVirgula > ultimoPonto ? 'br' : 'us';
+    }
+
+    const separador = ultimoPonto >= 0 ? '.' : (ultimaVirgula >= 0 ? ',' : null);
+    if (!separador) return null;
+
+    const partes = texto.split(separador);
+    if (partes.length > 2) {
+        // Separador repetido só pode ser de milhar
+        return separador === '.' ? 'br' : 'us';
+    }
+    if (partes[1].length === 3 && partes[0].length <= 3 && partes[0] !== '0') {
+        return null;
+    }
+    return separador === ',' ? 'br' : 'us';
+}
+
+/**
+ * Função para ler um número em texto conforme a localidade
+ *
+ * Vale o formato do próprio valor; a `localidade` (da coluna) só decide os ambíguos e,
+ * sem ela, esses usam a localidade padrão e voltam marcados como ambíguos.
+ * Retorna { valor, ambiguo, percentual } ou null quando o texto não é um número.
+ */
+function interpretarNumero(valor, localidade = null) {
+    if (typeof valor === 'number') {
+        return isNaN(valor) ? null : { valor, ambiguo: false, percentual: false };
+    }
+    if (estaVazio(valor)) return null;
+
+    const { texto, negativo, percentual } = limparNumero(valor);
+    if (!/^\d[\d.,]*$/.test(texto) && !/^[.,]\d+$/.test(texto)) return null;
+
+    const indicio = indicioLocalidade(texto);
+    const ambiguo = indicio === null && /[.,]/.test(texto);
+    const usada = indicio || localidade || LOCALIDADE_PADRAO;
+
+    const [milhar, decimal] = usada === 'br' ? ['.', ','] : [',', '.'];
+    const partes = texto.split(decimal);
+    if (partes.length > 2) return null;
+
+    // Separadores de milhar precisam estar em grupos de 3 dígitos
+    const inteiro = partes[0];
+    if (inteiro.includes(milhar) && !new RegExp(`^\\d{1,3}(\\${milhar}\\d{3})+$`).test(inteiro)) {
+        return null;
+    }
+
+    const numero = Number(`${inteiro.split(milhar).join('') || '0'}.${partes[1] || '0'}`);
+    if (isNaN(numero)) return null;
+
+    return { valor: negativo ? -numero : numero, ambiguo: ambiguo && !localidade, percentual };
+}
+
+/**
+ * Função para ler uma data (DD/MM/AAAA, DD-MM-AAAA, DD/MM/AA, AAAA-MM-DD ou MM/DD/AAAA na
+ * localidade "us"), devolvendo o texto AAAA-MM-DD ou null
+ */
+function interpretarData(valor, localidade = LOCALIDADE_PADRAO) {
+    if (valor instanceof Date) {
+        return isNaN(valor) ? null : valor.toISOString().slice(0, 10);
+    }
+    if (estaVazio(valor)) return null;
+
+    const texto = String(valor).trim();
+    let dia;
+    let mes;
+    let ano;
+
+    let partes = texto.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/);
+    if (partes) {
+        [, ano, mes, dia] = partes.map(Number);
+    } else {
+        partes = texto.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+        if (!partes) return null;
+        [, dia, mes, ano] = partes.map(Number);
+        if (localidade === 'us') [dia, mes] = [mes, dia];
+        if (ano < 100) ano += ano < 70 ? 2000 : 1900;
+    }
+
+    const data = new Date(Date.UTC(ano, mes - 1, dia));
+    if (data.getUTCFullYear() !== ano || data.getUTCMonth() !== mes - 1 || data.getUTCDate() !== dia) {
+        return null;
+    }
+    return data.toISOString().slice(0, 10);
+}
+
+/**
+ * Função para ler uma duração de garantia em meses ("90 dias" → 3, "1 ano" → 12, "6" → 6)
+ *
+ * Números sem unidade são tomados como meses. Retorna { meses, arredondado } ou null.
+ */
+function interpretarDuracao(valor) {
+    if (typeof valor === 'number') {
+        return isNaN(valor) ? null : { meses: valor, arredondado: false };
+    }
+    if (estaVazio(valor)) return null;
+
+    const texto = String(valor)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+
+    if (/^(?:sem garantia|nao|nenhuma|-)$/.test(texto)) {
+        return { meses: 0, arredondado: false };
+    }
+
+    const partes = texto.match(/^(\d+(?:[.,]\d+)?)\s*([a-z]*)\.?$/);
+    if (!partes) return null;
+
+    const quantidade = Number(partes[1].replace(',', '.'));
+    const unidade = partes[2] ? UNIDADES_DURACAO.find(item => item.expressao.test(partes[2])) : { meses: 1 };
+    if (!unidade) return null;
+
+    const meses = quantidade * unidade.meses;
+    const inteiro = Math.round(meses);
+    return { meses: inteiro, arredondado: Math.abs(meses - inteiro) > 1e-9 };
+}
+
+/**
+ * Função para inferir o tipo e a localidade de cada coluna da planilha de origem
+ *
+ * Retorna, por coluna: { tipo: numero|data|duracao|texto|vazio, localidade, preenchidos,
+ * ambiguos, invalidos, exemplosAmbiguos, exemplosInvalidos }. Os valores inválidos são os
+ * que não seguem o tipo inferido (em colunas de número, data ou duração).
+ */
+function perfilarColunas(produtos) {
+    const estatisticas = new Map();
+
+    for (const produto of produtos) {
+        if (!produto || typeof produto !== 'object') continue;
+
+        for (const [coluna, valor] of Object.entries(produto)) {
+            if (!estatisticas.has(coluna)) {
+                estatisticas.set(coluna, { preenchidos: 0, numeros: 0, datas: 0, duracoes: 0, br: 0, us: 0, valores: [] });
+            }
+            if (estaVazio(valor)) continue;
+
+            const item = estatisticas.get(coluna);
+            item.preenchidos++;
+            item.valores.push(valor);
+
+            const numero = interpretarNumero(valor);
+            if (numero) {
+                item.numeros++;
+                const indicio = typeof valor === 'number' ? null : indicioLocalidade(limparNumero(valor).texto);
+                if (indicio) item[indicio]++;
+            } else if (interpretarData(valor)) {
+                item.datas++;
+            } else if (interpretarDuracao(valor)) {
+                item.duracoes++;
+            }
+        }
+    }
+
+    const resultado = {};
+    estatisticas.forEach((item, coluna) => {
+        const { preenchidos } = item;
+        let tipo = 'texto';
+        if (preenchidos === 0) tipo = 'vazio';
+        else if (item.numeros / preenchidos >= MINIMO_TIPO) tipo = 'numero';
+        else if (item.datas / preenchidos >= MINIMO_TIPO) tipo = 'data';
+        else if ((item.duracoes + item.numeros) / preenchidos >= MINIMO_TIPO && item.duracoes > 0) tipo = 'duracao';
+
+        const localidade = item.br === 0 && item.us === 0 ? null : (item.br >= item.us ? 'br' : 'us');
+        const perfil = {
+            tipo,
+            localidade,
+            preenchidos,
+            ambiguos: 0,
+            invalidos: 0,
+            exemplosAmbiguos: [],
+            exemplosInvalidos: []
+        };
+
+        if (tipo === 'numero' || tipo === 'data' || tipo === 'duracao') {
+            for (const valor of item.valores) {
+                const lido = tipo === 'numero' ? interpretarNumero(valor, localidade)
+                    : tipo === 'data' ? interpretarData(valor, localidade || LOCALIDADE_PADRAO)
+                        : interpretarDuracao(valor);
+
+                if (!lido) {
+                    perfil.invalidos++;
+                    if (perfil.exemplosInvalidos.length < MAXIMO_EXEMPLOS) perfil.exemplosInvalidos.push(valor);
+                } else if ((tipo === 'numero' && !localidade && interpretarNumero(valor).ambiguo) || (tipo === 'duracao' && lido.arredondado)) {
+                    perfil.ambiguos++;
+                    if (perfil.exemplosAmbiguos.length < MAXIMO_EXEMPLOS) perfil.exemplosAmbiguos.push(valor);
+                }
+            }
+        }
+
+        resultado[coluna] = perfil;
+    });
+
+    return resultado;
+}
+
+module.exports = {
+    LOCALIDADES,
+    LOCALIDADE_PADRAO,
+    indicioLocalidade,
+    interpretarNumero,
+    interpretarData,
+    interpretarDuracao,
+    perfilarColunas
+};
@@ -0,0 +1,193 @@
+// lib/validacao.js - Validação de campos fiscais e de produto antes da exportação
+//
+// As regras ficam em regras/validacao.json. Cada regra tem um "nivel" ("erro" ou "aviso")
+// e pode ser desligada com "ativa": false.
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+
+const ARQUIVO_REGRAS_PADRAO = path.join(__dirname, '..', 'regras', 'validacao.json');
+const NIVEIS = ['erro', 'aviso'];
+
+/**
+ * Função para verificar se o valor está vazio
+ */
+function vazio(valor) {
+    return valor === undefined || valor === null || String(valor).trim() === '';
+}
+
+/**
+ * Função para obter apenas os dígitos de um valor
+ */
+function somenteDigitos(valor) {
+    return String(valor).replace(/\D/g, '');
+}
+
+/**
+ * Função para validar o dígito verificador de um GTIN (8, 12, 13 ou 14 dígitos)
+ */
+function gtinValido(gtin) {
+    if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(gtin)) return false;
+
+    const digitos = gtin.split('').map(Number);
+    const verificador = digitos.pop();
+
+    // Da direita para a esquerda, os pesos alternam 3 e 1
+    const soma = digitos.reverse().reduce((total, digito, i) => total + digito * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (soma % 10)) % 10 === verificador;
+}
+
+/**
+ * Validadores disponíveis: cada um recebe o produto e a configuração da regra e
+ * devolve a lista de problemas encontrados ({ coluna, valor, mensagem })
+ */
+const VALIDADORES = {
+    ncm(produto, regra) {
+        const valor = produto[regra.coluna];
+        if (vazio(valor)) {
+            return regra.obrigatorio ? [{ coluna: regra.coluna, valor, mensagem: 'NCM não informado' }] : [];
+        }
+        const texto = String(valor).trim();
+        if (!/^\d{8}$/.test(texto.replace(/\./g, ''))) {
+            return [{ coluna: regra.coluna, valor, mensagem: 'NCM deve ter 8 dígitos' }];
+        }
+        return [];
+    },
+
+    cest(produto, regra) {
+        const valor = produto[regra.coluna];
+        if (vazio(valor)) {
+            return regra.obrigatorio ? [{ coluna: regra.coluna, valor, mensagem: 'CEST não informado' }] : [];
+        }
+        // Aceita "0100100" ou "01.001.00"
+        if (!/^(\d{7}|\d{2}\.\d{3}\.\d{2})$/.test(String(valor).trim())) {
+            return [{ coluna: regra.coluna, valor, mensagem: 'CEST deve ter 7 dígitos (formato 00.000.00)' }];
+        }
+        return [];
+    },
+
+    gtin(produto, regra) {
+        return (regra.colunas || []).reduce((problemas, coluna) => {
+            const valor = produto[coluna];
+            if (vazio(valor) || String(valor).trim().toUpperCase() === 'SEM GTIN') return problemas;
+
+            const texto = String(valor).trim();
+            if (!/^\d+$/.test(texto)) {
+                problemas.push({ coluna, valor, mensagem: 'GTIN/EAN deve conter apenas dígitos' });
+            } else if (!gtinValido(texto)) {
+                problemas.push({ coluna, valor, mensagem: 'GTIN/EAN com tamanho ou dígito verificador inválido' });
+            }
+            return problemas;
+        }, []);
+    },
+
+    unidade(produto, regra) {
+        const valor = produto[regra.coluna];
+        if (vazio(valor)) {
+            return [{ coluna: regra.coluna, valor, mensagem: 'Unidade não informada' }];
+        }
+        const permitidas = (regra.permitidas || []).map(u => String(u).toUpperCase());
+        if (permitidas.length > 0 && !permitidas.includes(String(valor).trim().toUpperCase())) {
+            return [{ coluna: regra.coluna, valor, mensagem: `Unidade fora da lista permitida (${permitidas.join(', ')})` }];
+        }
+        return [];
+    },
+
+    custoAcimaDoPreco(produto, regra) {
+        const custo = Number(produto[regra.colunaCusto]);
+        const preco = Number(produto[regra.colunaPreco]);
+        if (vazio(produto[regra.colunaCusto]) || vazio(produto[regra.colunaPreco]) || isNaN(custo) || isNaN(preco)) {
+            return [];
+        }
+        if (preco > 0 && custo > preco) {
+            return [{ coluna: regra.colunaCusto, valor: custo, mensagem: `Preço de custo (${custo}) acima do preço de venda (${preco})` }];
+        }
+        return [];
+    },
+
+    naoNegativo(produto, regra) {
+        return (regra.colunas || []).reduce((problemas, coluna) => {
+            const valor = produto[coluna];
+            if (!vazio(valor) && Number(valor) < 0) {
+                problemas.push({ coluna, valor, mensagem: `${coluna} não pode ser negativo` });
+            }
+            return problemas;
+        }, []);
+    }
+};
+
+/**
+ * Função para carregar e conferir o arquivo de regras de validação
+ */
+function carregarRegrasValidacao(arquivo = ARQUIVO_REGRAS_PADRAO) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    } catch (error) {
+        throw new Error(`Não foi possível ler as regras de validação ${arquivo}: ${error.message}`);
+    }
+
+    Object.entries(config.regras || {}).forEach(([nome, regra]) => {
+        if (!VALIDADORES[nome]) {
+            throw new Error(`Regra de validação desconhecida: "${nome}" (use ${Object.keys(VALIDADORES).join(', ')}).`);
+        }
+        if (!NIVEIS.includes(regra.nivel)) {
+            throw new Error(`Regra de validação "${nome}" com nível inválido: "${regra.nivel}" (use erro ou aviso).`);
+        }
+    });
+
+    return config;
+}
+
+/**
+ * Função para validar os produtos convertidos, devolvendo as ocorrências e os totais por nível
+ */
+function validarProdutos(produtos, config) {
+    const regras = Object.entries((config && config.regras) || {}).filter(([, regra]) => regra.ativa !== false);
+    const ocorrencias = [];
+    const porRegra = {};
+    let erros = 0;
+    let avisos = 0;
+
+    produtos.forEach((produto, idx) => {
+        for (const [nome, regra] of regras) {
+            for (const problema of VALIDADORES[nome](produto, regra)) {
+                ocorrencias.push({
+                    'Linha': idx + 1,
+                    'Código': produto['Código'],
+                    'Descrição': produto['Descrição'],
+                    'Regra': nome,
+                    'Nível': regra.nivel,
+                    'Coluna': problema.coluna,
+                    'Valor': vazio(problema.valor) ? '' : problema.valor,
+                    'Mensagem': problema.mensagem
+                });
+                porRegra[nome] = (porRegra[nome] || 0) + 1;
+                if (regra.nivel === 'erro') erros++; else avisos++;
+            }
+        }
+    });
+
+    return { ocorrencias, erros, avisos, porRegra };
+}
+
+/**
+ * Função para gravar as ocorrências em um workbook com a aba "Validação"
+ */
+function salvarValidacao(resultado, arquivo) {
+    const worksheet = XLSX.utils.json_to_sheet(resultado.ocorrencias, {
+        header: ['Linha', 'Código', 'Descrição', 'Regra', 'Nível', 'Coluna', 'Valor', 'Mensagem']
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Validação');
+    XLSX.writeFile(workbook, arquivo);
+}
+
+module.exports = {
+    ARQUIVO_REGRAS_PADRAO,
+    VALIDADORES,
+    gtinValido,
+    carregarRegrasValidacao,
+    validarProdutos,
+    salvarValidacao
+};
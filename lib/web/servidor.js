@@ -0,0 +1,428 @@
+// lib/web/servidor.js - Interface web local (conversor-excel servir): envio, revisão do mapeamento e download
+//
+// Servidor HTTP sem dependências externas, ligado só ao localhost. Cada planilha enviada abre uma
+// sessão com uma pasta temporária própria, onde ficam a planilha, os arquivos gerados e o
+// relatório. As sessões ficam na memória e as pastas são removidas quando o servidor é encerrado.
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { diagnosticarColunas } = require('../conversor');
+const { lerProdutos, converterProdutos, salvarDestinos } = require('../conversao');
+const { EXPORTADORES, DESTINO_PADRAO, obterExportadores } = require('../exportadores');
+const { EXTENSOES_ENTRADA } = require('../monitoramento');
+const { candidatasDoCampo, MINIMO_REJEITADA } = require('../cabecalhos');
+const { estaVazio } = require('../colunas');
+const { obterPerfilPadrao } = require('../perfil');
+const mapeamentos = require('../mapeamentos');
+const relatorioConversao = require('../relatorio');
+
+const PAGINA = path.join(__dirname, 'pagina.html');
+const TAMANHO_MAXIMO = 50 * 1024 * 1024;
+// Sessões mantidas ao mesmo tempo; a mais antiga é descartada quando chega uma planilha nova
+const MAXIMO_SESSOES = 10;
+// Linhas convertidas mostradas na prévia e itens de cada lista de avisos
+const LINHAS_PREVIA = 20;
+const MAXIMO_AVISOS = 50;
+const MAXIMO_CANDIDATAS = 5;
+
+/**
+ * Função para criar um erro com o status HTTP da resposta
+ */
+function erroHttp(status, mensagem) {
+    const erro = new Error(mensagem);
+    erro.status = status;
+    return erro;
+}
+
+/**
+ * Função para responder com JSON
+ */
+function responderJson(res, status, dados) {
+    const corpo = JSON.stringify(dados);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(corpo) });
+    res.end(corpo);
+}
+
+/**
+ * Função para ler o corpo da requisição, recusando envios maiores que o limite
+ */
+function lerCorpo(req, limite = TAMANHO_MAXIMO) {
+    return new Promise((resolve, reject) => {
+        const partes = [];
+        let tamanho = 0;
+        let recusado = false;
+
+        req.on('data', parte => {
+            if (recusado) return;
+            tamanho += parte.length;
+            if (tamanho > limite) {
+                recusado = true;
+                reject(erroHttp(413, `Arquivo maior que o limite de ${Math.round(limite / 1024 / 1024)} MB.`));
+                return;
+            }
+            partes.push(parte);
+        });
+        req.on('end', () => {
+            if (!recusado) resolve(Buffer.concat(partes));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Função para ler o corpo JSON de uma requisição
+ */
+async function lerJson(req) {
+    const corpo = await lerCorpo(req, 1024 * 1024);
+    if (corpo.length === 0) return {};
+    try {
+        return JSON.parse(corpo.toString('utf8'));
+    } catch (error) {
+        throw erroHttp(400, `Corpo da requisição não é um JSON válido: ${error.message}`);
+    }
+}
+
+/**
+ * Função para decodificar um trecho de URL vindo do navegador; sequência inválida é erro do pedido
+ */
+function decodificar(texto, descricao) {
+    try {
+        return decodeURIComponent(texto);
+    } catch (error) {
+        throw erroHttp(400, `${descricao} com codificação inválida: ${texto}`);
+    }
+}
+
+/**
+ * Função para limpar o nome do arquivo enviado (sem pastas nem caracteres estranhos)
+ */
+function nomeSeguro(nome) {
+    return path.basename(String(nome || '')).replace(/[^\w.\- ]/g, '_').replace(/^\.+/, '') || 'planilha.xlsx';
+}
+
+/**
+ * Função para montar, campo a campo, a coluna detectada e as candidatas de cada campo do perfil
+ *
+ * Como no assistente do --interativo: cabeçalhos de baixa confiança vêm pré-selecionados, mas
+ * marcados para confirmação.
+ */
+function montarCampos(diagnostico, perfil, cabecalhos) {
+    return Object.keys(perfil.campos).map(campo => {
+        const resolucao = diagnostico.resolucoes[campo] || {};
+        const coluna = diagnostico.mapeamento[campo] || (resolucao.situacao === 'sugerido' ? resolucao.sugestao : null);
+        const candidatas = campo === 'descricao'
+            ? diagnostico.candidatasDescricao.map(item => ({ coluna: item.coluna, detalhe: `${item.percentual}% preenchida` }))
+            : candidatasDoCampo(cabecalhos, perfil, campo)
+                .filter(item => item.confianca >= MINIMO_REJEITADA)
+                .map(item => ({ coluna: item.cabecalho, detalhe: `${Math.round(item.confianca * 100)}%` }));
+
+        return {
+            campo,
+            coluna,
+            confianca: resolucao.confianca !== undefined ? Math.round(resolucao.confianca * 100) : null,
+            metodo: resolucao.metodo || null,
+            situacao: resolucao.situacao || null,
+            candidatas: candidatas.filter(item => item.coluna !== coluna).slice(0, MAXIMO_CANDIDATAS)
+        };
+    });
+}
+
+/**
+ * Função para conferir o mapeamento escolhido na página ({ campo: coluna ou null })
+ */
+function validarMapeamento(mapeamento, sessao) {
+    if (!mapeamento || typeof mapeamento !== 'object' || Array.isArray(mapeamento)) {
+        throw erroHttp(400, 'Informe o mapeamento como um objeto { campo: coluna }.');
+    }
+
+    const validado = {};
+    const usadas = new Map();
+    Object.keys(sessao.perfil.campos).forEach(campo => {
+        const coluna = estaVazio(mapeamento[campo]) ? null : String(mapeamento[campo]);
+        if (coluna && !sessao.cabecalhos.includes(coluna)) {
+            throw erroHttp(400, `A coluna "${coluna}" escolhida para "${campo}" não existe na planilha.`);
+        }
+        if (coluna && usadas.has(coluna)) {
+            throw erroHttp(400, `A coluna "${coluna}" foi escolhida para "${usadas.get(coluna)}" e para "${campo}".`);
+        }
+        if (coluna) usadas.set(coluna, campo);
+        validado[campo] = coluna;
+    });
+    return validado;
+}
+
+/**
+ * Função para converter a planilha da sessão com um mapeamento (reaproveitando a última conversão)
+ */
+function converterSessao(sessao, mapeamento) {
+    const chave = JSON.stringify(mapeamento);
+    if (sessao.conversao && sessao.conversao.chave === chave) {
+        return sessao.conversao;
+    }
+
+    const perfil = mapeamentos.aplicarMapeamento(sessao.perfil, mapeamento);
+    const diagnostico = diagnosticarColunas(sessao.leitura.produtos, perfil);
+    const resultado = converterProdutos(sessao.leitura.produtos, {
+        perfil,
+        origens: sessao.leitura.origens,
+        arquivoEntrada: sessao.nome,
+        diagnostico
+    });
+    resultado.relatorio.fontes = sessao.leitura.fontes;
+
+    sessao.conversao = { chave, ...resultado };
+    return sessao.conversao;
+}
+
+/**
+ * Função para resumir a conversão na prévia: primeiras linhas, descrições vazias e preenchidas de outra forma
+ */
+function montarPrevia(conversao) {
+    const { produtos, linhas, erros, relatorio } = conversao;
+    const item = idx => ({ linha: linhas[idx].indice, codigo: produtos[idx]['Código'] || `Item #${idx + 1}`, descricao: produtos[idx]['Descrição'] });
+
+    const vazias = [];
+    const padrao = [];
+    const outrasColunas = {};
+    produtos.forEach((produto, idx) => {
+        const { metodo, coluna } = linhas[idx].rastreio.descricao || {};
+        if (estaVazio(produto['Descrição'])) {
+            vazias.push(item(idx));
+        } else if (metodo === 'padrao') {
+            padrao.push(item(idx));
+        } else if ([2, 3, 4].includes(metodo)) {
+            const origem = metodo === 3 ? 'código' : coluna;
+            outrasColunas[origem] = outrasColunas[origem] || { origem, metodo, total: 0, exemplos: [] };
+            outrasColunas[origem].total++;
+            if (outrasColunas[origem].exemplos.length < 3) outrasColunas[origem].exemplos.push(item(idx));
+        }
+    });
+
+    return {
+        sucessos: relatorio.sucessos,
+        falhas: relatorio.falhas,
+        erros: erros.slice(0, MAXIMO_AVISOS),
+        colunas: produtos.length > 0 ? Object.keys(produtos[0]) : [],
+        linhas: produtos.slice(0, LINHAS_PREVIA),
+        descricoesVazias: { total: vazias.length, itens: vazias.slice(0, MAXIMO_AVISOS) },
+        descricoesPadrao: { total: padrao.length, itens: padrao.slice(0, MAXIMO_AVISOS) },
+        descricoesDeOutrasColunas: Object.values(outrasColunas)
+    };
+}
+
+/**
+ * Função para abrir uma sessão com a planilha enviada: grava, lê e diagnostica as colunas
+ */
+function criarSessao(conteudo, nome, perfil, pastaMapeamentos) {
+    const extensao = path.extname(nome).toLowerCase();
+    if (!EXTENSOES_ENTRADA.includes(extensao)) {
+        throw erroHttp(400, `Formato "${extensao || nome}" não suportado. Envie ${EXTENSOES_ENTRADA.join(', ')}.`);
+    }
+    if (conteudo.length === 0) {
+        throw erroHttp(400, 'O arquivo enviado está vazio.');
+    }
+
+    const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'conversor-excel-'));
+    const arquivo = path.join(pasta, nome);
+    fs.writeFileSync(arquivo, conteudo);
+
+    try {
+        const leitura = lerProdutos([arquivo], { perfil, codificacao: 'auto' });
+        if (leitura.produtos.length === 0) {
+            throw erroHttp(422, 'Nenhum produto encontrado na planilha enviada.');
+        }
+        const diagnostico = diagnosticarColunas(leitura.produtos, perfil);
+        const cabecalhos = diagnostico.colunas.map(item => item.coluna);
+
+        // Mapeamento confirmado antes (aqui ou no --interativo) para o mesmo conjunto de cabeçalhos
+        const salvo = mapeamentos.carregarMapeamentoSalvo(cabecalhos, perfil, pastaMapeamentos);
+        const diagnosticoInicial = salvo
+            ? diagnosticarColunas(leitura.produtos, mapeamentos.aplicarMapeamento(perfil, salvo.mapeamento))
+            : diagnostico;
+
+        return {
+            id: crypto.randomBytes(12).toString('hex'),
+            nome,
+            pasta,
+            perfil,
+            leitura,
+            cabecalhos,
+            diagnostico: diagnosticoInicial,
+            mapeamentoSalvo: salvo ? salvo.arquivo : null,
+            conversao: null,
+            arquivos: new Map()
+        };
+    } catch (error) {
+        fs.rmSync(pasta, { recursive: true, force: true });
+        throw error.status ? error : erroHttp(422, `Não foi possível ler a planilha: ${error.message}`);
+    }
+}
+
+/**
+ * Função para criar o servidor da interface web
+ *
+ * Retorna { servidor, sessoes, encerrar }; `encerrar()` fecha as conexões e apaga as pastas
+ * temporárias das sessões. `pastaMapeamentos` é onde os mapeamentos confirmados são lidos e
+ * gravados. `aoRegistrar(mensagem)` recebe uma linha por planilha enviada ou convertida.
+ */
+function criarServidor({ perfil = obterPerfilPadrao(), pastaMapeamentos = mapeamentos.PASTA_MAPEAMENTOS, aoRegistrar = () => {} } = {}) {
+    const sessoes = new Map();
+
+    const removerSessao = (id) => {
+        const sessao = sessoes.get(id);
+        if (!sessao) return;
+        sessoes.delete(id);
+        fs.rmSync(sessao.pasta, { recursive: true, force: true });
+    };
+
+    const obterSessao = (id) => {
+        const sessao = sessoes.get(id);
+        if (!sessao) {
+            throw erroHttp(404, 'Planilha não encontrada. Envie o arquivo novamente.');
+        }
+        return sessao;
+    };
+
+    const receberPlanilha = async (req, res) => {
+        const nome = nomeSeguro(decodificar(req.headers['x-nome-arquivo'] || '', 'Nome do arquivo'));
+        const sessao = criarSessao(await lerCorpo(req), nome, perfil, pastaMapeamentos);
+
+        if (sessoes.size >= MAXIMO_SESSOES) {
+            removerSessao(sessoes.keys().next().value);
+        }
+        sessoes.set(sessao.id, sessao);
+        aoRegistrar(`📥 Planilha recebida: ${nome} (${sessao.leitura.produtos.length} produtos)`);
+
+        const { diagnostico } = sessao;
+        responderJson(res, 201, {
+            id: sessao.id,
+            nome,
+            perfil: perfil.nome || perfil.arquivo,
+            totalProdutos: diagnostico.totalProdutos,
+            colunas: diagnostico.colunas,
+            candidatasDescricao: diagnostico.candidatasDescricao.slice(0, MAXIMO_CANDIDATAS),
+            campos: montarCampos(diagnostico, perfil, sessao.cabecalhos),
+            mapeamentoSalvo: sessao.mapeamentoSalvo,
+            destinos: Object.values(EXPORTADORES).map(({ nome: destino, descricao }) => ({ nome: destino, descricao, padrao: destino === DESTINO_PADRAO }))
+        });
+    };
+
+    const previa = async (req, res, sessao) => {
+        const { mapeamento } = await lerJson(req);
+        const conversao = converterSessao(sessao, validarMapeamento(mapeamento, sessao));
+        responderJson(res, 200, montarPrevia(conversao));
+    };
+
+    const converter = async (req, res, sessao) => {
+        const corpo = await lerJson(req);
+        const mapeamento = validarMapeamento(corpo.mapeamento, sessao);
+        let exportadores;
+        try {
+            exportadores = obterExportadores([].concat(corpo.destinos || DESTINO_PADRAO).join(','));
+        } catch (error) {
+            throw erroHttp(400, error.message);
+        }
+
+        const conversao = converterSessao(sessao, mapeamento);
+        if (conversao.produtos.length === 0) {
+            throw erroHttp(422, 'Nenhum produto foi convertido com sucesso para salvar.');
+        }
+
+        // Cada conversão substitui os arquivos oferecidos para download
+        const { relatorio } = conversao;
+        relatorio.arquivosSaida = [];
+        const arquivoSaida = path.join(sessao.pasta, `${path.parse(sessao.nome).name}-convertido.xlsx`);
+        const saidas = salvarDestinos(conversao.produtos, exportadores, arquivoSaida, relatorio);
+
+        let arquivoMapeamento = null;
+        if (corpo.salvarMapeamento) {
+            arquivoMapeamento = mapeamentos.salvarMapeamento(sessao.cabecalhos, sessao.perfil, mapeamento, pastaMapeamentos);
+            relatorio.mapeamentoSalvo = arquivoMapeamento;
+        }
+        const arquivoRelatorio = relatorioConversao.caminhoRelatorio(arquivoSaida, relatorio.timestamp);
+        relatorioConversao.salvarRelatorio(relatorio, arquivoRelatorio);
+
+        sessao.arquivos = new Map();
+        const oferecer = (arquivo) => {
+            const nome = path.basename(arquivo);
+            sessao.arquivos.set(nome, arquivo);
+            return { nome, url: `/api/planilhas/${sessao.id}/arquivos/${encodeURIComponent(nome)}` };
+        };
+
+        aoRegistrar(`✅ ${sessao.nome} convertida: ${saidas.map(saida => `${saida.exportador.nome} ${saida.linhas} linhas`).join(', ')}`);
+        responderJson(res, 200, {
+            saidas: saidas.map(saida => ({
+                destino: saida.exportador.nome,
+                linhas: saida.linhas,
+                descartados: saida.descartados.length,
+                arquivo: saida.arquivo ? oferecer(saida.arquivo) : null
+            })),
+            relatorio: oferecer(arquivoRelatorio),
+            mapeamentoSalvo: arquivoMapeamento
+        });
+    };
+
+    const baixar = (res, sessao, nome) => {
+        const arquivo = sessao.arquivos.get(nome);
+        if (!arquivo || !fs.existsSync(arquivo)) {
+            throw erroHttp(404, `Arquivo ${nome} não encontrado. Converta a planilha novamente.`);
+        }
+        res.writeHead(200, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': fs.statSync(arquivo).size,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(nome)}`
+        });
+        fs.createReadStream(arquivo).pipe(res);
+    };
+
+    const servidor = http.createServer(async (req, res) => {
+        try {
+            // Só atende pelo próprio computador (evita páginas de outros sites apontando para cá)
+            const host = String(req.headers.host || '').replace(/:\d+$/, '');
+            if (!['127.0.0.1', 'localhost', '[::1]'].includes(host)) {
+                throw erroHttp(403, 'Acesso permitido apenas por localhost.');
+            }
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const rotaSessao = pathname.match(/^\/api\/planilhas\/([0-9a-f]+)\/(previa|converter|arquivos\/([^/]+))$/);
+
+            if (req.method === 'GET' && pathname === '/') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(fs.readFileSync(PAGINA));
+            } else if (req.method === 'POST' && pathname === '/api/planilhas') {
+                await receberPlanilha(req, res);
+            } else if (rotaSessao && rotaSessao[2] === 'previa' && req.method === 'POST') {
+                await previa(req, res, obterSessao(rotaSessao[1]));
+            } else if (rotaSessao && rotaSessao[2] === 'converter' && req.method === 'POST') {
+                await converter(req, res, obterSessao(rotaSessao[1]));
+            } else if (rotaSessao && rotaSessao[3] && req.method === 'GET') {
+                baixar(res, obterSessao(rotaSessao[1]), decodificar(rotaSessao[3], 'Nome do arquivo para baixar'));
+            } else {
+                throw erroHttp(404, `Rota ${req.method} ${pathname} não encontrada.`);
+            }
+        } catch (error) {
+            if (!error.status) {
+                aoRegistrar(`❌ Erro em ${req.method} ${req.url}: ${error.message}`);
+            }
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            // Recusas antes de ler o corpo (ex.: arquivo grande demais) encerram a conexão
+            if (!req.complete) res.setHeader('Connection', 'close');
+            responderJson(res, error.status || 500, { erro: error.message });
+        }
+    });
+
+    const encerrar = () => new Promise(resolve => {
+        servidor.close(() => resolve());
+        servidor.closeAllConnections();
+        [...sessoes.keys()].forEach(removerSessao);
+    });
+
+    return { servidor, sessoes, encerrar };
+}
+
+module.exports = { TAMANHO_MAXIMO, criarServidor };